@@ -0,0 +1,22 @@
+// Thresholds enforced by `node scripts/generate-progress-report.js --ci`
+// Any breach makes the command exit non-zero so the pipeline fails
+
+module.exports = {
+  // Percentage of linted files with no violations
+  minCompliance: 80,
+
+  // Errors not covered by the violation baseline (.eslint-baseline.json); all errors count when there is no baseline
+  maxNewErrors: 0,
+
+  // Warning budget per rule; "*" applies to rules without their own entry
+  maxWarningsPerRule: {
+    "*": 100,
+    "no-console": 50,
+  },
+
+  // Percentage of source files with at least one eslint-disable comment or config override (scripts/lint-exceptions.js)
+  maxExceptionRate: 5,
+
+  // Suppressions without a reason, or past their expiry date
+  maxInvalidExceptions: 0,
+}
@@ -0,0 +1,27 @@
+// Estimated minutes to resolve one violation, used by scripts/assess-codebase.js
+// "fixable" = resolved by eslint --fix, "suggestion" = editor quick-fix, "manual" = hand-written change
+
+module.exports = {
+  default: { fixable: 0.25, suggestion: 1, manual: 2 },
+  rules: {
+    // Usually needs understanding of the surrounding code
+    "no-unused-vars": { manual: 3 },
+    "@typescript-eslint/no-unused-vars": { manual: 3 },
+    "no-undef": { manual: 5 },
+    eqeqeq: { manual: 3 },
+    "no-throw-literal": { manual: 4 },
+    "prefer-promise-reject-errors": { manual: 4 },
+
+    // Often requires a type design decision
+    "@typescript-eslint/no-explicit-any": { manual: 10 },
+    "@typescript-eslint/prefer-nullish-coalescing": { manual: 2 },
+
+    // Logging cleanup is quick but needs a decision per call site
+    "no-console": { manual: 1 },
+    "lint-rollout/no-console-outside-cli": { manual: 1 },
+
+    // Moving code between libraries or exporting it from an entry point
+    "lint-rollout/enforce-module-boundaries": { manual: 15 },
+    "lint-rollout/no-deep-imports": { manual: 3 },
+  },
+}
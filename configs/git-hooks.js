@@ -0,0 +1,40 @@
+// Git hooks installed by `node scripts/setup-pre-commit-hooks.js`
+// Each hook runs `command` and blocks the git operation when it exits non-zero (post-commit cannot block)
+// Select hooks for one run with `--hooks pre-commit,pre-push`; otherwise `enabled` decides
+
+module.exports = {
+  // Fast: staged files only, applies auto-fixes and blocks only on fixable rules that could not be fixed
+  "pre-commit": {
+    enabled: true,
+    description: "Running ESLint on staged files",
+    command: "node scripts/fix-staged.js",
+    // Used instead of `command` with --affected
+    affectedCommand: "node scripts/lint-affected.js --staged",
+    failureMessage: "ESLint found issues. Please fix them before committing.",
+  },
+
+  // Full rule set on every Nx project affected by the commits being pushed; uncommitted work does not count
+  "pre-push": {
+    enabled: true,
+    description: "Running ESLint on projects affected since the upstream branch",
+    command: "node scripts/lint-affected.js --upstream --committed",
+    failureMessage: "ESLint found errors in affected projects. Fix them or push with --no-verify.",
+  },
+
+  // Conventional commit format: type(scope)!: subject
+  "commit-msg": {
+    enabled: false,
+    description: "Checking commit message format",
+    command: 'node scripts/check-commit-msg.js "$1"',
+    failureMessage: "Commit message does not follow the conventional commit format.",
+    types: ["build", "chore", "ci", "docs", "feat", "fix", "perf", "refactor", "revert", "style", "test"],
+    maxHeaderLength: 100,
+  },
+
+  // Logs commits that skipped the pre-commit hook, i.e. landed with errors it would have fixed or rejected
+  // (see scripts/check-commit.js)
+  "post-commit": {
+    enabled: true,
+    command: "node scripts/check-commit.js --post-commit || true",
+  },
+}
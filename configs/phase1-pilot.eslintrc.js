@@ -1,5 +1,6 @@
 // ESLint Configuration for Phase 1: Pilot Project
 // Conservative rule set focusing on errors only
+// Generated by scripts/generate-eslint-configs.js from configs/rule-catalog.js; edit the catalog, not this file
 
 module.exports = {
   root: true,
@@ -9,21 +10,52 @@ module.exports = {
     {
       files: ["*.ts", "*.tsx", "*.js", "*.jsx"],
       rules: {
-        // Error-level rules only (will fail builds)
-        semi: "error",
+        semi: ["error", "always"],
         "no-unused-vars": "error",
         "no-undef": "error",
         "no-unreachable": "error",
         "no-dupe-keys": "error",
         "no-duplicate-case": "error",
         "valid-typeof": "error",
-
-        // Disabled rules that will be introduced later
         quotes: "off",
         indent: "off",
         "comma-dangle": "off",
         "no-console": "off",
         "prefer-const": "off",
+        "no-var": "off",
+        eqeqeq: "off",
+        curly: "off",
+        "no-eval": "off",
+        "no-implied-eval": "off",
+        "no-new-func": "off",
+        "no-return-assign": "off",
+        "no-sequences": "off",
+        "no-throw-literal": "off",
+        "no-unused-expressions": "off",
+        "no-useless-call": "off",
+        "no-useless-concat": "off",
+        "no-useless-return": "off",
+        "prefer-promise-reject-errors": "off",
+        radix: "off",
+        "array-bracket-spacing": "off",
+        "block-spacing": "off",
+        "brace-style": "off",
+        "comma-spacing": "off",
+        "comma-style": "off",
+        "computed-property-spacing": "off",
+        "eol-last": "off",
+        "func-call-spacing": "off",
+        "key-spacing": "off",
+        "keyword-spacing": "off",
+        "no-multiple-empty-lines": "off",
+        "no-trailing-spaces": "off",
+        "object-curly-spacing": "off",
+        "semi-spacing": "off",
+        "space-before-blocks": "off",
+        "space-before-function-paren": "off",
+        "space-in-parens": "off",
+        "space-infix-ops": "off",
+        "space-unary-ops": "off",
       },
     },
   ],
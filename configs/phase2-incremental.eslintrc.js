@@ -0,0 +1,62 @@
+// ESLint Configuration for Phase 2: Incremental Adoption
+// Adds best practices and auto-fixable formatting rules, mostly as warnings
+// Generated by scripts/generate-eslint-configs.js from configs/rule-catalog.js; edit the catalog, not this file
+
+module.exports = {
+  root: true,
+  extends: ["@nx/eslint-plugin-nx/recommended"],
+  ignorePatterns: ["!**/*"],
+  overrides: [
+    {
+      files: ["*.ts", "*.tsx", "*.js", "*.jsx"],
+      rules: {
+        semi: ["error", "always"],
+        "no-unused-vars": "error",
+        "no-undef": "error",
+        "no-unreachable": "error",
+        "no-dupe-keys": "error",
+        "no-duplicate-case": "error",
+        "valid-typeof": "error",
+        quotes: ["warn", "single"],
+        indent: "off",
+        "comma-dangle": ["warn", "always-multiline"],
+        "no-console": "warn",
+        "prefer-const": "error",
+        "no-var": "error",
+        eqeqeq: ["warn", "always"],
+        curly: "off",
+        "no-eval": "error",
+        "no-implied-eval": "error",
+        "no-new-func": "error",
+        "no-return-assign": "off",
+        "no-sequences": "off",
+        "no-throw-literal": "warn",
+        "no-unused-expressions": "off",
+        "no-useless-call": "off",
+        "no-useless-concat": "off",
+        "no-useless-return": "off",
+        "prefer-promise-reject-errors": "off",
+        radix: "off",
+        "array-bracket-spacing": "off",
+        "block-spacing": "off",
+        "brace-style": "off",
+        "comma-spacing": "off",
+        "comma-style": "off",
+        "computed-property-spacing": "off",
+        "eol-last": ["warn", "always"],
+        "func-call-spacing": "off",
+        "key-spacing": "off",
+        "keyword-spacing": "off",
+        "no-multiple-empty-lines": "off",
+        "no-trailing-spaces": "warn",
+        "object-curly-spacing": "off",
+        "semi-spacing": "off",
+        "space-before-blocks": "off",
+        "space-before-function-paren": "off",
+        "space-in-parens": "off",
+        "space-infix-ops": "off",
+        "space-unary-ops": "off",
+      },
+    },
+  ],
+}
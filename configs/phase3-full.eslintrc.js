@@ -1,25 +1,29 @@
 // ESLint Configuration for Phase 3: Full Implementation
 // Comprehensive rule set for production use
+// Generated by scripts/generate-eslint-configs.js from configs/rule-catalog.js; edit the catalog, not this file
 
 module.exports = {
   root: true,
-  extends: ["@nx/eslint-plugin-nx/recommended", "eslint:recommended", "@typescript-eslint/recommended"],
+  extends: ["@nx/eslint-plugin-nx/recommended", "eslint:recommended"],
+  plugins: ["lint-rollout"],
   ignorePatterns: ["!**/*"],
   overrides: [
     {
       files: ["*.ts", "*.tsx", "*.js", "*.jsx"],
       rules: {
-        // Code Quality
         semi: ["error", "always"],
+        "no-unused-vars": "error",
+        "no-undef": "error",
+        "no-unreachable": "error",
+        "no-dupe-keys": "error",
+        "no-duplicate-case": "error",
+        "valid-typeof": "error",
         quotes: ["error", "single"],
         indent: ["error", 2],
         "comma-dangle": ["error", "always-multiline"],
-        "no-unused-vars": "error",
-        "no-console": "warn",
+        "no-console": "off",
         "prefer-const": "error",
         "no-var": "error",
-
-        // Best Practices
         eqeqeq: ["error", "always"],
         curly: ["error", "all"],
         "no-eval": "error",
@@ -34,8 +38,6 @@ module.exports = {
         "no-useless-return": "error",
         "prefer-promise-reject-errors": "error",
         radix: "error",
-
-        // Style
         "array-bracket-spacing": ["error", "never"],
         "block-spacing": ["error", "always"],
         "brace-style": ["error", "1tbs", { allowSingleLine: true }],
@@ -51,22 +53,21 @@ module.exports = {
         "object-curly-spacing": ["error", "always"],
         "semi-spacing": ["error", { before: false, after: true }],
         "space-before-blocks": ["error", "always"],
-        "space-before-function-paren": [
-          "error",
-          {
-            anonymous: "always",
-            named: "never",
-            asyncArrow: "always",
-          },
-        ],
+        "space-before-function-paren": ["error", { anonymous: "always", named: "never", asyncArrow: "always" }],
         "space-in-parens": ["error", "never"],
         "space-infix-ops": "error",
         "space-unary-ops": ["error", { words: true, nonwords: false }],
+        "lint-rollout/enforce-module-boundaries": [
+          "error",
+          { depConstraints: [{ sourceTag: "*", onlyDependOnLibsWithTags: ["*"] }] },
+        ],
+        "lint-rollout/no-deep-imports": "error",
+        "lint-rollout/no-console-outside-cli": "error",
       },
     },
     {
       files: ["*.ts", "*.tsx"],
-      extends: ["@typescript-eslint/recommended"],
+      extends: ["plugin:@typescript-eslint/recommended"],
       rules: {
         "@typescript-eslint/no-unused-vars": "error",
         "@typescript-eslint/explicit-function-return-type": "off",
@@ -0,0 +1,76 @@
+// Rollout phases evaluated by `node scripts/generate-progress-report.js`, for the workspace and for each Nx project
+// A phase is reached once its `entry` gates pass (if any); it is left once its `exit` gates pass.
+//
+// Gates:
+//   minCompliance      percentage of linted files without violations
+//   minAdoptionScore   adoption score from the progress report (config, hooks, lint-staged, IDE settings)
+//   maxExceptionRate   percentage of files with eslint-disable comments or config overrides
+//   maxViolations      total violations
+//   ciIntegration      true: a CI pipeline runs ESLint (for a project: and lints that project)
+//   adoption           adoption checks that must be true, e.g. ["preCommitHooksSetup"]
+//
+// `lintConfig` is the rule catalog phase (configs/rule-catalog.js) that projects in this phase are linted with.
+// Recommendations are plain strings, or { text, unless: { <gates> } } to show them only while those gates fail.
+
+module.exports = {
+  phases: [
+    {
+      id: "assessment",
+      lintConfig: 1,
+      name: "Phase 1: Assessment and Communication",
+      exit: { adoption: ["eslintConfigExists"] },
+      recommendations: [
+        "Complete codebase assessment",
+        "Begin team communication and training",
+        "Select pilot project",
+      ],
+    },
+    {
+      id: "pilot",
+      lintConfig: 1,
+      name: "Phase 2: Pilot Project",
+      exit: { minCompliance: 50 },
+      recommendations: ["Focus on pilot project compliance", "Gather team feedback", "Refine ESLint configuration"],
+    },
+    {
+      id: "integration",
+      lintConfig: 2,
+      name: "Phase 3: Incremental Integration",
+      exit: { minCompliance: 80, maxExceptionRate: 5 },
+      recommendations: [
+        { text: "Prioritize auto-fixable violations", unless: { minCompliance: 60 } },
+        { text: "Consider dedicated fix sprints", unless: { minCompliance: 60 } },
+        { text: "Document or remove lint exceptions", unless: { maxExceptionRate: 5 } },
+        "Continue incremental rollout",
+        "Monitor team productivity impact",
+      ],
+    },
+    {
+      id: "automation",
+      lintConfig: 3,
+      name: "Phase 4: Tools and Automation",
+      exit: { adoption: ["preCommitHooksSetup"], ciIntegration: true },
+      recommendations: [
+        { text: "Set up pre-commit hooks", unless: { adoption: ["preCommitHooksSetup"] } },
+        { text: "Distribute IDE configurations", unless: { adoption: ["ideConfigsDistributed"] } },
+        { text: "Integrate with CI/CD pipeline", unless: { ciIntegration: true } },
+      ],
+    },
+    {
+      id: "continuous",
+      lintConfig: 3,
+      name: "Phase 5: Continuous Improvement",
+      recommendations: [
+        "Monitor violation trends",
+        "Collect team satisfaction feedback",
+        "Plan configuration evolution",
+      ],
+    },
+  ],
+
+  // Shown in every phase
+  recommendations: [
+    { text: "Consider automated violation fixing tools", unless: { maxViolations: 1000 } },
+    { text: "Increase focus on violation resolution", unless: { minCompliance: 80 } },
+  ],
+}
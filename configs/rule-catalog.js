@@ -0,0 +1,143 @@
+// Single source for the phase ESLint configs, generated with `node scripts/generate-eslint-configs.js`
+//
+// Each rule is introduced in one phase; `severity` lists its severity from that phase on, and later phases
+// keep the last severity given. Rules are "off" in the phases before they are introduced. `options` are
+// passed with every severity other than "off".
+
+module.exports = {
+  // eslintrc `files` patterns for each override block; flat configs prefix them with "**/"
+  scopes: {
+    default: ["*.ts", "*.tsx", "*.js", "*.jsx"],
+    typescript: ["*.ts", "*.tsx"],
+  },
+
+  // Plugins whose rules the catalog lists, by rule prefix; a phase loads a plugin once one of its rules is introduced
+  plugins: {
+    // packages/eslint-plugin-lint-rollout, installed in the workspace as a local package
+    "lint-rollout": "eslint-plugin-lint-rollout",
+  },
+
+  phases: [
+    {
+      phase: 1,
+      file: "phase1-pilot",
+      name: "Phase 1: Pilot Project",
+      description: "Conservative rule set focusing on errors only",
+      extends: ["@nx/eslint-plugin-nx/recommended"],
+    },
+    {
+      phase: 2,
+      file: "phase2-incremental",
+      name: "Phase 2: Incremental Adoption",
+      description: "Adds best practices and auto-fixable formatting rules, mostly as warnings",
+      extends: ["@nx/eslint-plugin-nx/recommended"],
+    },
+    {
+      phase: 3,
+      file: "phase3-full",
+      name: "Phase 3: Full Implementation",
+      description: "Comprehensive rule set for production use",
+      extends: ["@nx/eslint-plugin-nx/recommended", "eslint:recommended"],
+      scopeExtends: { typescript: ["plugin:@typescript-eslint/recommended"] },
+    },
+  ],
+
+  rules: [
+    // Code Quality
+    { rule: "semi", introduced: 1, severity: { 1: "error" }, options: ["always"] },
+    { rule: "no-unused-vars", introduced: 1, severity: { 1: "error" } },
+    { rule: "no-undef", introduced: 1, severity: { 1: "error" } },
+    { rule: "no-unreachable", introduced: 1, severity: { 1: "error" } },
+    { rule: "no-dupe-keys", introduced: 1, severity: { 1: "error" } },
+    { rule: "no-duplicate-case", introduced: 1, severity: { 1: "error" } },
+    { rule: "valid-typeof", introduced: 1, severity: { 1: "error" } },
+    { rule: "quotes", introduced: 2, severity: { 2: "warn", 3: "error" }, options: ["single"] },
+    { rule: "indent", introduced: 3, severity: { 3: "error" }, options: [2] },
+    { rule: "comma-dangle", introduced: 2, severity: { 2: "warn", 3: "error" }, options: ["always-multiline"] },
+    // Replaced in phase 3 by lint-rollout/no-console-outside-cli, which still allows console output in CLI entrypoints
+    { rule: "no-console", introduced: 2, severity: { 2: "warn", 3: "off" } },
+    { rule: "prefer-const", introduced: 2, severity: { 2: "error" } },
+    { rule: "no-var", introduced: 2, severity: { 2: "error" } },
+
+    // Best Practices
+    { rule: "eqeqeq", introduced: 2, severity: { 2: "warn", 3: "error" }, options: ["always"] },
+    { rule: "curly", introduced: 3, severity: { 3: "error" }, options: ["all"] },
+    { rule: "no-eval", introduced: 2, severity: { 2: "error" } },
+    { rule: "no-implied-eval", introduced: 2, severity: { 2: "error" } },
+    { rule: "no-new-func", introduced: 2, severity: { 2: "error" } },
+    { rule: "no-return-assign", introduced: 3, severity: { 3: "error" } },
+    { rule: "no-sequences", introduced: 3, severity: { 3: "error" } },
+    { rule: "no-throw-literal", introduced: 2, severity: { 2: "warn", 3: "error" } },
+    { rule: "no-unused-expressions", introduced: 3, severity: { 3: "error" } },
+    { rule: "no-useless-call", introduced: 3, severity: { 3: "error" } },
+    { rule: "no-useless-concat", introduced: 3, severity: { 3: "error" } },
+    { rule: "no-useless-return", introduced: 3, severity: { 3: "error" } },
+    { rule: "prefer-promise-reject-errors", introduced: 3, severity: { 3: "error" } },
+    { rule: "radix", introduced: 3, severity: { 3: "error" } },
+
+    // Style
+    { rule: "array-bracket-spacing", introduced: 3, severity: { 3: "error" }, options: ["never"] },
+    { rule: "block-spacing", introduced: 3, severity: { 3: "error" }, options: ["always"] },
+    { rule: "brace-style", introduced: 3, severity: { 3: "error" }, options: ["1tbs", { allowSingleLine: true }] },
+    { rule: "comma-spacing", introduced: 3, severity: { 3: "error" }, options: [{ before: false, after: true }] },
+    { rule: "comma-style", introduced: 3, severity: { 3: "error" }, options: ["last"] },
+    { rule: "computed-property-spacing", introduced: 3, severity: { 3: "error" }, options: ["never"] },
+    { rule: "eol-last", introduced: 2, severity: { 2: "warn", 3: "error" }, options: ["always"] },
+    { rule: "func-call-spacing", introduced: 3, severity: { 3: "error" }, options: ["never"] },
+    {
+      rule: "key-spacing",
+      introduced: 3,
+      severity: { 3: "error" },
+      options: [{ beforeColon: false, afterColon: true }],
+    },
+    { rule: "keyword-spacing", introduced: 3, severity: { 3: "error" }, options: [{ before: true, after: true }] },
+    { rule: "no-multiple-empty-lines", introduced: 3, severity: { 3: "error" }, options: [{ max: 2, maxEOF: 1 }] },
+    { rule: "no-trailing-spaces", introduced: 2, severity: { 2: "warn", 3: "error" } },
+    { rule: "object-curly-spacing", introduced: 3, severity: { 3: "error" }, options: ["always"] },
+    { rule: "semi-spacing", introduced: 3, severity: { 3: "error" }, options: [{ before: false, after: true }] },
+    { rule: "space-before-blocks", introduced: 3, severity: { 3: "error" }, options: ["always"] },
+    {
+      rule: "space-before-function-paren",
+      introduced: 3,
+      severity: { 3: "error" },
+      options: [{ anonymous: "always", named: "never", asyncArrow: "always" }],
+    },
+    { rule: "space-in-parens", introduced: 3, severity: { 3: "error" }, options: ["never"] },
+    { rule: "space-infix-ops", introduced: 3, severity: { 3: "error" } },
+    { rule: "space-unary-ops", introduced: 3, severity: { 3: "error" }, options: [{ words: true, nonwords: false }] },
+
+    // Monorepo structure (packages/eslint-plugin-lint-rollout)
+    {
+      rule: "lint-rollout/enforce-module-boundaries",
+      introduced: 3,
+      severity: { 3: "error" },
+      // Allows everything until the workspace's tags get constraints, e.g. { sourceTag: "scope:shop", onlyDependOnLibsWithTags: ["scope:shop", "scope:shared"] }
+      options: [{ depConstraints: [{ sourceTag: "*", onlyDependOnLibsWithTags: ["*"] }] }],
+    },
+    { rule: "lint-rollout/no-deep-imports", introduced: 3, severity: { 3: "error" } },
+    { rule: "lint-rollout/no-console-outside-cli", introduced: 3, severity: { 3: "error" } },
+
+    // TypeScript
+    { rule: "@typescript-eslint/no-unused-vars", scope: "typescript", introduced: 3, severity: { 3: "error" } },
+    {
+      rule: "@typescript-eslint/explicit-function-return-type",
+      scope: "typescript",
+      introduced: 3,
+      severity: { 3: "off" },
+    },
+    {
+      rule: "@typescript-eslint/explicit-module-boundary-types",
+      scope: "typescript",
+      introduced: 3,
+      severity: { 3: "off" },
+    },
+    { rule: "@typescript-eslint/no-explicit-any", scope: "typescript", introduced: 3, severity: { 3: "warn" } },
+    {
+      rule: "@typescript-eslint/prefer-nullish-coalescing",
+      scope: "typescript",
+      introduced: 3,
+      severity: { 3: "error" },
+    },
+    { rule: "@typescript-eslint/prefer-optional-chain", scope: "typescript", introduced: 3, severity: { 3: "error" } },
+  ],
+}
@@ -0,0 +1,10 @@
+const { name, version } = require("./package.json")
+
+module.exports = {
+  meta: { name, version },
+  rules: {
+    "enforce-module-boundaries": require("./lib/rules/enforce-module-boundaries"),
+    "no-deep-imports": require("./lib/rules/no-deep-imports"),
+    "no-console-outside-cli": require("./lib/rules/no-console-outside-cli"),
+  },
+}
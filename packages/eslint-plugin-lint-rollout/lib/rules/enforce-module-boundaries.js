@@ -0,0 +1,94 @@
+const Workspace = require("../workspace")
+const { filenameOf, importVisitors } = Workspace
+
+const tagList = { type: "array", items: { type: "string" } }
+
+// "*" matches every project, untagged ones included, and "scope:*" any tag with that prefix, like Nx's constraints
+const matchesTag = (pattern, tag) => (pattern.endsWith("*") ? tag.startsWith(pattern.slice(0, -1)) : pattern === tag)
+const hasTag = (project, patterns) =>
+  patterns.some((pattern) => pattern === "*" || project.tags.some((tag) => matchesTag(pattern, tag)))
+const formatTags = (tags) => (tags.length > 0 ? tags.map((tag) => `"${tag}"`).join(", ") : "no tags")
+
+module.exports = {
+  meta: {
+    type: "problem",
+    docs: {
+      description: "Enforce dependency constraints between Nx projects based on the tags in their project.json",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          depConstraints: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                sourceTag: { type: "string" },
+                onlyDependOnLibsWithTags: tagList,
+                notDependOnLibsWithTags: tagList,
+              },
+              required: ["sourceTag"],
+              additionalProperties: false,
+            },
+          },
+          allow: tagList,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      untagged:
+        'Project "{{source}}" matches no dependency constraint, so it cannot import "{{target}}". Tag it in project.json.',
+      onlyTags:
+        'Projects tagged "{{sourceTag}}" can only import projects tagged {{allowed}}; "{{target}}" has {{tags}}.',
+      notTags: 'Projects tagged "{{sourceTag}}" cannot import projects tagged {{denied}}; "{{target}}" has {{tags}}.',
+      application: 'Project "{{source}}" imports the application "{{target}}"; move the shared code into a library.',
+    },
+  },
+
+  create(context) {
+    const { depConstraints = [], allow = [] } = context.options[0] || {}
+    const filename = filenameOf(context)
+    const workspace = Workspace.forFile(filename)
+    const source = workspace && workspace.projectForFile(filename)
+    if (!source) return {}
+
+    const constraints = depConstraints.filter((constraint) => hasTag(source, [constraint.sourceTag]))
+
+    return importVisitors((node, importPath) => {
+      if (allow.includes(importPath)) return
+
+      const resolved = workspace.resolveImport(importPath, filename)
+      if (!resolved || resolved.project === source) return
+
+      const target = resolved.project
+      const data = { source: source.name, target: target.name, tags: formatTags(target.tags) }
+      if (target.projectType === "application") {
+        context.report({ node, messageId: "application", data })
+        return
+      }
+      if (depConstraints.length > 0 && constraints.length === 0) {
+        context.report({ node, messageId: "untagged", data })
+        return
+      }
+
+      constraints.forEach(({ sourceTag, onlyDependOnLibsWithTags, notDependOnLibsWithTags }) => {
+        if (onlyDependOnLibsWithTags && !hasTag(target, onlyDependOnLibsWithTags)) {
+          context.report({
+            node,
+            messageId: "onlyTags",
+            data: { ...data, sourceTag, allowed: formatTags(onlyDependOnLibsWithTags) },
+          })
+        }
+        if (notDependOnLibsWithTags && hasTag(target, notDependOnLibsWithTags)) {
+          context.report({
+            node,
+            messageId: "notTags",
+            data: { ...data, sourceTag, denied: formatTags(notDependOnLibsWithTags) },
+          })
+        }
+      })
+    })
+  },
+}
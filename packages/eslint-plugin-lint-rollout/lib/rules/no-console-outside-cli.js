@@ -0,0 +1,88 @@
+const path = require("path")
+const minimatch = require("minimatch")
+const { filenameOf, cwdOf } = require("../workspace")
+
+// `require.main === module`, in either order
+const isRequireMainCheck = (test) => {
+  const isRequireMain = (node) =>
+    node.type === "MemberExpression" &&
+    node.object.type === "Identifier" &&
+    node.object.name === "require" &&
+    node.property.type === "Identifier" &&
+    node.property.name === "main"
+  const isModule = (node) => node.type === "Identifier" && node.name === "module"
+
+  return (
+    test.type === "BinaryExpression" &&
+    ["===", "=="].includes(test.operator) &&
+    ((isRequireMain(test.left) && isModule(test.right)) || (isModule(test.left) && isRequireMain(test.right)))
+  )
+}
+
+module.exports = {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description:
+        "Disallow console output outside CLI entrypoints: executable scripts and their `require.main === module` block",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          allow: { type: "array", items: { type: "string" } },
+          entrypoints: { type: "array", items: { type: "string" } },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      unexpected: "console.{{method}} is only allowed in CLI entrypoints; return the data or throw instead.",
+    },
+  },
+
+  create(context) {
+    const { allow = [], entrypoints = [] } = context.options[0] || {}
+    const sourceCode = context.sourceCode || context.getSourceCode()
+    const relative = path.relative(cwdOf(context), filenameOf(context)).split(path.sep).join("/")
+
+    // A shebang marks the whole file as a command
+    if (
+      sourceCode.text.startsWith("#!") ||
+      entrypoints.some((pattern) => minimatch(relative, pattern, { dot: true }))
+    ) {
+      return {}
+    }
+
+    const insideCliBlock = (node) => {
+      for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+        if (parent.type === "IfStatement" && parent.consequent === child && isRequireMainCheck(parent.test)) return true
+      }
+      return false
+    }
+
+    return {
+      "Program:exit"(program) {
+        const scope = sourceCode.getScope ? sourceCode.getScope(program) : context.getScope()
+        const variable = scope.set.get("console")
+        // A console declared in the file is not the global one
+        if (variable && variable.defs.length > 0) return
+
+        // Without a browser or node environment, console is an unresolved global reference
+        const references = variable
+          ? variable.references
+          : scope.through.filter((reference) => reference.identifier.name === "console")
+
+        references.forEach(({ identifier }) => {
+          const member = identifier.parent
+          if (member.type !== "MemberExpression" || member.object !== identifier) return
+
+          const method = member.computed ? member.property.value : member.property.name
+          if (allow.includes(method) || insideCliBlock(member)) return
+
+          context.report({ node: member, messageId: "unexpected", data: { method } })
+        })
+      },
+    }
+  },
+}
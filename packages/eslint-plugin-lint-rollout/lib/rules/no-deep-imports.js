@@ -0,0 +1,47 @@
+const Workspace = require("../workspace")
+const { filenameOf, importVisitors } = Workspace
+
+module.exports = {
+  meta: {
+    type: "problem",
+    docs: {
+      description: "Disallow importing another library's internal files instead of its public entry point",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          allow: { type: "array", items: { type: "string" } },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      deepImport: 'Import "{{target}}" through "{{alias}}"; "{{importPath}}" reaches into its internal files.',
+      relativeImport:
+        'Import "{{target}}" through its path alias; relative imports into another project skip its entry point.',
+    },
+  },
+
+  create(context) {
+    const { allow = [] } = context.options[0] || {}
+    const filename = filenameOf(context)
+    const workspace = Workspace.forFile(filename)
+    const source = workspace && workspace.projectForFile(filename)
+    if (!source) return {}
+
+    return importVisitors((node, importPath) => {
+      if (allow.includes(importPath)) return
+
+      const resolved = workspace.resolveImport(importPath, filename)
+      if (!resolved || resolved.project === source || resolved.project.projectType !== "library") return
+
+      const data = { target: resolved.project.name, alias: resolved.alias, importPath }
+      if (resolved.deep) {
+        context.report({ node, messageId: "deepImport", data })
+      } else if (resolved.relative) {
+        context.report({ node, messageId: "relativeImport", data })
+      }
+    })
+  },
+}
@@ -0,0 +1,199 @@
+const fs = require("fs")
+const path = require("path")
+
+const EXCLUDE_DIRS = ["node_modules", "dist", "build", ".git", ".nx", "tmp", "coverage"]
+const TSCONFIG_FILES = ["tsconfig.base.json", "tsconfig.json"]
+// ESLint servers in editors stay up between lint runs, so a cached workspace is reloaded when one of the files it was
+// read from changes. That is checked at most this often rather than for every linted file.
+const RECHECK_MS = 1000
+const cache = new Map()
+
+// Projects and tsconfig path aliases of an Nx workspace
+class Workspace {
+  constructor(root) {
+    this.root = root
+    this.projects = []
+    this.aliases = []
+    this.sources = []
+    this.stamp = null
+    this.checkedAt = 0
+  }
+
+  // The workspace a linted file belongs to: the nearest directory above it with nx.json
+  static forFile(file) {
+    if (!path.isAbsolute(file)) return null
+
+    let dir = path.dirname(file)
+    while (!fs.existsSync(path.join(dir, "nx.json"))) {
+      if (path.dirname(dir) === dir) return null
+      dir = path.dirname(dir)
+    }
+
+    const cached = cache.get(dir)
+    const now = Date.now()
+    if (cached && now - cached.checkedAt < RECHECK_MS) return cached
+
+    if (cached && cached.stamp === cached.readStamp()) {
+      cached.checkedAt = now
+      return cached
+    }
+    const workspace = new Workspace(dir).load()
+    workspace.checkedAt = now
+    cache.set(dir, workspace)
+    return workspace
+  }
+
+  load() {
+    const projectJsonFiles = this.findProjectJsonFiles(this.root)
+    const workspaceJsonFile = path.join(this.root, "workspace.json")
+    this.sources = [
+      path.join(this.root, "nx.json"),
+      workspaceJsonFile,
+      ...TSCONFIG_FILES.map((name) => path.join(this.root, name)),
+      ...projectJsonFiles,
+    ]
+    this.stamp = this.readStamp()
+
+    const projects = new Map()
+    // workspace.json (older Nx layouts) lists projects as a path or an inline config
+    const workspaceJson = this.readJson(workspaceJsonFile)
+    if (workspaceJson && workspaceJson.projects) {
+      Object.entries(workspaceJson.projects).forEach(([name, entry]) => {
+        const root = path.resolve(this.root, typeof entry === "string" ? entry : entry.root || "")
+        const config = typeof entry === "string" ? this.readJson(path.join(root, "project.json")) || {} : entry
+        projects.set(name, this.toProject(name, root, config))
+      })
+    }
+    // project.json files take precedence over workspace.json entries
+    projectJsonFiles.forEach((file) => {
+      const config = this.readJson(file)
+      if (!config) return
+
+      const name = config.name || path.basename(path.dirname(file))
+      projects.set(name, this.toProject(name, path.dirname(file), config))
+    })
+    // Longest root first so nested projects win over their parents
+    this.projects = [...projects.values()].sort((a, b) => b.root.length - a.root.length)
+
+    const tsconfig = TSCONFIG_FILES.map((name) => this.readJson(path.join(this.root, name))).find(Boolean)
+    const paths = (tsconfig && tsconfig.compilerOptions && tsconfig.compilerOptions.paths) || {}
+    this.aliases = Object.entries(paths)
+      .filter(([, targets]) => Array.isArray(targets) && targets.length > 0)
+      .map(([alias, targets]) => ({ alias, wildcard: alias.endsWith("/*"), target: targets[0] }))
+      .sort((a, b) => b.alias.length - a.alias.length)
+
+    return this
+  }
+
+  toProject(name, root, config) {
+    return {
+      name,
+      root,
+      projectType: config.projectType || "library",
+      tags: Array.isArray(config.tags) ? config.tags : [],
+    }
+  }
+
+  // Modification times of the files the workspace was read from; a missing file counts as well
+  readStamp() {
+    return this.sources
+      .map((file) => {
+        try {
+          return fs.statSync(file).mtimeMs
+        } catch (error) {
+          return -1
+        }
+      })
+      .join(",")
+  }
+
+  projectForFile(file) {
+    return (
+      this.projects.find((project) => file === project.root || file.startsWith(`${project.root}${path.sep}`)) || null
+    )
+  }
+
+  // Which project an import points at. `deep` marks a path below an alias that only maps a library's entry point.
+  resolveImport(source, file) {
+    if (source.startsWith(".")) {
+      const project = this.projectForFile(path.resolve(path.dirname(file), source))
+      return project && { project, relative: true, deep: false }
+    }
+
+    const match = this.aliases.find(({ alias, wildcard }) =>
+      wildcard ? source.startsWith(alias.slice(0, -1)) : source === alias,
+    )
+    if (match) {
+      const target = match.target.replace("*", source.slice(match.alias.length - 1))
+      const project = this.projectForFile(path.resolve(this.root, target))
+      return project && { project, relative: false, deep: false }
+    }
+
+    const parent = this.aliases.find(({ alias, wildcard }) => !wildcard && source.startsWith(`${alias}/`))
+    const project = parent && this.projectForFile(path.resolve(this.root, parent.target))
+    return project && { project, relative: false, deep: true, alias: parent.alias }
+  }
+
+  findProjectJsonFiles(dir) {
+    let files = []
+
+    try {
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, item.name)
+
+        if (item.isDirectory() && !EXCLUDE_DIRS.includes(item.name)) {
+          files = files.concat(this.findProjectJsonFiles(fullPath))
+        } else if (item.isFile() && item.name === "project.json") {
+          files.push(fullPath)
+        }
+      }
+    } catch (error) {
+      // Unreadable directories simply contribute no projects
+    }
+
+    return files
+  }
+
+  readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+// ESLint 8.40+ exposes these as properties; older versions only have the getters
+const filenameOf = (context) => context.filename || context.getFilename()
+const cwdOf = (context) => context.cwd || context.getCwd()
+
+// Calls `check(node, source)` for every import, re-export, dynamic import and require() of a string literal
+const importVisitors = (check) => {
+  const fromSource = (node) => {
+    if (node.source && typeof node.source.value === "string") check(node.source, node.source.value)
+  }
+
+  return {
+    ImportDeclaration: fromSource,
+    ExportNamedDeclaration: fromSource,
+    ExportAllDeclaration: fromSource,
+    ImportExpression: fromSource,
+    CallExpression(node) {
+      const [argument] = node.arguments
+      if (
+        node.callee.type === "Identifier" &&
+        node.callee.name === "require" &&
+        node.arguments.length === 1 &&
+        argument.type === "Literal" &&
+        typeof argument.value === "string"
+      ) {
+        check(argument, argument.value)
+      }
+    },
+  }
+}
+
+module.exports = Workspace
+module.exports.filenameOf = filenameOf
+module.exports.cwdOf = cwdOf
+module.exports.importVisitors = importVisitors
@@ -0,0 +1,69 @@
+const path = require("path")
+const rule = require("../lib/rules/enforce-module-boundaries")
+const { ruleTester, createNxWorkspace } = require("./rule-tester")
+
+const root = createNxWorkspace()
+const file = (relative) => path.join(root, relative)
+const depConstraints = [
+  { sourceTag: "scope:shop", onlyDependOnLibsWithTags: ["scope:shop", "scope:shared"] },
+  { sourceTag: "scope:shared", onlyDependOnLibsWithTags: ["scope:shared"] },
+  { sourceTag: "type:util", notDependOnLibsWithTags: ["type:ui"] },
+  { sourceTag: "scope:admin", onlyDependOnLibsWithTags: ["*"] },
+]
+const options = [{ depConstraints }]
+
+ruleTester.run("enforce-module-boundaries", rule, {
+  valid: [
+    { code: 'import { Button } from "@acme/shop-ui"', filename: file("apps/shop/src/main.ts"), options },
+    { code: 'import { format } from "@acme/shared-util"', filename: file("libs/shop/ui/src/button.ts"), options },
+    { code: 'const util = require("@acme/shared-util")', filename: file("apps/shop/src/main.ts"), options },
+    { code: 'import { helper } from "./helper"', filename: file("libs/shared/util/src/index.ts"), options },
+    { code: 'import { Button } from "@acme/shop-ui"', filename: file("libs/admin/feature/src/a.ts"), options },
+    { code: 'import { legacy } from "@acme/legacy"', filename: file("libs/admin/feature/src/a.ts"), options },
+    { code: 'import React from "react"', filename: file("libs/legacy/src/index.ts"), options },
+    {
+      code: 'import { Button } from "@acme/shop-ui"',
+      filename: file("libs/shared/util/src/index.ts"),
+      options: [{ depConstraints, allow: ["@acme/shop-ui"] }],
+    },
+    // Files outside an Nx workspace are not checked
+    { code: 'import { Button } from "@acme/shop-ui"', filename: path.join(path.dirname(root), "other.ts"), options },
+  ],
+  invalid: [
+    {
+      code: 'import { Table } from "@acme/admin-feature"',
+      filename: file("apps/shop/src/main.ts"),
+      options,
+      errors: [
+        {
+          message:
+            'Projects tagged "scope:shop" can only import projects tagged "scope:shop", "scope:shared"; "admin-feature" has "scope:admin".',
+        },
+      ],
+    },
+    {
+      code: 'export * from "@acme/shop-ui"',
+      filename: file("libs/shared/util/src/index.ts"),
+      options,
+      errors: [{ messageId: "onlyTags" }, { messageId: "notTags" }],
+    },
+    {
+      code: 'const icons = import("@acme/icons/arrow")',
+      filename: file("libs/shared/util/src/index.ts"),
+      options,
+      errors: [{ messageId: "notTags" }],
+    },
+    {
+      code: 'import { format } from "@acme/shared-util"',
+      filename: file("libs/legacy/src/index.ts"),
+      options,
+      errors: [{ messageId: "untagged", data: { source: "legacy", target: "shared-util" } }],
+    },
+    {
+      code: 'import { bootstrap } from "../../../../apps/shop/src/main"',
+      filename: file("libs/shop/ui/src/button.ts"),
+      options,
+      errors: [{ messageId: "application" }],
+    },
+  ],
+})
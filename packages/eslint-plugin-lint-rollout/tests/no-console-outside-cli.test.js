@@ -0,0 +1,43 @@
+const rule = require("../lib/rules/no-console-outside-cli")
+const { ruleTester } = require("./rule-tester")
+
+const cliBlock = ["if (require.main === module) {", '  console.log("done")', "}"].join("\n")
+
+ruleTester.run("no-console-outside-cli", rule, {
+  valid: [
+    { code: '#!/usr/bin/env node\nconsole.log("🔍 Starting...")', filename: "scripts/assess-codebase.js" },
+    { code: cliBlock, filename: "scripts/lib/report-history.js" },
+    { code: 'if (module === require.main) console.error("failed")', filename: "scripts/lib/affected.js" },
+    { code: 'console.warn("deprecated")', filename: "libs/ui/src/index.ts", options: [{ allow: ["warn"] }] },
+    {
+      code: 'console.log("serving")',
+      filename: "apps/api/src/main.ts",
+      options: [{ entrypoints: ["apps/*/src/main.ts"] }],
+    },
+    { code: 'const console = { log() {} }\nconsole.log("quiet")', filename: "libs/ui/src/logger.ts" },
+    { code: 'logger.log("ok")', filename: "libs/ui/src/index.ts" },
+  ],
+  invalid: [
+    {
+      code: 'console.log("loaded")',
+      filename: "scripts/lib/nx-workspace.js",
+      errors: [{ messageId: "unexpected", data: { method: "log" } }],
+    },
+    {
+      code: 'function load() {\n  console["warn"]("could not read")\n}',
+      filename: "scripts/lib/exception-registry.js",
+      errors: [{ messageId: "unexpected", data: { method: "warn" } }],
+    },
+    {
+      code: 'if (require.main === module) {\n  run()\n} else {\n  console.log("required")\n}',
+      filename: "scripts/lib/affected.js",
+      errors: [{ messageId: "unexpected" }],
+    },
+    {
+      code: 'console.error("failed")',
+      filename: "libs/ui/src/index.ts",
+      options: [{ allow: ["warn"], entrypoints: ["apps/*/src/main.ts"] }],
+      errors: [{ messageId: "unexpected", data: { method: "error" } }],
+    },
+  ],
+})
@@ -0,0 +1,45 @@
+const path = require("path")
+const rule = require("../lib/rules/no-deep-imports")
+const { ruleTester, createNxWorkspace } = require("./rule-tester")
+
+const root = createNxWorkspace()
+const file = (relative) => path.join(root, relative)
+
+ruleTester.run("no-deep-imports", rule, {
+  valid: [
+    { code: 'import { Button } from "@acme/shop-ui"', filename: file("apps/shop/src/main.ts") },
+    // Secondary entry points and wildcard aliases are public
+    { code: 'import { mock } from "@acme/shared-util/testing"', filename: file("apps/shop/src/main.ts") },
+    { code: 'import arrow from "@acme/icons/arrow"', filename: file("apps/shop/src/main.ts") },
+    { code: 'import { Button } from "./lib/button"', filename: file("libs/shop/ui/src/index.ts") },
+    { code: 'import { Button } from "../ui/button"', filename: file("libs/shop/ui/src/lib/index.ts") },
+    { code: 'import merge from "lodash/merge"', filename: file("apps/shop/src/main.ts") },
+    {
+      code: 'import { Button } from "@acme/shop-ui/src/lib/button"',
+      filename: file("apps/shop/src/main.ts"),
+      options: [{ allow: ["@acme/shop-ui/src/lib/button"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: 'import { Button } from "@acme/shop-ui/src/lib/button"',
+      filename: file("apps/shop/src/main.ts"),
+      errors: [
+        {
+          message:
+            'Import "shop-ui" through "@acme/shop-ui"; "@acme/shop-ui/src/lib/button" reaches into its internal files.',
+        },
+      ],
+    },
+    {
+      code: 'const { format } = require("@acme/shared-util/src/lib/format")',
+      filename: file("libs/shop/ui/src/button.ts"),
+      errors: [{ messageId: "deepImport" }],
+    },
+    {
+      code: 'import { format } from "../../../shared/util/src/lib/format"',
+      filename: file("libs/shop/ui/src/button.ts"),
+      errors: [{ messageId: "relativeImport" }],
+    },
+  ],
+})
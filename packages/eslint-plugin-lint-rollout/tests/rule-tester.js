@@ -0,0 +1,53 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { describe, it } = require("node:test")
+const { RuleTester } = require("eslint")
+
+// Report each RuleTester case as a node:test test instead of throwing on the first failure
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester({ parserOptions: { ecmaVersion: 2022, sourceType: "module" } })
+
+// Writes a throwaway Nx workspace; `files` maps relative paths to JSON contents
+const createWorkspace = (files) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "lint-rollout-"))
+  Object.entries({ "nx.json": {}, ...files }).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true })
+    fs.writeFileSync(path.join(root, file), JSON.stringify(content))
+  })
+  process.on("exit", () => fs.rmSync(root, { recursive: true, force: true }))
+  return root
+}
+
+// The workspace the import rules are tested against
+const createNxWorkspace = () =>
+  createWorkspace({
+    "tsconfig.base.json": {
+      compilerOptions: {
+        paths: {
+          "@acme/shop-ui": ["libs/shop/ui/src/index.ts"],
+          "@acme/shared-util": ["libs/shared/util/src/index.ts"],
+          "@acme/shared-util/testing": ["libs/shared/util/src/testing.ts"],
+          "@acme/admin-feature": ["libs/admin/feature/src/index.ts"],
+          "@acme/legacy": ["libs/legacy/src/index.ts"],
+          "@acme/icons/*": ["libs/icons/src/*"],
+        },
+      },
+    },
+    "apps/shop/project.json": { name: "shop", projectType: "application", tags: ["scope:shop", "type:app"] },
+    "apps/admin/project.json": { name: "admin", projectType: "application", tags: ["scope:admin", "type:app"] },
+    "libs/shop/ui/project.json": { name: "shop-ui", projectType: "library", tags: ["scope:shop", "type:ui"] },
+    "libs/shared/util/project.json": {
+      name: "shared-util",
+      projectType: "library",
+      tags: ["scope:shared", "type:util"],
+    },
+    "libs/admin/feature/project.json": { name: "admin-feature", projectType: "library", tags: ["scope:admin"] },
+    "libs/legacy/project.json": { name: "legacy", projectType: "library" },
+    "libs/icons/project.json": { name: "icons", projectType: "library", tags: ["scope:shared", "type:ui"] },
+  })
+
+module.exports = { ruleTester, createWorkspace, createNxWorkspace }
@@ -0,0 +1,48 @@
+const fs = require("fs")
+const path = require("path")
+const { describe, it } = require("node:test")
+const assert = require("node:assert")
+const Workspace = require("../lib/workspace")
+const { createWorkspace } = require("./rule-tester")
+
+const file = (root, relative) => path.join(root, relative)
+
+describe("Workspace", () => {
+  it("reads projects from workspace.json, with project.json taking precedence", () => {
+    const root = createWorkspace({
+      "workspace.json": {
+        version: 2,
+        projects: {
+          shop: "apps/shop",
+          "shop-ui": { root: "libs/shop/ui", projectType: "library", tags: ["scope:shop"] },
+          "shared-util": { root: "libs/shared/util", tags: ["scope:old"] },
+        },
+      },
+      "apps/shop/project.json": { projectType: "application", tags: ["scope:shop", "type:app"] },
+      "libs/shared/util/project.json": { name: "shared-util", tags: ["scope:shared"] },
+    })
+    const workspace = Workspace.forFile(file(root, "apps/shop/src/main.ts"))
+
+    assert.deepStrictEqual(workspace.projectForFile(file(root, "apps/shop/src/main.ts")).tags, [
+      "scope:shop",
+      "type:app",
+    ])
+    assert.strictEqual(workspace.projectForFile(file(root, "apps/shop/src/main.ts")).projectType, "application")
+    assert.deepStrictEqual(workspace.projectForFile(file(root, "libs/shop/ui/src/index.ts")).tags, ["scope:shop"])
+    assert.deepStrictEqual(workspace.projectForFile(file(root, "libs/shared/util/src/index.ts")).tags, ["scope:shared"])
+  })
+
+  it("reloads a cached workspace when a project.json changes", async () => {
+    const root = createWorkspace({ "libs/ui/project.json": { name: "ui", tags: ["scope:old"] } })
+    const source = file(root, "libs/ui/src/index.ts")
+    assert.deepStrictEqual(Workspace.forFile(source).projectForFile(source).tags, ["scope:old"])
+
+    fs.writeFileSync(file(root, "libs/ui/project.json"), JSON.stringify({ name: "ui", tags: ["scope:new"] }))
+    const later = new Date(Date.now() + 5000)
+    fs.utimesSync(file(root, "libs/ui/project.json"), later, later)
+    assert.deepStrictEqual(Workspace.forFile(source).projectForFile(source).tags, ["scope:old"])
+
+    await new Promise((resolve) => setTimeout(resolve, 1100))
+    assert.deepStrictEqual(Workspace.forFile(source).projectForFile(source).tags, ["scope:new"])
+  })
+})
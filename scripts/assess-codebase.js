@@ -2,19 +2,61 @@
 
 const fs = require("fs")
 const path = require("path")
-const { execSync } = require("child_process")
+const AffectedScope = require("./lib/affected")
+const CodeHealth = require("./lib/code-health")
+const FileScanner = require("./lib/file-scanner")
+const LintEngine = require("./lib/lint-engine")
+const NxWorkspace = require("./lib/nx-workspace")
+const ProjectConfig = require("./lib/project-config")
+
+const DEFAULT_FIX_EFFORT = { default: { fixable: 0.25, suggestion: 1, manual: 2 }, rules: {} }
 
 class CodebaseAssessment {
-  constructor() {
+  constructor(options = {}) {
+    this.effortConfigPath = options.effortConfigPath || "configs/fix-effort.js"
+    this.affected = options.affected || null
+    this.extensions = options.extensions || null
+    this.excludeDirs = options.excludeDirs || null
+    this.healthThresholds = options.healthThresholds || {}
+    this.codeHealth = options.codeHealth !== false
+    this.concurrency = options.concurrency || 32
+    this.useGit = options.useGit !== false
     this.results = {
+      scope: { mode: "full", projects: [] },
+      scan: null,
       totalFiles: 0,
       totalLines: 0,
       estimatedViolations: 0,
+      fixableErrorCount: 0,
+      fixableWarningCount: 0,
+      suggestionViolations: 0,
+      manualViolations: 0,
+      ruleBreakdown: {},
       complexityScore: 0,
+      codeHealth: null,
+      riskAreas: [],
       riskLevel: "Low",
       estimatedFixTime: "0 hours",
+      estimatedFixMinutes: { fixable: 0, suggestion: 0, manual: 0, total: 0 },
       recommendations: [],
+      projects: {},
+      projectTypes: {},
+      tags: {},
+      unassigned: {
+        files: 0,
+        lines: 0,
+        violations: 0,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        suggestionViolations: 0,
+        manualViolations: 0,
+      },
+      pilotCandidates: [],
+      parseErrors: 0,
     }
+    this.workspace = null
+    this.health = null
+    this.files = []
   }
 
   async runAssessment(outputPath = "reports/assessment.json") {
@@ -27,82 +69,184 @@ class CodebaseAssessment {
         fs.mkdirSync(reportsDir, { recursive: true })
       }
 
-      // Step 1: Count files and lines
+      // Step 1: Discover Nx projects
+      this.loadWorkspace()
+
+      // Step 2: Count files and lines
       await this.analyzeCodebase()
 
-      // Step 2: Run ESLint dry-run to estimate violations
+      // Step 3: Run ESLint dry-run to estimate violations
       await this.estimateViolations()
 
-      // Step 3: Calculate complexity and risk
+      // Step 4: Calculate complexity and risk
       this.calculateRiskAssessment()
 
-      // Step 4: Generate recommendations
+      // Step 5: Rank pilot project candidates
+      this.rankPilotCandidates()
+
+      // Step 6: Generate recommendations
       this.generateRecommendations()
 
-      // Step 5: Save results
+      // Step 7: Save results
       this.saveResults(outputPath)
 
       console.log("✅ Assessment complete!")
       console.log(`📊 Results saved to: ${outputPath}`)
-      this.printSummary()
+      this.printSummary(outputPath)
     } catch (error) {
       console.error("❌ Assessment failed:", error.message)
       process.exit(1)
     }
   }
 
+  loadWorkspace() {
+    console.log("🗂️  Discovering Nx projects...")
+
+    this.workspace = new NxWorkspace(".").load()
+
+    if (this.workspace.isNxWorkspace()) {
+      console.log(`📦 Found ${this.workspace.projects.length} Nx projects`)
+    } else {
+      console.log("ℹ️  No Nx workspace detected, skipping per-project breakdown")
+    }
+  }
+
+  projectStats(file) {
+    const project = this.workspace && this.workspace.projectForFile(file)
+    if (!project) return this.results.unassigned
+
+    if (!this.results.projects[project.name]) {
+      this.results.projects[project.name] = {
+        root: project.root,
+        projectType: project.projectType,
+        tags: project.tags,
+        files: 0,
+        lines: 0,
+        violations: 0,
+        fixableErrorCount: 0,
+        fixableWarningCount: 0,
+        suggestionViolations: 0,
+        manualViolations: 0,
+      }
+    }
+
+    return this.results.projects[project.name]
+  }
+
   async analyzeCodebase() {
     console.log("📁 Analyzing codebase structure...")
 
-    const extensions = [".js", ".jsx", ".ts", ".tsx"]
-    const excludeDirs = ["node_modules", "dist", "build", ".git"]
+    const scanner = new FileScanner({
+      extensions: this.extensions,
+      excludeDirs: this.excludeDirs,
+      concurrency: this.concurrency,
+      useGit: this.useGit,
+    })
+    let files = await scanner.listFiles()
+
+    // Affected mode only looks at projects touched by changes since the base ref
+    if (this.affected) {
+      const { patterns, ...scope } = new AffectedScope(this.workspace, this.affected).compute()
+      const roots = patterns.map((pattern) => path.normalize(pattern))
+      files = files.filter((file) =>
+        roots.some((root) => root === "." || file === root || file.startsWith(root + path.sep)),
+      )
+      this.results.scope = scope
+      console.log(`🎯 Affected projects (${scope.projects.length}): ${scope.projects.join(", ") || "none"}`)
+    }
 
-    const files = this.findFiles(".", extensions, excludeDirs)
+    this.files = files
     this.results.totalFiles = files.length
+    this.health = this.codeHealth ? new CodeHealth({ thresholds: this.healthThresholds }) : null
+    // Once up front, so a missing parser fails the assessment instead of every file's metrics
+    if (this.health) this.health.loadParsers()
 
-    let totalLines = 0
-    files.forEach((file) => {
+    // Lines are counted by streaming; only code health needs a file's content, and none of it is kept
+    const lineCounts = await scanner.forEach(files, async (file) => {
       try {
-        const content = fs.readFileSync(file, "utf8")
-        totalLines += content.split("\n").length
+        if (!this.health) return await scanner.countLines(file)
+
+        const content = await fs.promises.readFile(file, "utf8")
+        this.health.add(file, content)
+        return content.split("\n").length
       } catch (error) {
         console.warn(`⚠️  Could not read file: ${file}`)
+        return null
       }
     })
 
+    let totalLines = 0
+    files.forEach((file, index) => {
+      if (lineCounts[index] === null) return
+
+      const stats = this.projectStats(file)
+      stats.files++
+      stats.lines += lineCounts[index]
+      totalLines += lineCounts[index]
+    })
+
     this.results.totalLines = totalLines
+    this.results.scan = { source: scanner.source, concurrency: scanner.concurrency, ...scanner.timing }
+    scanner.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`))
     console.log(`📊 Found ${files.length} files with ${totalLines} total lines`)
+    console.log(
+      `⏱️  Listed files with ${scanner.source === "git" ? "git ls-files" : "a directory walk"} in ${scanner.timing.listMs}ms, read them in ${scanner.timing.processMs}ms`,
+    )
+    if (this.health) this.summarizeCodeHealth()
   }
 
-  findFiles(dir, extensions, excludeDirs) {
-    let files = []
-
-    try {
-      const items = fs.readdirSync(dir)
+  // Structure metrics per project, so risk follows complex code and not just large code
+  summarizeCodeHealth() {
+    const results = this.health.results()
+    const byProject = new Map()
+    results.forEach((metrics, file) => {
+      const stats = this.projectStats(file)
+      byProject.set(stats, [...(byProject.get(stats) || []), metrics])
+    })
+    byProject.forEach((metrics, stats) => {
+      stats.codeHealth = this.health.summarize(metrics)
+    })
 
-      for (const item of items) {
-        const fullPath = path.join(dir, item)
-        const stat = fs.statSync(fullPath)
+    const summary = this.health.summarize([...results.values()])
+    this.results.codeHealth = {
+      thresholds: this.health.thresholds,
+      ...summary,
+      hotspots: this.health.hotspots(results),
+    }
 
-        if (stat.isDirectory() && !excludeDirs.includes(item)) {
-          files = files.concat(this.findFiles(fullPath, extensions, excludeDirs))
-        } else if (stat.isFile() && extensions.some((ext) => item.endsWith(ext))) {
-          files.push(fullPath)
-        }
-      }
-    } catch (error) {
-      console.warn(`⚠️  Could not read directory: ${dir}`)
+    if (this.health.skippedTypeScript > 0) {
+      console.warn(
+        `⚠️  @typescript-eslint/typescript-estree is not installed: ${this.health.skippedTypeScript} TypeScript files have no structure metrics`,
+      )
     }
+    console.log(
+      `🧬 Code health: ${summary.complexFunctions} complex functions, ${Math.round(summary.duplicationRatio * 100)}% duplicated lines, structure score ${summary.structureScore}/100`,
+    )
+  }
+
+  // Why a project's structure score is high, in terms of the configured thresholds
+  healthReasons(health) {
+    const { complexity, functionLength, nestingDepth } = this.health.thresholds
+    const reasons = []
+
+    const { complexFunctions, deeplyNested, longFunctions } = health
+    const functions = (count) => `${count} function${count === 1 ? "" : "s"}`
+    if (complexFunctions > 0) reasons.push(`${functions(complexFunctions)} above complexity ${complexity}`)
+    if (deeplyNested > 0) reasons.push(`${functions(deeplyNested)} nested deeper than ${nestingDepth}`)
+    if (longFunctions > 0) reasons.push(`${functions(longFunctions)} over ${functionLength} lines`)
+    if (health.duplicationRatio >= 0.05) reasons.push(`${Math.round(health.duplicationRatio * 100)}% duplicated lines`)
+    if (health.anyPer1kLines >= 2) reasons.push(`${health.anyPer1kLines} \`any\` per 1k TypeScript lines`)
 
-    return files
+    return reasons
   }
 
   async estimateViolations() {
     console.log("🔧 Estimating ESLint violations...")
 
-    try {
-      // Create a temporary ESLint config for assessment
-      const tempConfig = {
+    // In-memory assessment config: nothing is written into the repository
+    const engine = new LintEngine({
+      useEslintrc: false,
+      overrideConfig: {
         extends: ["@nx/eslint-plugin-nx/recommended"],
         rules: {
           semi: "error",
@@ -112,50 +256,119 @@ class CodebaseAssessment {
           indent: ["error", 2],
           "comma-dangle": ["error", "always-multiline"],
         },
-      }
+      },
+    })
 
-      fs.writeFileSync(".eslintrc.temp.json", JSON.stringify(tempConfig, null, 2))
+    let eslintResults
+    try {
+      eslintResults = await engine.lint(this.files)
+    } catch (error) {
+      throw new Error(`Could not estimate violations: ${error.message}`)
+    }
 
-      // Run ESLint with the temp config (dry run)
-      const result = execSync("npx eslint . --config .eslintrc.temp.json --format json --ext .js,.jsx,.ts,.tsx", {
-        encoding: "utf8",
-        stdio: "pipe",
-      })
+    const fatalErrors = LintEngine.fatalErrors(eslintResults)
+    if (fatalErrors.length > 0) {
+      console.warn(`⚠️  ${fatalErrors.length} files could not be parsed and are counted as violations:`)
+      fatalErrors.slice(0, 10).forEach((fatal) => console.warn(`   ${fatal.filePath}:${fatal.line} ${fatal.message}`))
+    }
+    this.results.parseErrors = fatalErrors.length
 
-      const eslintResults = JSON.parse(result)
-      this.results.estimatedViolations = eslintResults.reduce((total, file) => total + file.messages.length, 0)
+    this.recordViolations(eslintResults)
+    console.log(`🚨 Estimated violations: ${this.results.estimatedViolations}`)
+  }
 
-      // Clean up temp config
-      fs.unlinkSync(".eslintrc.temp.json")
-    } catch (error) {
-      // ESLint will exit with non-zero code when violations found
-      if (error.stdout) {
-        try {
-          const eslintResults = JSON.parse(error.stdout)
-          this.results.estimatedViolations = eslintResults.reduce((total, file) => total + file.messages.length, 0)
-        } catch (parseError) {
-          console.warn("⚠️  Could not parse ESLint output, using estimation")
-          this.results.estimatedViolations = Math.floor(this.results.totalLines * 0.1)
+  recordViolations(eslintResults) {
+    this.results.estimatedViolations = eslintResults.reduce((total, file) => total + file.messages.length, 0)
+    this.results.fixableErrorCount = eslintResults.reduce((total, file) => total + file.fixableErrorCount, 0)
+    this.results.fixableWarningCount = eslintResults.reduce((total, file) => total + file.fixableWarningCount, 0)
+
+    eslintResults.forEach((file) => {
+      const stats = this.projectStats(file.filePath)
+      stats.violations += file.messages.length
+      stats.fixableErrorCount += file.fixableErrorCount
+      stats.fixableWarningCount += file.fixableWarningCount
+
+      file.messages.forEach((message) => {
+        const rule = message.ruleId || "unknown"
+        const ruleStats =
+          this.results.ruleBreakdown[rule] ||
+          (this.results.ruleBreakdown[rule] = {
+            violations: 0,
+            errorCount: 0,
+            warningCount: 0,
+            fixableErrorCount: 0,
+            fixableWarningCount: 0,
+            suggestionCount: 0,
+          })
+        const isError = message.severity === 2
+
+        ruleStats.violations++
+        ruleStats[isError ? "errorCount" : "warningCount"]++
+        // Every violation lands in one of the buckets the fix effort is estimated from
+        if (message.fix) {
+          ruleStats[isError ? "fixableErrorCount" : "fixableWarningCount"]++
+        } else if (message.suggestions && message.suggestions.length > 0) {
+          ruleStats.suggestionCount++
+          stats.suggestionViolations++
+          this.results.suggestionViolations++
+        } else {
+          stats.manualViolations++
+          this.results.manualViolations++
         }
-      } else {
-        console.warn("⚠️  ESLint dry-run failed, using line-based estimation")
-        this.results.estimatedViolations = Math.floor(this.results.totalLines * 0.1)
-      }
-    }
+      })
+    })
+  }
 
-    console.log(`🚨 Estimated violations: ${this.results.estimatedViolations}`)
+  loadFixEffort() {
+    const resolved = path.resolve(this.effortConfigPath)
+    if (!fs.existsSync(resolved)) return DEFAULT_FIX_EFFORT
+
+    const config = require(resolved)
+    return { default: { ...DEFAULT_FIX_EFFORT.default, ...config.default }, rules: config.rules || {} }
+  }
+
+  // Weighs every rule's fixable, suggestion-only and manual violations by its configured effort
+  estimateFixEffort() {
+    const effort = this.loadFixEffort()
+    const minutes = { fixable: 0, suggestion: 0, manual: 0 }
+
+    Object.entries(this.results.ruleBreakdown).forEach(([rule, stats]) => {
+      const weights = { ...effort.default, ...effort.rules[rule] }
+      const fixable = stats.fixableErrorCount + stats.fixableWarningCount
+      const manual = stats.violations - fixable - stats.suggestionCount
+
+      stats.estimatedMinutes =
+        fixable * weights.fixable + stats.suggestionCount * weights.suggestion + manual * weights.manual
+      minutes.fixable += fixable * weights.fixable
+      minutes.suggestion += stats.suggestionCount * weights.suggestion
+      minutes.manual += manual * weights.manual
+    })
+
+    const round = (value) => Math.round(value * 10) / 10
+    this.results.estimatedFixMinutes = {
+      fixable: round(minutes.fixable),
+      suggestion: round(minutes.suggestion),
+      manual: round(minutes.manual),
+      total: round(minutes.fixable + minutes.suggestion + minutes.manual),
+    }
   }
 
   calculateRiskAssessment() {
     console.log("📈 Calculating risk assessment...")
 
-    const violationRatio = this.results.estimatedViolations / this.results.totalLines
+    // Auto-fixable violations carry a fraction of the risk of ones needing manual changes; suggestions still need a
+    // person to pick one
+    const fixableViolations = this.results.fixableErrorCount + this.results.fixableWarningCount
+    const effectiveViolations =
+      this.results.manualViolations + this.results.suggestionViolations + fixableViolations * 0.2
+    const violationRatio = this.results.totalLines > 0 ? effectiveViolations / this.results.totalLines : 0
     const fileComplexity = this.results.totalFiles > 1000 ? "High" : this.results.totalFiles > 500 ? "Medium" : "Low"
 
-    // Calculate complexity score (0-100)
+    // Calculate complexity score (0-100); hard-to-change code makes every violation riskier to fix
+    const structureScore = this.results.codeHealth ? this.results.codeHealth.structureScore : 0
     this.results.complexityScore = Math.min(
       100,
-      violationRatio * 50 + this.results.totalFiles / 100 + this.results.totalLines / 10000,
+      violationRatio * 50 + this.results.totalFiles / 100 + this.results.totalLines / 10000 + structureScore * 0.5,
     )
 
     // Determine risk level
@@ -167,9 +380,19 @@ class CodebaseAssessment {
       this.results.riskLevel = "Low"
     }
 
-    // Estimate fix time (assuming 1 violation = 2 minutes average)
-    const estimatedMinutes = this.results.estimatedViolations * 2
-    const hours = Math.ceil(estimatedMinutes / 60)
+    this.results.riskAreas = Object.entries(this.results.projects)
+      .filter(([, stats]) => stats.codeHealth && stats.codeHealth.structureScore >= 40)
+      .sort(([, a], [, b]) => b.codeHealth.structureScore - a.codeHealth.structureScore)
+      .slice(0, 5)
+      .map(([project, stats]) => ({
+        project,
+        structureScore: stats.codeHealth.structureScore,
+        reasons: this.healthReasons(stats.codeHealth),
+      }))
+
+    // Estimate fix time from per-rule effort weights
+    this.estimateFixEffort()
+    const hours = Math.ceil(this.results.estimatedFixMinutes.total / 60)
     this.results.estimatedFixTime = `${hours} hours`
 
     console.log(`📊 Complexity Score: ${this.results.complexityScore}/100`)
@@ -177,6 +400,66 @@ class CodebaseAssessment {
     console.log(`⏱️  Estimated Fix Time: ${this.results.estimatedFixTime}`)
   }
 
+  rankPilotCandidates() {
+    const projects = Object.entries(this.results.projects)
+    if (projects.length === 0) return
+
+    console.log("🧪 Ranking pilot project candidates...")
+
+    const densityOf = (stats) => (stats.lines > 0 ? (stats.violations / stats.lines) * 1000 : 0)
+    const maxLines = Math.max(...projects.map(([, stats]) => stats.lines), 1)
+    const maxDensity = Math.max(...projects.map(([, stats]) => densityOf(stats)), 1)
+
+    // Aggregate by project type and by tag
+    projects.forEach(([, stats]) => {
+      const groups = [
+        [this.results.projectTypes, stats.projectType],
+        ...stats.tags.map((tag) => [this.results.tags, tag]),
+      ]
+
+      groups.forEach(([target, key]) => {
+        const group = target[key] || (target[key] = { projects: 0, files: 0, lines: 0, violations: 0 })
+        group.projects++
+        group.files += stats.files
+        group.lines += stats.lines
+        group.violations += stats.violations
+      })
+    })
+
+    // Good pilots are small, relatively clean and self-contained (libraries)
+    this.results.pilotCandidates = projects
+      .filter(([, stats]) => stats.files > 0)
+      .map(([name, stats]) => {
+        const density = densityOf(stats)
+        const sizeScore = 1 - stats.lines / maxLines
+        const densityScore = 1 - density / maxDensity
+        const structureScore = stats.codeHealth ? 1 - stats.codeHealth.structureScore / 100 : 1
+        const isLibrary = stats.projectType === "library"
+        const reasons = []
+
+        if (sizeScore >= 0.5) reasons.push("Small codebase keeps pilot scope manageable")
+        if (densityScore >= 0.5) reasons.push("Low violation density")
+        if (structureScore >= 0.8) reasons.push("Simple structure: few complex, nested or duplicated functions")
+        if (isLibrary) reasons.push("Library: limited blast radius")
+
+        return {
+          project: name,
+          projectType: stats.projectType,
+          tags: stats.tags,
+          files: stats.files,
+          lines: stats.lines,
+          violations: stats.violations,
+          violationsPer1kLines: Math.round(density * 10) / 10,
+          score: Math.round(
+            (sizeScore * 0.35 + densityScore * 0.35 + structureScore * 0.15 + (isLibrary ? 0.15 : 0)) * 100,
+          ),
+          reasons,
+        }
+      })
+      .sort((a, b) => b.score - a.score || a.lines - b.lines)
+      .slice(0, 5)
+  }
+
   generateRecommendations() {
     console.log("💡 Generating recommendations...")
 
@@ -186,6 +469,7 @@ class CodebaseAssessment {
       recommendations.push("Consider extended timeline (16+ weeks)")
       recommendations.push("Start with pilot project on smallest codebase section")
       recommendations.push("Focus on auto-fixable rules first")
+      recommendations.push("Order rule introduction with scripts/plan-rule-rollout.js")
       recommendations.push("Plan for significant exception handling")
     } else if (this.results.riskLevel === "Medium") {
       recommendations.push("Standard timeline (12-16 weeks) should work")
@@ -209,6 +493,41 @@ class CodebaseAssessment {
       recommendations.push("Consider gradual rule introduction")
     }
 
+    if (this.results.pilotCandidates.length > 0) {
+      recommendations.push(`Use "${this.results.pilotCandidates[0].project}" as the Phase 2 pilot project`)
+    }
+
+    this.results.riskAreas.slice(0, 3).forEach((area) => {
+      recommendations.push(
+        `Schedule "${area.project}" late and refactor its hotspots first (${area.reasons.slice(0, 2).join(", ")})`,
+      )
+    })
+
+    const health = this.results.codeHealth
+    if (health && health.complexFunctions > 0) {
+      recommendations.push(
+        `Introduce complexity and max-depth as warnings only after refactoring: ${health.complexFunctions} functions exceed complexity ${health.thresholds.complexity}`,
+      )
+    }
+    if (health && health.duplicationRatio >= 0.05) {
+      recommendations.push(
+        `${Math.round(health.duplicationRatio * 100)}% of lines are duplicated: extract shared code into libraries before fixing each copy`,
+      )
+    }
+    if (health && health.anyPer1kLines >= 5) {
+      recommendations.push(
+        `Keep @typescript-eslint/no-explicit-any a warning: ${health.anyCount} \`any\` types (${health.anyPer1kLines} per 1k TypeScript lines)`,
+      )
+    }
+
+    const fixableShare =
+      this.results.estimatedViolations > 0
+        ? (this.results.fixableErrorCount + this.results.fixableWarningCount) / this.results.estimatedViolations
+        : 0
+    if (fixableShare >= 0.5) {
+      recommendations.push(`${Math.round(fixableShare * 100)}% of violations are auto-fixable: run eslint --fix first`)
+    }
+
     this.results.recommendations = recommendations
   }
 
@@ -227,25 +546,63 @@ class CodebaseAssessment {
     fs.writeFileSync(outputPath, JSON.stringify(report, null, 2))
   }
 
-  printSummary() {
+  printSummary(outputPath = "reports/assessment.json") {
     console.log("\n📋 ASSESSMENT SUMMARY")
     console.log("========================")
     console.log(`Files analyzed: ${this.results.totalFiles}`)
     console.log(`Total lines: ${this.results.totalLines.toLocaleString()}`)
     console.log(`Estimated violations: ${this.results.estimatedViolations.toLocaleString()}`)
+    console.log(
+      `Auto-fixable: ${(this.results.fixableErrorCount + this.results.fixableWarningCount).toLocaleString()} (suggestions: ${this.results.suggestionViolations.toLocaleString()}, manual: ${this.results.manualViolations.toLocaleString()})`,
+    )
     console.log(`Complexity score: ${this.results.complexityScore}/100`)
+    if (this.results.codeHealth) {
+      const health = this.results.codeHealth
+      console.log(
+        `Code health: ${health.functions} functions, average complexity ${health.averageComplexity} (max ${health.maxComplexity}), max nesting ${health.maxNestingDepth}, ${health.duplicateBlocks} duplicate blocks, ${health.anyCount} any`,
+      )
+    }
     console.log(`Risk level: ${this.results.riskLevel}`)
     console.log(`Estimated fix time: ${this.results.estimatedFixTime}`)
+    if (this.results.pilotCandidates.length > 0) {
+      console.log("\n🧪 PILOT CANDIDATES:")
+      this.results.pilotCandidates
+        .slice(0, 3)
+        .forEach((candidate) =>
+          console.log(
+            `  • ${candidate.project} (${candidate.projectType}, score ${candidate.score}): ${candidate.lines} lines, ${candidate.violations} violations`,
+          ),
+        )
+    }
+    if (this.results.riskAreas.length > 0) {
+      console.log("\n🔥 STRUCTURAL RISK AREAS:")
+      this.results.riskAreas.forEach((area) =>
+        console.log(`  • ${area.project} (structure score ${area.structureScore}): ${area.reasons.join(", ")}`),
+      )
+    }
     console.log("\n💡 KEY RECOMMENDATIONS:")
     this.results.recommendations.forEach((rec) => console.log(`  • ${rec}`))
-    console.log("\n🚀 Next: Review reports/assessment.json and begin Phase 1")
+    console.log(`\n🚀 Next: Review ${outputPath} and begin Phase 1`)
   }
 }
 
 // CLI execution
 if (require.main === module) {
-  const outputPath = process.argv[2] || "reports/assessment.json"
-  const assessment = new CodebaseAssessment()
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+  const config = ProjectConfig.fromArgs(args)
+  const outputPath = args[0] && !args[0].startsWith("--") ? args[0] : config.report("assessment.json")
+
+  const assessment = new CodebaseAssessment({
+    effortConfigPath: option("--effort-config"),
+    affected: args.includes("--affected") ? { base: option("--base"), head: option("--head") } : null,
+    extensions: config.extensions,
+    excludeDirs: config.excludeDirs,
+    healthThresholds: config.thresholds.health,
+    codeHealth: !args.includes("--skip-health"),
+    concurrency: option("--concurrency") && parseInt(option("--concurrency"), 10),
+    useGit: !args.includes("--no-git"),
+  })
   assessment.runAssessment(outputPath)
 }
 
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+
+// Messages git or tooling generates, which are exempt from the format
+const EXEMPT = [/^Merge /, /^Revert "/, /^(fixup|squash|amend)! /]
+
+// Validates commit messages against the conventional commit format configured for the commit-msg hook
+class CommitMessageLinter {
+  constructor(options = {}) {
+    this.configPath = options.configPath || "configs/git-hooks.js"
+  }
+
+  loadRules() {
+    const defaults = { types: ["feat", "fix", "chore", "docs", "refactor", "test"], maxHeaderLength: 100 }
+    if (!fs.existsSync(this.configPath)) return defaults
+
+    return { ...defaults, ...require(path.resolve(this.configPath))["commit-msg"] }
+  }
+
+  lint(message) {
+    const { types, maxHeaderLength } = this.loadRules()
+    const header = message.split("\n").find((line) => line.trim() && !line.startsWith("#")) || ""
+    const errors = []
+
+    if (EXEMPT.some((pattern) => pattern.test(header))) return { header, errors }
+
+    const match = header.match(/^(\w+)(\([^()]+\))?!?: (.*)$/)
+    if (!match) {
+      errors.push('Header must look like "type(scope): subject", e.g. "fix(api): handle empty response"')
+    } else {
+      if (!types.includes(match[1])) errors.push(`Unknown type "${match[1]}"; use one of: ${types.join(", ")}`)
+      if (!match[3].trim()) errors.push("Subject must not be empty")
+    }
+    if (header.length > maxHeaderLength) {
+      errors.push(`Header is ${header.length} characters; the limit is ${maxHeaderLength}`)
+    }
+
+    return { header, errors }
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const messageFile = process.argv[2] || ".git/COMMIT_EDITMSG"
+  const { header, errors } = new CommitMessageLinter().lint(fs.readFileSync(messageFile, "utf8"))
+
+  if (errors.length > 0) {
+    console.error(`❌ Invalid commit message: "${header}"`)
+    errors.forEach((error) => console.error(`  • ${error}`))
+    process.exit(1)
+  }
+}
+
+module.exports = CommitMessageLinter
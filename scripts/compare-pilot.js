@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const { execFileSync } = require("child_process")
+const CodebaseAssessment = require("./assess-codebase")
+const NxWorkspace = require("./lib/nx-workspace")
+const ProjectConfig = require("./lib/project-config")
+const { AUTO_FIX_TRAILER } = require("./run-auto-fix")
+const AUTO_FIX_VIOLATIONS = /\((\d+) violations\)/
+
+// Compares two progress reports, e.g. from before and after the pilot: which rules and files got better or worse,
+// how much of it eslint --fix did, and what that saved against the assessment's estimate
+class PilotComparison {
+  constructor(options = {}) {
+    this.beforePath = options.beforePath || null
+    this.afterPath = options.afterPath || null
+    this.assessmentPath = options.assessmentPath || "reports/assessment.json"
+    this.effortConfigPath = options.effortConfigPath || "configs/fix-effort.js"
+    this.projectNames = options.projects || []
+    this.range = options.range || null
+    this.workspace = null
+    this.ruleChanges = []
+    this.comparison = {
+      generatedAt: new Date().toISOString(),
+      before: null,
+      after: null,
+      scope: { projects: this.projectNames },
+      summary: {},
+      rules: { resolved: [], introduced: [], improved: [], regressed: [] },
+      files: { improved: [], regressed: [], unchanged: 0 },
+      projects: {},
+      fixes: { range: null, available: false, automatic: [], manualCommits: [], byRule: [] },
+      time: null,
+    }
+  }
+
+  async compare(outputPath = "reports/pilot-comparison.json") {
+    console.log("🔬 Comparing pilot reports...")
+
+    try {
+      if (!this.beforePath || !this.afterPath) {
+        throw new Error("Pass the progress reports from before and after the pilot")
+      }
+      const before = this.loadReport(this.beforePath)
+      const after = this.loadReport(this.afterPath)
+      this.loadWorkspace()
+
+      const beforeFiles = this.scopedFiles(before)
+      const afterFiles = this.scopedFiles(after)
+      this.comparison.before = this.snapshot(this.beforePath, before, beforeFiles)
+      this.comparison.after = this.snapshot(this.afterPath, after, afterFiles)
+
+      this.compareRules(beforeFiles, afterFiles)
+      this.compareFiles(beforeFiles, afterFiles)
+      this.compareProjects(before, after)
+      this.classifyFixes(before, after)
+      this.estimateTimeSaved()
+      this.summarize()
+
+      const outputDir = path.dirname(outputPath)
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true })
+      }
+      fs.writeFileSync(outputPath, JSON.stringify(this.comparison, null, 2))
+
+      console.log(`📄 Comparison saved to: ${outputPath}`)
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ Pilot comparison failed:", error.message)
+      process.exit(1)
+    }
+
+    return this.comparison
+  }
+
+  loadReport(file) {
+    if (!fs.existsSync(file)) throw new Error(`Report not found: ${file}`)
+
+    const report = JSON.parse(fs.readFileSync(file, "utf8"))
+    if (!report.violations || !report.violations.fileBreakdown) {
+      throw new Error(`${file} has no per-file violations; generate it with scripts/generate-progress-report.js`)
+    }
+    return report
+  }
+
+  loadWorkspace() {
+    if (this.projectNames.length === 0) return
+
+    this.workspace = new NxWorkspace(".").load()
+    const unknown = this.projectNames.filter(
+      (name) => !this.workspace.projects.some((project) => project.name === name),
+    )
+    if (unknown.length > 0) {
+      throw new Error(`Unknown projects: ${unknown.join(", ")}`)
+    }
+  }
+
+  inScope(file) {
+    if (!this.workspace) return true
+
+    const project = this.workspace.projectForFile(file)
+    return Boolean(project && this.projectNames.includes(project.name))
+  }
+
+  // Violations per file, limited to the pilot projects when given
+  scopedFiles(report) {
+    return Object.fromEntries(
+      Object.entries(report.violations.fileBreakdown)
+        .filter(([file]) => this.inScope(file))
+        .map(([file, stats]) => [file, { total: stats.errors + stats.warnings, rules: stats.rules }]),
+    )
+  }
+
+  snapshot(file, report, files) {
+    const ruleCounts = this.ruleCounts(files)
+
+    return {
+      file,
+      timestamp: report.timestamp,
+      commit: (report.git && report.git.commit) || null,
+      phase: report.phase,
+      violations: Object.values(ruleCounts).reduce((total, count) => total + count, 0),
+      filesWithViolations: Object.keys(files).length,
+      compliancePercentage: report.violations.compliancePercentage,
+    }
+  }
+
+  ruleCounts(files) {
+    const counts = {}
+    Object.values(files).forEach(({ rules }) =>
+      Object.entries(rules).forEach(([rule, count]) => {
+        counts[rule] = (counts[rule] || 0) + count
+      }),
+    )
+    return counts
+  }
+
+  compareRules(beforeFiles, afterFiles) {
+    const before = this.ruleCounts(beforeFiles)
+    const after = this.ruleCounts(afterFiles)
+    const rules = this.comparison.rules
+
+    // Per-file drops and rises, so violations fixed in one file are not hidden by new ones in another
+    const fixed = {}
+    const added = {}
+    new Set([...Object.keys(beforeFiles), ...Object.keys(afterFiles)]).forEach((file) => {
+      const was = beforeFiles[file] ? beforeFiles[file].rules : {}
+      const now = afterFiles[file] ? afterFiles[file].rules : {}
+      new Set([...Object.keys(was), ...Object.keys(now)]).forEach((rule) => {
+        const change = (now[rule] || 0) - (was[rule] || 0)
+        if (change < 0) fixed[rule] = (fixed[rule] || 0) - change
+        if (change > 0) added[rule] = (added[rule] || 0) + change
+      })
+    })
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((rule) => {
+      const entry = { rule, before: before[rule] || 0, after: after[rule] || 0 }
+      entry.delta = entry.after - entry.before
+      entry.fixed = fixed[rule] || 0
+      entry.added = added[rule] || 0
+      this.ruleChanges.push(entry)
+
+      if (entry.before > 0 && entry.after === 0) {
+        rules.resolved.push(entry)
+      } else if (entry.before === 0 && entry.after > 0) {
+        rules.introduced.push(entry)
+      } else if (entry.delta < 0) {
+        rules.improved.push(entry)
+      } else if (entry.delta > 0) {
+        rules.regressed.push(entry)
+      }
+    })
+
+    Object.values(rules).forEach((entries) => entries.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)))
+  }
+
+  compareFiles(beforeFiles, afterFiles) {
+    const files = this.comparison.files
+
+    new Set([...Object.keys(beforeFiles), ...Object.keys(afterFiles)]).forEach((file) => {
+      const before = beforeFiles[file] ? beforeFiles[file].total : 0
+      const after = afterFiles[file] ? afterFiles[file].total : 0
+
+      if (after < before) {
+        files.improved.push({ file, before, after, delta: after - before, fixedBy: null })
+      } else if (after > before) {
+        files.regressed.push({ file, before, after, delta: after - before })
+      } else {
+        files.unchanged++
+      }
+    })
+
+    files.improved.sort((a, b) => a.delta - b.delta)
+    files.regressed.sort((a, b) => b.delta - a.delta)
+  }
+
+  compareProjects(before, after) {
+    const beforeProjects = before.violations.projectBreakdown || {}
+    const afterProjects = after.violations.projectBreakdown || {}
+
+    new Set([...Object.keys(beforeProjects), ...Object.keys(afterProjects)]).forEach((name) => {
+      if (this.projectNames.length > 0 && !this.projectNames.includes(name)) return
+
+      const was = beforeProjects[name] || {}
+      const now = afterProjects[name] || {}
+      const violations = { before: was.violations || 0, after: now.violations || 0 }
+      this.comparison.projects[name] = {
+        violations: { ...violations, delta: violations.after - violations.before },
+        compliancePercentage: { before: was.compliancePercentage, after: now.compliancePercentage },
+      }
+    })
+  }
+
+  // Auto-fix commits between the two reports account for part of each rule's drop; the rest was fixed by hand
+  classifyFixes(before, after) {
+    const fixes = this.comparison.fixes
+    const commitOf = (report) => (report.git && report.git.commit) || null
+    fixes.range = this.range || (commitOf(before) && commitOf(after) ? `${commitOf(before)}..${commitOf(after)}` : null)
+
+    let commits = []
+    if (!fixes.range) {
+      console.warn("⚠️  The reports record no git commit; pass --range to classify fixes as automatic or manual")
+    } else {
+      try {
+        commits = this.gitLog(fixes.range)
+        fixes.available = true
+      } catch (error) {
+        console.warn(`⚠️  Could not read git history for ${fixes.range}; fixes are left unclassified`)
+      }
+    }
+
+    const improved = new Map(this.comparison.files.improved.map((entry) => [entry.file, entry]))
+    const autoFixed = {}
+    commits.forEach((commit) => {
+      const files = commit.files.filter((file) => this.inScope(file))
+      if (files.length === 0) return
+
+      const rule = commit.body.match(AUTO_FIX_TRAILER)
+      const source = rule ? "automatic" : "manual"
+      files
+        .filter((file) => improved.has(file))
+        .forEach((file) => {
+          const entry = improved.get(file)
+          entry.fixedBy = entry.fixedBy && entry.fixedBy !== source ? "both" : source
+        })
+
+      if (rule) {
+        const count = commit.body.match(AUTO_FIX_VIOLATIONS)
+        const violations = count ? Number(count[1]) : 0
+        autoFixed[rule[1]] = (autoFixed[rule[1]] || 0) + violations
+        fixes.automatic.push({ commit: commit.hash, subject: commit.subject, rule: rule[1], violations })
+      } else if (files.some((file) => improved.has(file))) {
+        fixes.manualCommits.push({ commit: commit.hash, subject: commit.subject })
+      }
+    })
+
+    // Auto-fix commits count what they fixed at the time; later edits may undo some, so cap at each rule's drop
+    fixes.byRule = this.ruleChanges
+      .filter(({ fixed }) => fixed > 0)
+      .sort((a, b) => b.fixed - a.fixed)
+      .map(({ rule, fixed }) => {
+        const automatic = Math.min(fixed, autoFixed[rule] || 0)
+        return fixes.available
+          ? { rule, fixed, automatic, manual: fixed - automatic, unclassified: 0 }
+          : { rule, fixed, automatic: 0, manual: 0, unclassified: fixed }
+      })
+  }
+
+  gitLog(range) {
+    const output = execFileSync("git", ["log", "--format=%x1e%h%x1f%s%x1f%b%x1f", "--name-only", range], {
+      encoding: "utf8",
+      stdio: "pipe",
+      maxBuffer: 256 * 1024 * 1024,
+    })
+
+    return output
+      .split("\x1e")
+      .filter(Boolean)
+      .map((entry) => {
+        const [hash, subject, body, names] = entry.split("\x1f")
+        return { hash, subject, body, files: names.split("\n").filter(Boolean) }
+      })
+  }
+
+  // Each auto-fixed violation saves its manual fix time less the time to review an eslint --fix change, both taken
+  // from configs/fix-effort.js like the assessment's estimate
+  estimateTimeSaved() {
+    const effort = new CodebaseAssessment({ effortConfigPath: this.effortConfigPath }).loadFixEffort()
+    const assessment = fs.existsSync(this.assessmentPath)
+      ? JSON.parse(fs.readFileSync(this.assessmentPath, "utf8")).assessment
+      : null
+    if (!assessment) {
+      console.warn(`⚠️  No assessment at ${this.assessmentPath}; time saved is not compared to its estimate`)
+    }
+
+    const minutes = { saved: 0, manual: 0 }
+    this.comparison.fixes.byRule.forEach(({ rule, automatic, manual }) => {
+      const weights = { ...effort.default, ...effort.rules[rule] }
+      minutes.saved += automatic * (weights.manual - weights.fixable)
+      minutes.manual += manual * weights.manual
+    })
+
+    const round = (value) => Math.round(value * 10) / 10
+    const estimate = assessment && assessment.estimatedFixMinutes ? assessment.estimatedFixMinutes.total : null
+    this.comparison.time = {
+      savedMinutes: round(minutes.saved),
+      savedHours: round(minutes.saved / 60),
+      manualMinutes: round(minutes.manual),
+      assessmentEstimate: assessment ? assessment.estimatedFixTime : null,
+      assessmentEstimateMinutes: estimate,
+      savedPercentOfEstimate: estimate ? Math.round((minutes.saved / estimate) * 100) : null,
+    }
+  }
+
+  summarize() {
+    const { before, after, rules, files, fixes } = this.comparison
+    const sum = (key) => fixes.byRule.reduce((total, entry) => total + entry[key], 0)
+
+    this.comparison.summary = {
+      violationsBefore: before.violations,
+      violationsAfter: after.violations,
+      violationDelta: after.violations - before.violations,
+      rulesResolved: rules.resolved.length,
+      rulesIntroduced: rules.introduced.length,
+      rulesRegressed: rules.regressed.length,
+      filesImproved: files.improved.length,
+      filesRegressed: files.regressed.length,
+      fixedAutomatically: sum("automatic"),
+      fixedManually: sum("manual"),
+      unclassified: sum("unclassified"),
+    }
+  }
+
+  printSummary() {
+    const { before, after, summary, rules, files, fixes, time } = this.comparison
+    const signed = (value) => (value > 0 ? `+${value}` : `${value}`)
+    const scope = this.projectNames.length > 0 ? ` (${this.projectNames.join(", ")})` : ""
+
+    console.log(`\n🔬 PILOT COMPARISON${scope}`)
+    console.log("====================")
+    console.log(`Violations: ${before.violations} → ${after.violations} (${signed(summary.violationDelta)})`)
+    console.log(`Phase: ${before.phase} → ${after.phase}`)
+
+    if (rules.resolved.length > 0) {
+      console.log(`\n✅ RULES RESOLVED (${rules.resolved.length}):`)
+      rules.resolved.slice(0, 10).forEach(({ rule, before: was }) => console.log(`  • ${rule}: ${was} → 0`))
+    }
+    if (rules.introduced.length > 0 || rules.regressed.length > 0) {
+      const worse = [...rules.introduced, ...rules.regressed]
+      console.log(`\n🆕 RULES INTRODUCED OR REGRESSED (${worse.length}):`)
+      worse.slice(0, 10).forEach(({ rule, before: was, after: now }) => console.log(`  • ${rule}: ${was} → ${now}`))
+    }
+
+    console.log(`\n📁 Files: ${files.improved.length} improved, ${files.regressed.length} regressed`)
+    files.regressed
+      .slice(0, 5)
+      .forEach(({ file, before: was, after: now }) => console.log(`  ⚠️  ${file}: ${was} → ${now}`))
+
+    if (fixes.available) {
+      console.log(`\n🔧 Fixes: ${summary.fixedAutomatically} automatic (${fixes.automatic.length} auto-fix commits)`)
+      console.log(`   ${summary.fixedManually} manual (${fixes.manualCommits.length} commits)`)
+    } else {
+      console.log(`\n🔧 Fixes: ${summary.unclassified} not classified (no git history)`)
+    }
+    const saved = time.savedMinutes < 60 ? `${time.savedMinutes} minutes` : `${time.savedHours} hours`
+    const share =
+      time.savedPercentOfEstimate !== null
+        ? ` (${time.savedPercentOfEstimate}% of the assessment's ${time.assessmentEstimate})`
+        : ""
+    console.log(`⏱️  Estimated time saved by auto-fix: ${saved}${share}`)
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+  const valueFlags = ["--output", "--assessment", "--effort-config", "--projects", "--range", "--project-config"]
+  const optionValues = valueFlags.map(option)
+  const config = ProjectConfig.fromArgs(args)
+  const [beforePath, afterPath] = args.filter((arg) => !arg.startsWith("--") && !optionValues.includes(arg))
+
+  const comparison = new PilotComparison({
+    beforePath,
+    afterPath,
+    assessmentPath: option("--assessment") || config.report("assessment.json"),
+    effortConfigPath: option("--effort-config"),
+    projects: option("--projects") ? option("--projects").split(",") : [],
+    range: option("--range"),
+  })
+  comparison.compare(option("--output") || config.report("pilot-comparison.json")).then(({ summary }) => {
+    if (args.includes("--fail-on-regression") && (summary.filesRegressed > 0 || summary.rulesIntroduced > 0)) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = PilotComparison
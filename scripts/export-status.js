@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const http = require("http")
+const https = require("https")
+const path = require("path")
+const ProjectConfig = require("./lib/project-config")
+const ReportHistory = require("./lib/report-history")
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000
+const FORMATS = ["markdown", "slack"]
+
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`)
+
+// Weekly status update from the assessment and progress reports, as Markdown and as a Slack webhook payload
+class StatusExporter {
+  constructor(options = {}) {
+    this.reportsDir = options.reportsDir || "reports"
+    this.outputDir = options.outputDir || this.reportsDir
+    this.formats = options.formats || FORMATS
+    this.webhookUrl = options.webhookUrl || null
+    this.assessment = null
+    this.progress = null
+    this.history = []
+  }
+
+  async export() {
+    console.log("📣 Exporting status update...")
+
+    const outputs = {}
+    try {
+      const unknown = this.formats.filter((format) => !FORMATS.includes(format))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown format: ${unknown.join(", ")} (use ${FORMATS.join(", ")})`)
+      }
+
+      this.loadReports()
+      const status = this.buildStatus()
+
+      if (!fs.existsSync(this.outputDir)) {
+        fs.mkdirSync(this.outputDir, { recursive: true })
+      }
+      if (this.formats.includes("markdown")) {
+        outputs.markdown = path.join(this.outputDir, "status.md")
+        fs.writeFileSync(outputs.markdown, this.renderMarkdown(status))
+      }
+      if (this.formats.includes("slack") || this.webhookUrl) {
+        const payload = this.renderSlack(status)
+        outputs.slack = path.join(this.outputDir, "status-slack.json")
+        fs.writeFileSync(outputs.slack, JSON.stringify(payload, null, 2))
+
+        if (this.webhookUrl) {
+          const response = await this.post(this.webhookUrl, payload)
+          console.log(`📨 Posted to webhook (HTTP ${response.status})`)
+        }
+      }
+
+      console.log("✅ Status update exported!")
+      Object.values(outputs).forEach((file) => console.log(`📄 ${file}`))
+    } catch (error) {
+      console.error("❌ Status export failed:", error.message)
+      process.exit(1)
+    }
+
+    return outputs
+  }
+
+  loadReports() {
+    const readJson = (file) => {
+      const fullPath = path.join(this.reportsDir, file)
+      return fs.existsSync(fullPath) ? JSON.parse(fs.readFileSync(fullPath, "utf8")) : null
+    }
+
+    this.assessment = readJson("assessment.json")
+    this.progress = readJson("progress-report.json")
+    this.history = new ReportHistory(path.join(this.reportsDir, "history.jsonl")).load()
+
+    if (!this.assessment && !this.progress) {
+      throw new Error(`No assessment.json or progress-report.json found in ${this.reportsDir}`)
+    }
+  }
+
+  // Latest history run at least a week older than the newest one, else the oldest run
+  weekAgo() {
+    if (this.history.length < 2) return null
+
+    const latest = this.history[this.history.length - 1]
+    const cutoff = new Date(latest.timestamp).getTime() - WEEK_MS
+    const older = this.history.filter((entry) => new Date(entry.timestamp).getTime() <= cutoff)
+    return older.length > 0 ? older[older.length - 1] : this.history[0]
+  }
+
+  buildStatus() {
+    const progress = this.progress || {}
+    const violations = progress.violations || {}
+    const previous = this.weekAgo()
+    const metric = (label, current, before, higherIsBetter, unit = "") => {
+      const compared = current !== undefined && before !== undefined && before !== null
+      return {
+        label,
+        current,
+        previous: compared ? before : null,
+        delta: compared ? current - before : null,
+        improved: compared ? (higherIsBetter ? current > before : current < before) : null,
+        unit,
+      }
+    }
+    const previousRules = (previous && previous.rules) || {}
+    const previousProjects = (previous && previous.projects) || {}
+
+    return {
+      generatedAt: new Date().toISOString(),
+      since: previous ? previous.timestamp : null,
+      metrics: this.progress
+        ? [
+            metric("Compliance", violations.compliancePercentage, previous && previous.compliancePercentage, true, "%"),
+            metric("Violations", violations.totalViolations, previous && previous.totalViolations, false),
+            metric("Errors", violations.errorCount, previous && previous.errorCount, false),
+            metric("Warnings", violations.warningCount, previous && previous.warningCount, false),
+            metric("Adoption score", (progress.adoption || {}).adoptionScore, undefined, true, "%"),
+            metric("Exception rate", (progress.exceptions || {}).exceptionRate, undefined, false, "%"),
+          ].filter((entry) => entry.current !== undefined)
+        : [],
+      offenders: {
+        rules: Object.entries(violations.ruleBreakdown || {})
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([rule, count]) => ({
+            name: rule,
+            violations: count,
+            delta: previous ? count - (previousRules[rule] || 0) : null,
+          })),
+        projects: Object.entries(violations.projectBreakdown || {})
+          .sort((a, b) => b[1].violations - a[1].violations)
+          .slice(0, 5)
+          .map(([name, stats]) => ({
+            name,
+            violations: stats.violations,
+            compliancePercentage: stats.compliancePercentage,
+            delta: previousProjects[name] ? stats.violations - previousProjects[name].violations : null,
+          })),
+        files: Object.entries(violations.fileBreakdown || {})
+          .map(([file, stats]) => ({ name: file, violations: stats.errors + stats.warnings, errors: stats.errors }))
+          .sort((a, b) => b.violations - a.violations)
+          .slice(0, 5),
+      },
+      phase: this.progress ? this.phaseSummary() : null,
+      assessment: this.assessment && this.assessment.assessment,
+      nextSteps: (this.progress ? progress.recommendations : this.assessment.nextSteps || []).slice(0, 5),
+    }
+  }
+
+  phaseSummary() {
+    const { phase, phaseStatus = {} } = this.progress
+    const projects = Object.entries(phaseStatus.projects || {})
+    const counts = {}
+    projects.forEach(([, status]) => (counts[status.phase] = (counts[status.phase] || 0) + 1))
+
+    return {
+      name: phase,
+      next: phaseStatus.workspace ? phaseStatus.workspace.next : null,
+      blocking: phaseStatus.workspace ? phaseStatus.workspace.blocking.map((gate) => gate.message) : [],
+      projects: counts,
+    }
+  }
+
+  formatMetric(value, unit) {
+    return value === undefined || value === null ? "—" : `${value.toLocaleString()}${unit}`
+  }
+
+  formatDelta(entry) {
+    if (entry.delta === null) return "—"
+    if (entry.delta === 0) return "no change"
+    return `${signed(entry.delta)}${entry.unit} ${entry.improved ? "✅" : "🔺"}`
+  }
+
+  renderMarkdown(status) {
+    const lines = ["# ESLint Rollout Status", "", `_Generated ${status.generatedAt.slice(0, 10)}_`, ""]
+
+    if (status.phase) {
+      lines.push("## Phase", "", `**${status.phase.name}**`)
+      status.phase.blocking.forEach((message) => lines.push(`- ⛔ Blocking ${status.phase.next}: ${message}`))
+      Object.entries(status.phase.projects).forEach(([phase, count]) =>
+        lines.push(`- ${count} project${count === 1 ? "" : "s"} in ${phase}`),
+      )
+      lines.push("")
+    }
+
+    if (status.metrics.length > 0) {
+      const since = status.since ? status.since.slice(0, 10) : "no earlier run"
+      lines.push(
+        "## Week over week",
+        "",
+        `| Metric | Now | Previous (${since}) | Change |`,
+        "| --- | ---: | ---: | --- |",
+      )
+      status.metrics.forEach((entry) =>
+        lines.push(
+          `| ${entry.label} | ${this.formatMetric(entry.current, entry.unit)} | ${this.formatMetric(entry.previous, entry.unit)} | ${this.formatDelta(entry)} |`,
+        ),
+      )
+      lines.push("")
+    }
+
+    const { rules, projects, files } = status.offenders
+    if (rules.length + projects.length + files.length > 0) {
+      lines.push("## Top offenders", "")
+      const change = (delta) => (delta === null || delta === 0 ? "" : ` (${signed(delta)})`)
+      if (rules.length > 0) {
+        lines.push(
+          "**Rules**",
+          "",
+          ...rules.map((rule) => `- \`${rule.name}\`: ${rule.violations}${change(rule.delta)}`),
+          "",
+        )
+      }
+      if (projects.length > 0) {
+        lines.push(
+          "**Projects**",
+          "",
+          ...projects.map(
+            (project) =>
+              `- ${project.name}: ${project.violations}${change(project.delta)}, ${project.compliancePercentage}% compliant`,
+          ),
+          "",
+        )
+      }
+      if (files.length > 0) {
+        lines.push(
+          "**Files**",
+          "",
+          ...files.map((file) => `- \`${file.name}\`: ${file.violations} (${file.errors} errors)`),
+          "",
+        )
+      }
+    }
+
+    if (status.assessment) {
+      const { estimatedViolations, riskLevel, estimatedFixTime, pilotCandidates = [] } = status.assessment
+      lines.push(
+        "## Assessment",
+        "",
+        `- ${estimatedViolations.toLocaleString()} violations, risk ${riskLevel}, estimated fix time ${estimatedFixTime}`,
+      )
+      if (pilotCandidates.length > 0) lines.push(`- Pilot candidate: ${pilotCandidates[0].project}`)
+      lines.push("")
+    }
+
+    if (status.nextSteps.length > 0) {
+      lines.push("## Next steps", "", ...status.nextSteps.map((step) => `- ${step}`), "")
+    }
+
+    return lines.join("\n")
+  }
+
+  // Slack Block Kit payload; `text` is the notification fallback
+  renderSlack(status) {
+    const section = (text) => ({ type: "section", text: { type: "mrkdwn", text } })
+    const blocks = [{ type: "header", text: { type: "plain_text", text: "ESLint Rollout Status" } }]
+
+    if (status.phase) {
+      const blocking = status.phase.blocking.map((message) => `\n⛔ ${message}`).join("")
+      blocks.push(section(`*Phase:* ${status.phase.name}${blocking}`))
+    }
+    if (status.metrics.length > 0) {
+      blocks.push({
+        type: "section",
+        fields: status.metrics.map((entry) => ({
+          type: "mrkdwn",
+          text: `*${entry.label}*\n${this.formatMetric(entry.current, entry.unit)} (${this.formatDelta(entry)})`,
+        })),
+      })
+    }
+    if (status.offenders.rules.length > 0) {
+      const rules = status.offenders.rules.map((rule) => `• \`${rule.name}\`: ${rule.violations}`).join("\n")
+      blocks.push(section(`*Top rules*\n${rules}`))
+    }
+    if (status.offenders.projects.length > 0) {
+      const projects = status.offenders.projects
+        .map((project) => `• ${project.name}: ${project.violations} (${project.compliancePercentage}% compliant)`)
+        .join("\n")
+      blocks.push(section(`*Top projects*\n${projects}`))
+    }
+    if (status.nextSteps.length > 0) {
+      blocks.push(section(`*Next steps*\n${status.nextSteps.map((step) => `• ${step}`).join("\n")}`))
+    }
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Generated ${status.generatedAt.slice(0, 10)}${status.since ? `, compared with ${status.since.slice(0, 10)}` : ""}`,
+        },
+      ],
+    })
+
+    const compliance = status.metrics.find((entry) => entry.label === "Compliance")
+    const headline = [status.phase && status.phase.name, compliance && `${compliance.current}% compliant`]
+      .filter(Boolean)
+      .join(", ")
+    return { text: `ESLint rollout status: ${headline || "assessment complete"}`, blocks }
+  }
+
+  post(url, payload) {
+    const target = new URL(url)
+    const client = target.protocol === "https:" ? https : http
+    const body = JSON.stringify(payload)
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(
+        target,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+          timeout: 10000,
+        },
+        (response) => {
+          let text = ""
+          response.on("data", (chunk) => (text += chunk))
+          response.on("end", () => {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+              resolve({ status: response.statusCode, body: text })
+            } else {
+              reject(new Error(`Webhook responded with HTTP ${response.statusCode}: ${text}`))
+            }
+          })
+        },
+      )
+      request.on("timeout", () => request.destroy(new Error("Webhook request timed out")))
+      request.on("error", reject)
+      request.end(body)
+    })
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const exporter = new StatusExporter({
+    reportsDir: args[0] && !args[0].startsWith("--") ? args[0] : config.reportsDir,
+    outputDir: option("--output-dir"),
+    formats: option("--format") ? option("--format").split(",") : undefined,
+    // CI keeps the webhook URL in a secret rather than on the command line
+    webhookUrl: option("--post") || process.env.LINT_STATUS_WEBHOOK_URL,
+  })
+  exporter.export()
+}
+
+module.exports = StatusExporter
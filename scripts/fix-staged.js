@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const { execFileSync } = require("child_process")
+const LintEngine = require("./lib/lint-engine")
+const ProjectConfig = require("./lib/project-config")
+
+// Fast pre-commit check: lints the staged version of each file, stages the auto-fixes,
+// and only blocks on fixable rules ESLint could not fix. Other rules are left to pre-push and CI.
+class StagedFixer {
+  constructor(options = {}) {
+    this.configFile = options.configFile || null
+    this.extensions = options.extensions || ProjectConfig.DEFAULTS.extensions
+  }
+
+  async run() {
+    try {
+      const files = this.git(["diff", "--cached", "--name-only", "--diff-filter=ACMR"])
+        .split("\n")
+        .filter((file) => file && this.extensions.includes(path.extname(file)))
+
+      if (files.length === 0) {
+        console.log("✅ No staged files to lint")
+        return { errorCount: 0, fixedFiles: [] }
+      }
+
+      const engine = new LintEngine({ configFile: this.configFile, extensions: this.extensions, fix: true })
+      const results = []
+      const fixedFiles = []
+
+      for (const file of files) {
+        const staged = this.git(["show", `:${file}`], false)
+        const [result] = await engine.lintText(staged, file)
+        if (!result) continue
+
+        if (result.output !== undefined && result.output !== staged) {
+          this.stageFix(file, staged, result.output)
+          fixedFiles.push(file)
+        }
+        results.push(result)
+      }
+
+      // Linted with fixes applied, so these are the ones ESLint could not fix
+      const blocking = await engine.fixableErrors(results)
+      const errorCount = blocking.reduce((sum, result) => sum + result.errorCount, 0)
+      const deferred = results.reduce((sum, result) => sum + result.errorCount, 0) - errorCount
+
+      if (fixedFiles.length > 0) console.log(`🔧 Auto-fixed and staged: ${fixedFiles.join(", ")}`)
+      if (errorCount > 0) console.log(await engine.format(blocking))
+      if (deferred > 0) console.log(`ℹ️  ${deferred} errors from rules without auto-fix are left for pre-push and CI`)
+
+      return { errorCount, fixedFiles }
+    } catch (error) {
+      console.error("❌ Staged lint failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  // Writes the fix to the index; the working tree is only updated when it had no unstaged edits
+  stageFix(file, staged, fixed) {
+    const [mode] = this.git(["ls-files", "--stage", "--", file]).split(" ")
+    const blob = execFileSync("git", ["hash-object", "-w", "--stdin", "--path", file], {
+      input: fixed,
+      encoding: "utf8",
+    })
+    this.git(["update-index", "--cacheinfo", `${mode},${blob.trim()},${file}`])
+
+    // A file deleted or renamed since it was staged counts as an unstaged change
+    if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === staged) {
+      fs.writeFileSync(file, fixed)
+    } else {
+      console.warn(`⚠️  ${file} has unstaged changes; the fix was staged but not applied to your working copy`)
+    }
+  }
+
+  git(args, trim = true) {
+    const output = execFileSync("git", args, { encoding: "utf8", stdio: "pipe", maxBuffer: 64 * 1024 * 1024 })
+    return trim ? output.trim() : output
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const fixer = new StagedFixer({
+    configFile: option("--config") || config.eslintConfig,
+    extensions: config.extensions,
+  })
+  fixer.run().then(({ errorCount }) => {
+    if (errorCount > 0) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = StagedFixer
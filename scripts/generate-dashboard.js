@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const ProjectConfig = require("./lib/project-config")
+const ReportHistory = require("./lib/report-history")
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+class DashboardGenerator {
+  constructor(reportsDir = "reports") {
+    this.reportsDir = reportsDir
+    this.assessment = null
+    this.progress = null
+    this.history = []
+  }
+
+  async generate(outputPath = path.join(this.reportsDir, "dashboard.html")) {
+    console.log("🖼️  Generating dashboard...")
+
+    try {
+      this.loadReports()
+
+      const outputDir = path.dirname(outputPath)
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true })
+      }
+      fs.writeFileSync(outputPath, this.render())
+
+      console.log("✅ Dashboard generated!")
+      console.log(`📄 Dashboard saved to: ${outputPath}`)
+    } catch (error) {
+      console.error("❌ Dashboard generation failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  loadReports() {
+    const readJson = (file) => {
+      const fullPath = path.join(this.reportsDir, file)
+      return fs.existsSync(fullPath) ? JSON.parse(fs.readFileSync(fullPath, "utf8")) : null
+    }
+
+    this.assessment = readJson("assessment.json")
+    this.progress = readJson("progress-report.json")
+    this.history = new ReportHistory(path.join(this.reportsDir, "history.jsonl")).load()
+
+    if (!this.assessment && !this.progress) {
+      throw new Error(`No assessment.json or progress-report.json found in ${this.reportsDir}`)
+    }
+  }
+
+  render() {
+    const generatedAt = new Date().toISOString()
+    const sections = [
+      this.renderOverview(),
+      this.renderPhase(),
+      this.renderRuleBreakdown(),
+      this.renderTrend(),
+      this.renderAdoption(),
+      this.renderProjects(),
+      this.renderTeams(),
+      this.renderWorstFiles(),
+      this.renderAssessment(),
+    ].filter(Boolean)
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ESLint Rollout Dashboard</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; background: #f4f5f7; color: #1f2933; }
+  header { background: #1f2933; color: #fff; padding: 16px 32px; }
+  header small { color: #9aa5b1; }
+  main { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; padding: 16px 32px; }
+  section { background: #fff; border-radius: 6px; padding: 16px 20px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+  section.wide { grid-column: 1 / -1; }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e4e7eb; }
+  td.num, th.num { text-align: right; }
+  .cards { display: flex; flex-wrap: wrap; gap: 24px; align-items: center; }
+  .card { min-width: 110px; }
+  .card strong { display: block; font-size: 24px; }
+  .ok { color: #2f855a; }
+  .missing { color: #c53030; }
+  details summary { cursor: pointer; }
+  ul { margin: 0; padding-left: 20px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>ESLint Rollout Dashboard</h1>
+  <small>Generated ${escapeHtml(generatedAt)}</small>
+</header>
+<main>
+${sections.join("\n")}
+</main>
+</body>
+</html>
+`
+  }
+
+  renderOverview() {
+    const violations = (this.progress && this.progress.violations) || {}
+    const adoption = (this.progress && this.progress.adoption) || {}
+    const exceptions = (this.progress && this.progress.exceptions) || {}
+    const compliance = violations.compliancePercentage || 0
+
+    return `<section>
+  <h2>Compliance</h2>
+  <div class="cards">
+    ${this.renderGauge(compliance)}
+    <div class="card"><strong>${escapeHtml(violations.totalViolations || 0)}</strong>violations</div>
+    <div class="card"><strong>${escapeHtml(violations.errorCount || 0)}</strong>errors</div>
+    <div class="card"><strong>${escapeHtml(violations.warningCount || 0)}</strong>warnings</div>
+    <div class="card"><strong>${escapeHtml(adoption.adoptionScore || 0)}%</strong>adoption</div>
+    <div class="card"><strong>${escapeHtml(exceptions.exceptionRate || 0)}%</strong>files with exceptions</div>
+  </div>
+</section>`
+  }
+
+  renderGauge(percentage) {
+    const angle = Math.PI * (Math.min(100, Math.max(0, percentage)) / 100)
+    const x = (60 - 50 * Math.cos(angle)).toFixed(2)
+    const y = (60 - 50 * Math.sin(angle)).toFixed(2)
+    const color = percentage >= 80 ? "#2f855a" : percentage >= 50 ? "#d69e2e" : "#c53030"
+
+    return `<svg width="140" height="80" viewBox="0 0 120 70" role="img" aria-label="Compliance ${percentage}%">
+      <path d="M10 60 A50 50 0 0 1 110 60" fill="none" stroke="#e4e7eb" stroke-width="12"/>
+      <path d="M10 60 A50 50 0 0 1 ${x} ${y}" fill="none" stroke="${color}" stroke-width="12"/>
+      <text x="60" y="58" text-anchor="middle" font-size="18" font-weight="bold">${escapeHtml(percentage)}%</text>
+    </svg>`
+  }
+
+  renderPhase() {
+    if (!this.progress) return null
+
+    const recommendations = (this.progress.recommendations || [])
+      .map((recommendation) => `<li>${escapeHtml(recommendation)}</li>`)
+      .join("")
+    const { projects = {} } = this.progress.phaseStatus || {}
+    const projectRows = Object.entries(projects)
+      .map(
+        ([name, status]) =>
+          `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(status.phase)}</td><td>${escapeHtml(
+            status.blocking.map((gate) => gate.message).join("; ") || "—",
+          )}</td></tr>`,
+      )
+      .join("")
+
+    return `<section>
+  <h2>Current Phase</h2>
+  <p><strong>${escapeHtml(this.progress.phase)}</strong></p>
+  <ul>${recommendations}</ul>
+  ${projectRows ? `<table><thead><tr><th>Project</th><th>Phase</th><th>Blocked by</th></tr></thead><tbody>${projectRows}</tbody></table>` : ""}
+</section>`
+  }
+
+  renderRuleBreakdown() {
+    const breakdown = (this.progress && this.progress.violations && this.progress.violations.ruleBreakdown) || {}
+    const rules = Object.entries(breakdown)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 15)
+    if (rules.length === 0) return null
+
+    const max = rules[0][1]
+    const rowHeight = 22
+    const bars = rules
+      .map(([rule, count], index) => {
+        const y = index * rowHeight
+        const width = Math.max(2, (count / max) * 300)
+        return `<text x="0" y="${y + 15}" font-size="12">${escapeHtml(rule)}</text>
+      <rect x="230" y="${y + 4}" width="${width.toFixed(1)}" height="14" fill="#3e7bfa"/>
+      <text x="${(236 + width).toFixed(1)}" y="${y + 15}" font-size="12">${escapeHtml(count)}</text>`
+      })
+      .join("\n      ")
+
+    return `<section>
+  <h2>Violations by Rule</h2>
+  <svg width="100%" viewBox="0 0 600 ${rules.length * rowHeight}" role="img" aria-label="Violations by rule">
+      ${bars}
+  </svg>
+</section>`
+  }
+
+  renderTrend() {
+    if (this.history.length < 2) return null
+
+    const width = 600
+    const height = 160
+    const values = this.history.map((entry) => entry.totalViolations || 0)
+    const max = Math.max(...values, 1)
+    const step = width / (values.length - 1)
+    const points = values.map(
+      (value, index) => `${(index * step).toFixed(1)},${(height - (value / max) * height).toFixed(1)}`,
+    )
+    const first = this.history[0].timestamp.slice(0, 10)
+    const last = this.history[this.history.length - 1].timestamp.slice(0, 10)
+
+    return `<section class="wide">
+  <h2>Violation Trend (${escapeHtml(first)} – ${escapeHtml(last)})</h2>
+  <svg width="100%" viewBox="-40 -10 ${width + 60} ${height + 30}" role="img" aria-label="Violation trend">
+    <line x1="0" y1="${height}" x2="${width}" y2="${height}" stroke="#9aa5b1"/>
+    <text x="-6" y="6" font-size="11" text-anchor="end">${escapeHtml(max)}</text>
+    <text x="-6" y="${height}" font-size="11" text-anchor="end">0</text>
+    <polyline points="${points.join(" ")}" fill="none" stroke="#3e7bfa" stroke-width="2"/>
+  </svg>
+</section>`
+  }
+
+  renderAdoption() {
+    const adoption = this.progress && this.progress.adoption
+    if (!adoption) return null
+
+    const labels = {
+      eslintConfigExists: "ESLint configuration committed",
+      preCommitHooksSetup: "Pre-commit hooks installed",
+      packageJsonLintStaged: "lint-staged configured",
+      ideConfigsDistributed: "IDE configuration distributed",
+    }
+    const items = Object.entries(adoption)
+      .filter(([, value]) => typeof value === "boolean")
+      .map(([key, done]) => {
+        const mark = done ? `<span class="ok">✔</span>` : `<span class="missing">✘</span>`
+        return `<li>${mark} ${escapeHtml(labels[key] || key)}</li>`
+      })
+      .join("")
+
+    const bypass = adoption.hookBypass
+    const unknown = (bypass && bypass.unknown) || 0
+    const unknownNote = unknown > 0 ? `; unknown for ${escapeHtml(unknown)} commits without hook telemetry` : ""
+    const bypassLine =
+      bypass && bypass.commitsChecked > 0
+        ? `\n  <p>Pre-commit hook bypassed on ${escapeHtml(bypass.bypassed)} of ${escapeHtml(bypass.commitsChecked - unknown)} checked commits (${escapeHtml(bypass.bypassRate)}%)${unknownNote}</p>`
+        : ""
+
+    return `<section>
+  <h2>Adoption Checklist</h2>
+  <ul style="list-style: none; padding: 0">${items}</ul>${bypassLine}
+</section>`
+  }
+
+  renderProjects() {
+    const breakdown = (this.progress && this.progress.violations && this.progress.violations.projectBreakdown) || {}
+    const projects = Object.entries(breakdown).sort((a, b) => b[1].violations - a[1].violations)
+    if (projects.length === 0) return null
+
+    const rows = projects
+      .map(
+        ([name, stats]) =>
+          `<tr><td>${escapeHtml(name)}</td><td class="num">${stats.files}</td><td class="num">${stats.violations}</td><td class="num">${stats.compliancePercentage}%</td></tr>`,
+      )
+      .join("\n    ")
+
+    return `<section>
+  <h2>Projects</h2>
+  <table>
+    <tr><th>Project</th><th class="num">Files</th><th class="num">Violations</th><th class="num">Compliance</th></tr>
+    ${rows}
+  </table>
+</section>`
+  }
+
+  renderTeams() {
+    const ownership = this.progress && this.progress.ownership
+    if (!ownership || ownership.leaderboard.length === 0) return null
+
+    const rows = ownership.leaderboard
+      .map(({ rank, team }) => {
+        const stats = ownership.teams[team]
+        const rules = stats.topRules.map(({ rule, count }) => `<li>${escapeHtml(rule)}: ${count}</li>`).join("")
+        return `<tr><td class="num">${rank}</td><td><details><summary>${escapeHtml(team)}</summary><ul>${rules}</ul></details></td><td class="num">${stats.violations}</td><td class="num">${stats.compliancePercentage}%</td></tr>`
+      })
+      .join("\n    ")
+
+    return `<section>
+  <h2>Team Leaderboard</h2>
+  <table>
+    <tr><th class="num">#</th><th>Team</th><th class="num">Violations</th><th class="num">Compliance</th></tr>
+    ${rows}
+  </table>
+</section>`
+  }
+
+  renderWorstFiles() {
+    const breakdown = (this.progress && this.progress.violations && this.progress.violations.fileBreakdown) || {}
+    const files = Object.entries(breakdown)
+      .sort((a, b) => b[1].errors + b[1].warnings - (a[1].errors + a[1].warnings))
+      .slice(0, 25)
+    if (files.length === 0) return null
+
+    const rows = files
+      .map(([file, stats]) => {
+        const rules = Object.entries(stats.rules)
+          .sort((a, b) => b[1] - a[1])
+          .map(([rule, count]) => `<li>${escapeHtml(rule)}: ${count}</li>`)
+          .join("")
+        return `<tr><td><details><summary>${escapeHtml(file)}</summary><ul>${rules}</ul></details></td><td class="num">${stats.errors}</td><td class="num">${stats.warnings}</td></tr>`
+      })
+      .join("\n    ")
+
+    return `<section class="wide">
+  <h2>Worst Files</h2>
+  <table>
+    <tr><th>File</th><th class="num">Errors</th><th class="num">Warnings</th></tr>
+    ${rows}
+  </table>
+</section>`
+  }
+
+  renderAssessment() {
+    const assessment = this.assessment && this.assessment.assessment
+    if (!assessment) return null
+
+    const candidates = (assessment.pilotCandidates || [])
+      .map(
+        (candidate) =>
+          `<tr><td>${escapeHtml(candidate.project)}</td><td>${escapeHtml(candidate.projectType)}</td><td class="num">${candidate.lines}</td><td class="num">${candidate.violations}</td><td class="num">${candidate.score}</td></tr>`,
+      )
+      .join("\n    ")
+    const riskAreas = (assessment.riskAreas || [])
+      .map(
+        (area) =>
+          `<tr><td>${escapeHtml(area.project)}</td><td class="num">${area.structureScore}</td><td>${escapeHtml(area.reasons.join(", "))}</td></tr>`,
+      )
+      .join("\n    ")
+    const recommendations = (assessment.recommendations || [])
+      .map((recommendation) => `<li>${escapeHtml(recommendation)}</li>`)
+      .join("")
+
+    return `<section class="wide">
+  <h2>Assessment (${escapeHtml(this.assessment.timestamp)})</h2>
+  <div class="cards">
+    <div class="card"><strong>${escapeHtml(assessment.totalFiles)}</strong>files</div>
+    <div class="card"><strong>${escapeHtml(assessment.totalLines)}</strong>lines</div>
+    <div class="card"><strong>${escapeHtml(assessment.riskLevel)}</strong>risk</div>
+    <div class="card"><strong>${escapeHtml(assessment.estimatedFixTime)}</strong>estimated fix time</div>
+  </div>
+  ${
+    candidates
+      ? `<h2>Pilot Candidates</h2>
+  <table>
+    <tr><th>Project</th><th>Type</th><th class="num">Lines</th><th class="num">Violations</th><th class="num">Score</th></tr>
+    ${candidates}
+  </table>`
+      : ""
+  }
+  ${
+    riskAreas
+      ? `<h2>Structural Risk Areas</h2>
+  <table>
+    <tr><th>Project</th><th class="num">Structure score</th><th>Why</th></tr>
+    ${riskAreas}
+  </table>`
+      : ""
+  }
+  <h2>Recommendations</h2>
+  <ul>${recommendations}</ul>
+</section>`
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const config = ProjectConfig.fromArgs(args)
+  const [reportsDir = config.reportsDir, outputPath] = args.filter(
+    (arg, index) => !arg.startsWith("--") && args[index - 1] !== "--project-config",
+  )
+  const generator = new DashboardGenerator(reportsDir)
+  generator.generate(outputPath)
+}
+
+module.exports = DashboardGenerator
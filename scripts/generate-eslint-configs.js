@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const RuleCatalog = require("./lib/rule-catalog")
+const NxWorkspace = require("./lib/nx-workspace")
+const ProjectConfig = require("./lib/project-config")
+const workspaceRequire = require("./lib/workspace-require")
+
+const GENERATED_MARKER = "Generated by scripts/generate-eslint-configs.js"
+const ESLINTRC_FILES = [
+  ".eslintrc.js",
+  ".eslintrc.cjs",
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+]
+const FLAT_FILES = ["eslint.config.js", "eslint.config.cjs", "eslint.config.mjs"]
+
+// Prints a value as JavaScript source in the repo's Prettier style (120 columns); `prefix` is the text before it
+// on the same line. Objects only stay on one line inside arrays, like rule options.
+const toSource = (value, indent = "", prefix = "", inline = false) => {
+  if (value === null || typeof value !== "object") return JSON.stringify(value)
+
+  const pad = `${indent}  `
+  const fits = (text) => !text.includes("\n") && indent.length + prefix.length + text.length + 1 <= 120
+  if (Array.isArray(value)) {
+    const flat = `[${value.map((item) => toSource(item, pad, "", true)).join(", ")}]`
+    if (fits(flat)) return flat
+    return `[\n${value.map((item) => `${pad}${toSource(item, pad, "", true)},`).join("\n")}\n${indent}]`
+  }
+
+  const entries = Object.entries(value).map(([key, item]) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+    return `${name}: ${toSource(item, pad, `${name}: `)}`
+  })
+  if (entries.length === 0) return "{}"
+  const flat = `{ ${entries.join(", ")} }`
+  if (inline && fits(flat)) return flat
+  return `{\n${entries.map((entry) => `${pad}${entry},`).join("\n")}\n${indent}}`
+}
+
+// Flat configs match `files` against paths, so eslintrc basename patterns need a "**/" prefix
+const flatFiles = (files) => files.map((pattern) => (pattern.includes("/") ? pattern : `**/${pattern}`))
+
+// Package behind a `plugin:` prefix: "@scope" → "@scope/eslint-plugin", "react" → "eslint-plugin-react"
+const pluginPackage = (prefix) => {
+  if (prefix.startsWith("@")) {
+    const [scope, name] = prefix.split("/")
+    return name ? `${scope}/eslint-plugin-${name}` : `${scope}/eslint-plugin`
+  }
+  return prefix.startsWith("eslint-plugin-") ? prefix : `eslint-plugin-${prefix}`
+}
+
+class ConfigGenerator {
+  constructor(options = {}) {
+    this.catalogPath = options.catalogPath || "configs/rule-catalog.js"
+    this.outputDir = options.outputDir || "configs"
+    this.formats = options.formats || ["eslintrc", "flat"]
+    // Root and project configs only get the formats asked for, or else the one the workspace already uses
+    this.workspaceFormats = options.formats || null
+    this.projects = options.projects || false
+    this.reportPath = options.reportPath || "reports/progress-report.json"
+    this.phasesConfigPath = options.phasesConfigPath || "configs/phases.js"
+    this.rootPhase = options.rootPhase || null
+    this.catalog = null
+    this.changes = []
+    this.presets = new Map()
+  }
+
+  async generate() {
+    console.log("🏗️  Generating ESLint configs from the rule catalog...")
+
+    try {
+      const unknown = this.formats.filter((format) => !["eslintrc", "flat"].includes(format))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown format: ${unknown.join(", ")} (use eslintrc, flat)`)
+      }
+
+      this.catalog = RuleCatalog.load(this.catalogPath)
+      this.catalog.phases.forEach((phase) => this.writePhaseConfigs(phase))
+
+      if (this.projects) {
+        this.writeWorkspaceConfigs()
+      }
+
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ Config generation failed:", error.message)
+      process.exit(1)
+    }
+
+    return this.changes
+  }
+
+  phaseConfigPath(phase, format) {
+    return path.join(this.outputDir, `${phase.file}.${format === "flat" ? "eslint.config.js" : "eslintrc.js"}`)
+  }
+
+  header(title, description) {
+    return [
+      `// ${title}`,
+      ...(description ? [`// ${description}`] : []),
+      `// ${GENERATED_MARKER} from ${this.catalogPath}; edit the catalog, not this file`,
+    ]
+  }
+
+  writePhaseConfigs(phase) {
+    const header = this.header(`ESLint Configuration for ${phase.name}`, phase.description)
+
+    if (this.formats.includes("eslintrc")) {
+      const content = [...header, "", `module.exports = ${toSource(this.catalog.eslintrc(phase.phase))}`, ""]
+      this.write(this.phaseConfigPath(phase, "eslintrc"), content.join("\n"))
+    }
+    if (this.formats.includes("flat")) {
+      const plugins = this.flatPlugins(this.catalog.pluginsIn(phase.phase))
+      const blocks = [...plugins.blocks, ...this.flatBlocks(phase.extends || [], this.catalog.overrides(phase.phase))]
+      this.write(this.phaseConfigPath(phase, "flat"), this.flatSource(header, plugins.requires, blocks))
+    }
+  }
+
+  // Flat configs take plugin objects, so each catalog plugin is required under a camelCase name
+  flatPlugins(prefixes) {
+    if (prefixes.length === 0) return { requires: [], blocks: [] }
+
+    const names = prefixes.map((prefix) =>
+      prefix.replace(/^@/, "").replace(/[^A-Za-z0-9]+(.)/g, (match, char) => char.toUpperCase()),
+    )
+    return {
+      requires: prefixes.map(
+        (prefix, index) => `const ${names[index]} = require(${JSON.stringify(this.catalog.plugins[prefix])})`,
+      ),
+      blocks: [
+        `{ plugins: { ${prefixes.map((prefix, index) => `${JSON.stringify(prefix)}: ${names[index]}`).join(", ")} } }`,
+      ],
+    }
+  }
+
+  // Array elements of a flat config; eslintrc presets are translated by FlatCompat
+  flatBlocks(presets, overrides) {
+    const blocks =
+      presets.length > 0 ? [`...compat.extends(${presets.map((name) => JSON.stringify(name)).join(", ")})`] : []
+
+    overrides.forEach((override) => {
+      const files = flatFiles(override.files)
+      if (override.extends) {
+        const names = override.extends.map((name) => JSON.stringify(name)).join(", ")
+        const scoped = `.map((config) => ({ ...config, files: ${toSource(files)} }))`
+        const chained = `...compat.extends(${names})${scoped}`
+        // Prettier breaks the chain once it passes 120 columns
+        blocks.push(chained.length + 3 <= 120 ? chained : `...compat\n    .extends(${names})\n    ${scoped}`)
+      }
+      blocks.push(toSource({ files, rules: override.rules }, "  "))
+    })
+
+    return blocks
+  }
+
+  flatSource(header, requires, blocks) {
+    const usesCompat = blocks.some((block) => block.includes("compat.extends"))
+    const imports = [
+      ...(usesCompat ? ['const { FlatCompat } = require("@eslint/eslintrc")', 'const js = require("@eslint/js")'] : []),
+      ...requires,
+    ]
+
+    return [
+      ...header,
+      "",
+      ...(imports.length > 0 ? [...imports, ""] : []),
+      ...(usesCompat
+        ? ["const compat = new FlatCompat({ baseDirectory: __dirname, recommendedConfig: js.configs.recommended })", ""]
+        : []),
+      `module.exports = [\n${blocks.map((block) => `  ${block},`).join("\n")}\n]`,
+      "",
+    ].join("\n")
+  }
+
+  // Root configs extend the workspace's phase; projects in another phase get a config that extends the root one
+  writeWorkspaceConfigs() {
+    const report = this.loadReport()
+    const phaseOf = this.lintConfigPhases()
+    const rootPhase = this.catalog.getPhase(this.rootPhase || phaseOf(report.phaseStatus.workspace.id))
+    const workspace = new NxWorkspace(".").load()
+    const formats = this.workspaceFormats || [FLAT_FILES.some((name) => fs.existsSync(name)) ? "flat" : "eslintrc"]
+
+    if (formats.includes("eslintrc")) {
+      const config = { root: true, extends: [this.relativeImport(".", this.phaseConfigPath(rootPhase, "eslintrc"))] }
+      const content = [
+        ...this.header(`Workspace ESLint config: ${rootPhase.name}`),
+        "",
+        `module.exports = ${toSource(config)}`,
+        "",
+      ]
+      this.writeOwned(".", ESLINTRC_FILES, ".eslintrc.js", content.join("\n"))
+    }
+    if (formats.includes("flat")) {
+      const target = this.relativeImport(".", this.phaseConfigPath(rootPhase, "flat"))
+      const content = [
+        ...this.header(`Workspace ESLint config: ${rootPhase.name}`),
+        "",
+        `module.exports = require(${JSON.stringify(target)})`,
+        "",
+      ]
+      this.writeOwned(".", FLAT_FILES, "eslint.config.js", content.join("\n"))
+    }
+
+    Object.entries(report.phaseStatus.projects || {}).forEach(([name, status]) => {
+      const project = workspace.projects.find((candidate) => candidate.name === name)
+      if (!project || !project.root) return
+
+      const phase = this.catalog.getPhase(phaseOf(status.id))
+      if (phase.phase === rootPhase.phase) {
+        // Projects that caught up with the workspace need no config of their own
+        this.removeGenerated(project.root, [".eslintrc.js", "eslint.config.js"])
+        return
+      }
+      this.writeProjectConfigs(project, phase, rootPhase, formats)
+    })
+  }
+
+  writeProjectConfigs(project, phase, rootPhase, formats) {
+    const header = this.header(`ESLint config for ${project.name}: ${phase.name}`)
+    const presets = (phase.extends || []).filter((name) => !(rootPhase.extends || []).includes(name))
+    const rootPlugins = this.catalog.pluginsIn(rootPhase.phase)
+    const plugins = this.catalog.pluginsIn(phase.phase).filter((prefix) => !rootPlugins.includes(prefix))
+    const overrides =
+      phase.phase < rootPhase.phase
+        ? this.presetsOff(this.catalog.overridesBehind(phase.phase, rootPhase.phase), phase, rootPhase)
+        : this.catalog.overrides(phase.phase)
+
+    if (formats.includes("eslintrc")) {
+      const rootConfig = ESLINTRC_FILES.find((name) => fs.existsSync(name)) || ".eslintrc.js"
+      const config = {
+        extends: [this.relativeImport(project.root, rootConfig), ...presets],
+        ...(plugins.length > 0 ? { plugins } : {}),
+        ignorePatterns: ["!**/*"],
+        overrides: overrides.map(({ scope, ...override }) => override),
+      }
+      this.writeOwned(
+        project.root,
+        ESLINTRC_FILES,
+        ".eslintrc.js",
+        [...header, "", `module.exports = ${toSource(config)}`, ""].join("\n"),
+      )
+    }
+    if (formats.includes("flat")) {
+      const base = `const baseConfig = require(${JSON.stringify(this.relativeImport(project.root, "eslint.config.js"))})`
+      const flatPlugins = this.flatPlugins(plugins)
+      const blocks = ["...baseConfig", ...flatPlugins.blocks, ...this.flatBlocks(presets, overrides)]
+      const requires = [base, ...flatPlugins.requires]
+      this.writeOwned(project.root, FLAT_FILES, "eslint.config.js", this.flatSource(header, requires, blocks))
+    }
+  }
+
+  // A project behind the root still inherits the root's presets, so every rule they set is turned off in the
+  // matching block, unless a preset of the project's phase sets it too. The catalog's own settings for the
+  // project's phase take precedence.
+  presetsOff(overrides, phase, rootPhase) {
+    return overrides.map((override) => {
+      const presetsOf = (config) => [
+        ...(override.scope === "default" ? config.extends || [] : []),
+        ...((config.scopeExtends || {})[override.scope] || []),
+      ]
+      const kept = presetsOf(phase)
+      const keptRules = new Set(kept.flatMap((name) => this.presetRules(name)))
+      const off = presetsOf(rootPhase)
+        .filter((name) => !kept.includes(name))
+        .flatMap((name) => this.presetRules(name))
+        .filter((rule) => !keptRules.has(rule))
+        .map((rule) => [rule, "off"])
+      return { ...override, rules: { ...Object.fromEntries(off), ...override.rules } }
+    })
+  }
+
+  // Rules an eslintrc preset sets, following its own `extends`. A preset that is not installed is reported once and
+  // its rules stay on.
+  presetRules(name, from = process.cwd()) {
+    if (!this.presets.has(name)) {
+      // Marked first so presets that extend each other stop
+      this.presets.set(name, [])
+      this.presets.set(name, this.resolvePresetRules(name, from))
+    }
+    return this.presets.get(name)
+  }
+
+  resolvePresetRules(name, from) {
+    if (name === "eslint:recommended") {
+      const js = workspaceRequire("@eslint/js", { via: "eslint" })
+      if (js) return Object.keys(js.configs.recommended.rules)
+    }
+
+    const plugin = name.match(/^plugin:(.+)\/([^/]+)$/)
+    const candidates = plugin ? [pluginPackage(plugin[1])] : [name, `eslint-config-${name}`]
+    for (const candidate of candidates) {
+      let file
+      let config
+      try {
+        file = require.resolve(candidate, { paths: [from] })
+        const loaded = require(file)
+        config = plugin ? (loaded.configs || {})[plugin[2]] : loaded
+      } catch (error) {
+        continue
+      }
+      if (!config) break
+
+      const dir = path.dirname(file)
+      return [
+        ...[]
+          .concat(config.extends || [])
+          .flatMap((parent) => this.presetRules(parent.startsWith(".") ? path.resolve(dir, parent) : parent, dir)),
+        ...Object.keys(config.rules || {}),
+        ...(config.overrides || []).flatMap((block) => Object.keys(block.rules || {})),
+      ]
+    }
+
+    console.warn(`⚠️  Could not load ${name}; project configs behind the workspace config may not match their phase`)
+    return []
+  }
+
+  loadReport() {
+    if (!fs.existsSync(this.reportPath)) {
+      throw new Error(`No progress report at ${this.reportPath}. Run scripts/generate-progress-report.js first.`)
+    }
+    const report = JSON.parse(fs.readFileSync(this.reportPath, "utf8"))
+    if (!report.phaseStatus || !report.phaseStatus.workspace) {
+      throw new Error(`${this.reportPath} has no phase status. Regenerate it with scripts/generate-progress-report.js.`)
+    }
+    return report
+  }
+
+  // Maps rollout phase ids to catalog phases through `lintConfig` in configs/phases.js
+  lintConfigPhases() {
+    const { phases } = require(path.resolve(this.phasesConfigPath))
+    return (id) => {
+      const phase = phases.find((candidate) => candidate.id === id)
+      if (!phase || !phase.lintConfig) {
+        throw new Error(`Phase "${id}" in ${this.phasesConfigPath} has no lintConfig`)
+      }
+      return phase.lintConfig
+    }
+  }
+
+  relativeImport(fromDir, file) {
+    const relative = path.relative(fromDir, file).split(path.sep).join("/")
+    return relative.startsWith(".") ? relative : `./${relative}`
+  }
+
+  // Never overwrites a config we did not generate; an eslintrc next to ours would be shadowed or shadow it
+  writeOwned(dir, candidates, name, content) {
+    const foreign = candidates
+      .map((candidate) => path.join(dir, candidate))
+      .filter((file) => fs.existsSync(file) && !this.isGenerated(file))
+    if (foreign.length > 0) {
+      console.warn(`⚠️  Skipped ${path.join(dir, name)}: ${foreign.join(", ")} is maintained by hand`)
+      this.changes.push({ file: path.join(dir, name), action: "skipped" })
+      return
+    }
+    this.write(path.join(dir, name), content)
+  }
+
+  removeGenerated(dir, names) {
+    names
+      .map((name) => path.join(dir, name))
+      .filter((file) => fs.existsSync(file) && this.isGenerated(file))
+      .forEach((file) => {
+        fs.unlinkSync(file)
+        this.changes.push({ file, action: "removed" })
+      })
+  }
+
+  isGenerated(file) {
+    return fs.readFileSync(file, "utf8").includes(GENERATED_MARKER)
+  }
+
+  write(file, content) {
+    const existing = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null
+    if (existing === content) {
+      this.changes.push({ file, action: "unchanged" })
+      return
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, content)
+    this.changes.push({ file, action: existing === null ? "created" : "updated" })
+  }
+
+  printSummary() {
+    const icons = { created: "🆕", updated: "📝", removed: "🗑️ ", skipped: "⚠️ ", unchanged: "✓" }
+
+    console.log("\n📋 GENERATED CONFIGS")
+    console.log("====================")
+    this.changes.forEach(({ file, action }) => console.log(`  ${icons[action]} ${file} (${action})`))
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const generator = new ConfigGenerator({
+    catalogPath: option("--catalog"),
+    outputDir: option("--output-dir"),
+    formats: option("--format") ? option("--format").split(",") : undefined,
+    projects: args.includes("--projects"),
+    reportPath: option("--report") || config.report("progress-report.json"),
+    phasesConfigPath: option("--phases"),
+    rootPhase: option("--root-phase") && parseInt(option("--root-phase"), 10),
+  })
+  generator.generate()
+}
+
+module.exports = ConfigGenerator
+module.exports.GENERATED_MARKER = GENERATED_MARKER
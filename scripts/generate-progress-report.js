@@ -1,16 +1,68 @@
 #!/usr/bin/env node
 
 const fs = require("fs")
-const { execSync } = require("child_process")
+const path = require("path")
+const { execFileSync } = require("child_process")
+const AffectedScope = require("./lib/affected")
+const ciFormatters = require("./lib/ci-formatters")
+const CodeOwners = require("./lib/codeowners")
+const ExceptionRegistry = require("./lib/exception-registry")
+const HookTelemetry = require("./lib/hook-telemetry")
+const LintEngine = require("./lib/lint-engine")
+const NxWorkspace = require("./lib/nx-workspace")
+const PhaseMachine = require("./lib/phase-machine")
+const ProjectConfig = require("./lib/project-config")
+const ReportHistory = require("./lib/report-history")
+
+const CI_OUTPUT_FILES = {
+  junit: "eslint-junit.xml",
+  sarif: "eslint.sarif",
+  gitlab: "gl-code-quality-report.json",
+  github: "github-annotations.json",
+}
+
+// CI definitions searched for a lint step; directories are searched for YAML files
+const CI_CONFIG_PATHS = [
+  ".github/workflows",
+  ".gitlab-ci.yml",
+  ".circleci/config.yml",
+  "azure-pipelines.yml",
+  "bitbucket-pipelines.yml",
+  ".buildkite",
+  "Jenkinsfile",
+]
 
 class ProgressReporter {
-  constructor() {
+  constructor(options = {}) {
+    this.history = new ReportHistory(options.historyPath || "reports/history.jsonl")
+    this.hookTelemetry = new HookTelemetry(options.hookLogPath)
+    this.ci = options.ci || null
+    this.affected = options.affected || null
+    this.blame = options.blame || false
+    // Files and config every lint run uses; unset keys fall back to LintEngine's defaults
+    this.engineOptions = {
+      configFile: options.configFile,
+      extensions: options.extensions,
+      excludeDirs: options.excludeDirs,
+    }
+    this.exceptionRegistry = new ExceptionRegistry({ registryPath: options.exceptionRegistryPath })
+    this.phasesConfigPath = options.phasesConfigPath || "configs/phases.js"
+    this.phaseMachine = null
+    this.workspace = null
+    this.engine = null
+    this.lintResults = []
     this.reportData = {
       timestamp: new Date().toISOString(),
+      git: ReportHistory.gitInfo(),
       phase: "Unknown",
+      phaseStatus: {},
+      scope: { mode: "full", projects: [] },
       metrics: {},
       violations: {},
+      ownership: null,
+      exceptions: {},
       adoption: {},
+      ciIntegration: {},
       recommendations: [],
     }
   }
@@ -20,48 +72,70 @@ class ProgressReporter {
 
     try {
       // Ensure reports directory exists
-      const reportsDir = "reports"
+      const reportsDir = path.dirname(outputPath)
       if (!fs.existsSync(reportsDir)) {
         fs.mkdirSync(reportsDir, { recursive: true })
       }
 
       // Collect metrics
       await this.collectViolationMetrics()
+      await this.collectOwnershipMetrics()
+      await this.collectExceptionMetrics()
       await this.collectAdoptionMetrics()
+      await this.detectCiIntegration()
       await this.determineCurrentPhase()
       await this.generateRecommendations()
 
-      // Save report
+      // Gate the pipeline and emit CI-consumable reports
+      if (this.ci) {
+        await this.evaluateCiGates()
+        await this.writeCiOutputs()
+      }
+
+      // Save report and record it in the trend history
       fs.writeFileSync(outputPath, JSON.stringify(this.reportData, null, 2))
+      this.recordHistory()
 
       console.log("✅ Progress report generated!")
       console.log(`📄 Report saved to: ${outputPath}`)
       this.printSummary()
+      if (this.ci) this.printCiSummary()
     } catch (error) {
       console.error("❌ Report generation failed:", error.message)
       process.exit(1)
     }
+
+    return this.reportData
   }
 
   async collectViolationMetrics() {
     console.log("🔍 Collecting violation metrics...")
 
-    try {
-      // Run ESLint and capture results
-      const result = execSync("npx eslint . --format json --ext .js,.jsx,.ts,.tsx", { encoding: "utf8", stdio: "pipe" })
+    let patterns = ["."]
+    if (this.affected) {
+      const scope = new AffectedScope(this.getWorkspace(), this.affected).compute()
+      const { patterns: scopePatterns, ...scopeReport } = scope
+      this.reportData.scope = scopeReport
+      patterns = scopePatterns
+      console.log(`🎯 Affected projects (${scope.projects.length}): ${scope.projects.join(", ") || "none"}`)
+    }
 
-      const eslintResults = JSON.parse(result)
-      this.processESLintResults(eslintResults)
+    const results = await this.lintCodebase({}, patterns)
+    this.lintResults = results
+    const fatalErrors = LintEngine.fatalErrors(results)
+    if (fatalErrors.length > 0) {
+      console.warn(`⚠️  ${fatalErrors.length} files could not be parsed`)
+    }
+
+    this.processESLintResults(results)
+  }
+
+  async lintCodebase(engineOptions = {}, patterns = ["."]) {
+    try {
+      this.engine = new LintEngine({ ...this.engineOptions, ...engineOptions })
+      return await this.engine.lint(patterns)
     } catch (error) {
-      if (error.stdout) {
-        try {
-          const eslintResults = JSON.parse(error.stdout)
-          this.processESLintResults(eslintResults)
-        } catch (parseError) {
-          console.warn("⚠️  Could not parse ESLint output")
-          this.reportData.violations = { error: "Could not collect violation data" }
-        }
-      }
+      throw new Error(`Could not collect violation data: ${error.message}`)
     }
   }
 
@@ -73,6 +147,8 @@ class ProgressReporter {
       errorCount: results.reduce((sum, file) => sum + file.messages.filter((msg) => msg.severity === 2).length, 0),
       warningCount: results.reduce((sum, file) => sum + file.messages.filter((msg) => msg.severity === 1).length, 0),
       ruleBreakdown: {},
+      projectBreakdown: {},
+      fileBreakdown: {},
     }
 
     // Count violations by rule
@@ -83,6 +159,36 @@ class ProgressReporter {
       })
     })
 
+    // Count violations by file, keeping only files that have any
+    results
+      .filter((file) => file.messages.length > 0)
+      .forEach((file) => {
+        const stats = { errors: 0, warnings: 0, rules: {} }
+        file.messages.forEach((message) => {
+          const rule = message.ruleId || "unknown"
+          stats[message.severity === 2 ? "errors" : "warnings"]++
+          stats.rules[rule] = (stats.rules[rule] || 0) + 1
+        })
+        violations.fileBreakdown[path.relative(process.cwd(), file.filePath).split(path.sep).join("/")] = stats
+      })
+
+    // Count violations by Nx project
+    const workspace = this.getWorkspace()
+    results.forEach((file) => {
+      const project = workspace.projectForFile(file.filePath)
+      if (!project) return
+
+      const stats =
+        violations.projectBreakdown[project.name] ||
+        (violations.projectBreakdown[project.name] = { files: 0, filesWithViolations: 0, violations: 0 })
+      stats.files++
+      stats.violations += file.messages.length
+      if (file.messages.length > 0) stats.filesWithViolations++
+    })
+    Object.values(violations.projectBreakdown).forEach((stats) => {
+      stats.compliancePercentage = Math.round(((stats.files - stats.filesWithViolations) / stats.files) * 100)
+    })
+
     // Calculate compliance percentage
     violations.compliancePercentage =
       violations.totalFiles > 0
@@ -92,6 +198,266 @@ class ProgressReporter {
     this.reportData.violations = violations
   }
 
+  // Suppressed rules (eslint-disable comments and config overrides), with undocumented or expired ones as failures
+  async collectExceptionMetrics() {
+    console.log("🙈 Collecting exception metrics...")
+
+    const summary = this.exceptionRegistry.summarize(this.exceptionRegistry.scan(), this.getWorkspace())
+    if (summary.failures.length > 0) {
+      console.warn(`⚠️  ${summary.failures.length} undocumented or expired exceptions (see scripts/lint-exceptions.js)`)
+    }
+
+    this.reportData.exceptions = summary
+  }
+
+  // Per-team compliance and backlog, with teams taken from CODEOWNERS
+  async collectOwnershipMetrics() {
+    const codeOwners = new CodeOwners(".").load()
+    if (!codeOwners.source) {
+      console.log("👥 No CODEOWNERS file found; skipping ownership metrics")
+      return
+    }
+
+    console.log(`👥 Collecting ownership metrics from ${codeOwners.source}${this.blame ? " (with git blame)" : ""}...`)
+
+    const teams = {}
+    const teamStats = (team) =>
+      teams[team] ||
+      (teams[team] = { files: 0, filesWithViolations: 0, violations: 0, errors: 0, warnings: 0, rules: {} })
+
+    this.lintResults.forEach((file) => {
+      const owners = codeOwners.ownersOf(file.filePath)
+      const fileTeams = owners.length > 0 ? owners : ["(unowned)"]
+      const lineAuthors = this.blame && file.messages.length > 0 ? this.blameLines(file.filePath) : null
+
+      fileTeams.forEach((team) => {
+        const stats = teamStats(team)
+        stats.files++
+        if (file.messages.length > 0) stats.filesWithViolations++
+
+        file.messages.forEach((message) => {
+          const rule = message.ruleId || "unknown"
+          stats.violations++
+          stats[message.severity === 2 ? "errors" : "warnings"]++
+          stats.rules[rule] = (stats.rules[rule] || 0) + 1
+
+          // Who last touched the offending line, so leads can hand work to the right person
+          if (lineAuthors) {
+            const author = lineAuthors[message.line - 1] || "unknown"
+            stats.authors = stats.authors || {}
+            stats.authors[author] = (stats.authors[author] || 0) + 1
+          }
+        })
+      })
+    })
+
+    const topEntries = (counts, key) =>
+      Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([name, count]) => ({ [key]: name, count }))
+
+    Object.values(teams).forEach((stats) => {
+      stats.compliancePercentage = Math.round(((stats.files - stats.filesWithViolations) / stats.files) * 100)
+      stats.topRules = topEntries(stats.rules, "rule")
+      if (stats.authors) stats.topAuthors = topEntries(stats.authors, "author")
+      delete stats.rules
+      delete stats.authors
+    })
+
+    const leaderboard = Object.entries(teams)
+      .filter(([team]) => team !== "(unowned)")
+      .sort(([, a], [, b]) => b.compliancePercentage - a.compliancePercentage || a.violations - b.violations)
+      .map(([team, stats], index) => ({
+        rank: index + 1,
+        team,
+        compliancePercentage: stats.compliancePercentage,
+        violations: stats.violations,
+      }))
+
+    this.reportData.ownership = { source: codeOwners.source, blame: this.blame, teams, leaderboard }
+  }
+
+  // Author email for each line of the committed file; uncommitted lines show as "not.committed.yet"
+  blameLines(filePath) {
+    try {
+      const output = execFileSync("git", ["blame", "--line-porcelain", "--", filePath], {
+        encoding: "utf8",
+        stdio: "pipe",
+        maxBuffer: 64 * 1024 * 1024,
+      })
+      return output
+        .split("\n")
+        .filter((line) => line.startsWith("author-mail "))
+        .map((line) => line.slice("author-mail ".length).replace(/[<>]/g, ""))
+    } catch (error) {
+      // Untracked files have no history to blame
+      return []
+    }
+  }
+
+  getWorkspace() {
+    if (!this.workspace) {
+      this.workspace = new NxWorkspace(".").load()
+    }
+    return this.workspace
+  }
+
+  recordHistory() {
+    const { timestamp, git, phase, violations, scope } = this.reportData
+    // Partial (affected-only) runs would distort the trend, so only full runs are recorded
+    if (violations.error || scope.mode !== "full") return
+
+    this.history.append({
+      timestamp,
+      commit: git.commit,
+      branch: git.branch,
+      phase,
+      totalViolations: violations.totalViolations,
+      errorCount: violations.errorCount,
+      warningCount: violations.warningCount,
+      compliancePercentage: violations.compliancePercentage,
+      rules: violations.ruleBreakdown,
+      projects: Object.fromEntries(
+        Object.entries(violations.projectBreakdown).map(([name, stats]) => [
+          name,
+          { violations: stats.violations, compliancePercentage: stats.compliancePercentage },
+        ]),
+      ),
+    })
+  }
+
+  loadCiThresholds() {
+    const { thresholdsPath, overrides = {} } = this.ci
+    const defaults = {
+      minCompliance: 0,
+      maxNewErrors: Infinity,
+      maxWarningsPerRule: Infinity,
+      maxExceptionRate: Infinity,
+      maxInvalidExceptions: Infinity,
+    }
+    let fileThresholds = {}
+
+    if (thresholdsPath && fs.existsSync(thresholdsPath)) {
+      fileThresholds = require(path.resolve(thresholdsPath))
+    }
+
+    const thresholds = { ...defaults, ...fileThresholds }
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (value !== undefined) thresholds[key] = value
+    })
+
+    return thresholds
+  }
+
+  async evaluateCiGates() {
+    console.log("🚦 Evaluating CI thresholds...")
+
+    const thresholds = this.loadCiThresholds()
+    const { violations } = this.reportData
+    const breaches = []
+
+    if (violations.compliancePercentage < thresholds.minCompliance) {
+      breaches.push({
+        gate: "minCompliance",
+        message: `Compliance ${violations.compliancePercentage}% is below the required ${thresholds.minCompliance}%`,
+      })
+    }
+
+    // New errors are those not covered by the violation baseline (all errors when there is none)
+    const ViolationBaseline = require("./lint-baseline")
+    const baseline = new ViolationBaseline({ baselinePath: this.ci.baselinePath })
+    const baselineData = baseline.load()
+    const newErrors = baselineData
+      ? baseline
+          .compare(baselineData.files || {}, baseline.snapshotFromResults(this.lintResults))
+          .newViolations.filter((message) => message.severity === 2).length
+      : violations.errorCount
+    if (newErrors > thresholds.maxNewErrors) {
+      breaches.push({
+        gate: "maxNewErrors",
+        message: `${newErrors} new errors exceed the allowed ${thresholds.maxNewErrors}`,
+      })
+    }
+
+    // maxWarningsPerRule is either a number or a map of rule → limit with "*" as the fallback
+    const warningsByRule = {}
+    this.lintResults.forEach((result) =>
+      result.messages
+        .filter((message) => message.severity === 1)
+        .forEach((message) => {
+          const rule = message.ruleId || "unknown"
+          warningsByRule[rule] = (warningsByRule[rule] || 0) + 1
+        }),
+    )
+    Object.entries(warningsByRule).forEach(([rule, count]) => {
+      const limits = thresholds.maxWarningsPerRule
+      const limit = typeof limits === "object" ? (limits[rule] !== undefined ? limits[rule] : limits["*"]) : limits
+      if (limit !== undefined && count > limit) {
+        breaches.push({
+          gate: "maxWarningsPerRule",
+          rule,
+          message: `${rule}: ${count} warnings exceed the allowed ${limit}`,
+        })
+      }
+    })
+
+    const { exceptions } = this.reportData
+    if (exceptions.exceptionRate > thresholds.maxExceptionRate) {
+      breaches.push({
+        gate: "maxExceptionRate",
+        message: `Exception rate ${exceptions.exceptionRate}% exceeds the allowed ${thresholds.maxExceptionRate}%`,
+      })
+    }
+    if (exceptions.failures.length > thresholds.maxInvalidExceptions) {
+      breaches.push({
+        gate: "maxInvalidExceptions",
+        message: `${exceptions.undocumented} undocumented and ${exceptions.expired} expired exceptions exceed the allowed ${thresholds.maxInvalidExceptions}`,
+      })
+    }
+
+    this.reportData.ci = {
+      passed: breaches.length === 0,
+      thresholds,
+      newErrors,
+      baselineUsed: !!baselineData,
+      breaches,
+    }
+  }
+
+  async writeCiOutputs() {
+    const { formats = [], outputDir = "reports/ci" } = this.ci
+    if (formats.length === 0) return
+
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true })
+    }
+
+    const rulesMeta = this.engine ? await this.engine.rulesMeta(this.lintResults) : {}
+    const outputs = {
+      junit: () => ciFormatters.toJUnit(this.lintResults),
+      sarif: () => JSON.stringify(ciFormatters.toSarif(this.lintResults, rulesMeta), null, 2),
+      gitlab: () => JSON.stringify(ciFormatters.toGitLabCodeQuality(this.lintResults), null, 2),
+      github: () => JSON.stringify(ciFormatters.toGitHubAnnotations(this.lintResults), null, 2),
+    }
+
+    this.reportData.ci.outputs = {}
+    formats.forEach((format) => {
+      if (!outputs[format]) {
+        throw new Error(`Unknown CI format "${format}". Use one of: ${Object.keys(outputs).join(", ")}`)
+      }
+
+      const file = path.join(outputDir, CI_OUTPUT_FILES[format])
+      fs.writeFileSync(file, outputs[format]())
+      this.reportData.ci.outputs[format] = file
+    })
+
+    // Inside GitHub Actions, also annotate the pull request directly
+    if (formats.includes("github") && process.env.GITHUB_ACTIONS === "true") {
+      ciFormatters.toGitHubWorkflowCommands(this.lintResults).forEach((line) => console.log(line))
+    }
+  }
+
   async collectAdoptionMetrics() {
     console.log("📈 Collecting adoption metrics...")
 
@@ -99,7 +465,7 @@ class ProgressReporter {
       eslintConfigExists: fs.existsSync(".eslintrc.js") || fs.existsSync(".eslintrc.json"),
       preCommitHooksSetup: fs.existsSync(".husky/pre-commit"),
       packageJsonLintStaged: false,
-      ideConfigsDistributed: fs.existsSync(".vscode/settings.json"),
+      ideConfigsDistributed: fs.existsSync(".vscode/settings.json") || fs.existsSync(".idea/jsLinters/eslint.xml"),
     }
 
     // Check package.json for lint-staged
@@ -115,68 +481,93 @@ class ProgressReporter {
     const totalChecks = Object.keys(adoption).length
     adoption.adoptionScore = Math.round((adoptionChecks / totalChecks) * 100)
 
+    // Commits that landed despite the hook, as logged by scripts/check-commit.js
+    adoption.hookBypass = this.hookTelemetry.summarize()
+
     this.reportData.adoption = adoption
   }
 
-  async determineCurrentPhase() {
-    const { violations, adoption } = this.reportData
-
-    if (!adoption.eslintConfigExists) {
-      this.reportData.phase = "Phase 1: Assessment and Communication"
-    } else if (violations.compliancePercentage < 50) {
-      this.reportData.phase = "Phase 2: Pilot Project"
-    } else if (violations.compliancePercentage < 80) {
-      this.reportData.phase = "Phase 3: Incremental Integration"
-    } else if (!adoption.preCommitHooksSetup) {
-      this.reportData.phase = "Phase 4: Tools and Automation"
-    } else {
-      this.reportData.phase = "Phase 5: Continuous Improvement"
-    }
+  // Looks for a CI pipeline that runs ESLint, directly or through Nx lint targets
+  async detectCiIntegration() {
+    const files = CI_CONFIG_PATHS.filter((file) => fs.existsSync(file)).flatMap((file) =>
+      fs.statSync(file).isDirectory()
+        ? fs
+            .readdirSync(file)
+            .filter((name) => /\.ya?ml$/.test(name))
+            .map((name) => path.join(file, name))
+        : [file],
+    )
+
+    const lintingFiles = []
+    let nxLintTarget = false
+    files.forEach((file) => {
+      const lines = fs.readFileSync(file, "utf8").split("\n")
+      const lintLines = lines.filter((line) =>
+        /\beslint\b|scripts\/(generate-progress-report|lint-baseline|lint-affected)\.js|\b(npm|yarn|pnpm)( run)? lint\b|\bnx\b.*\blint\b/.test(
+          line,
+        ),
+      )
+      if (lintLines.length === 0) return
+
+      lintingFiles.push(file.split(path.sep).join("/"))
+      if (lintLines.some((line) => /\bnx\b.*\blint\b/.test(line) && !/\beslint\b/.test(line))) nxLintTarget = true
+    })
+
+    this.reportData.ciIntegration = { detected: lintingFiles.length > 0, files: lintingFiles, nxLintTarget }
   }
 
-  async generateRecommendations() {
-    const { violations, adoption, phase } = this.reportData
-    const recommendations = []
-
-    if (phase.includes("Phase 1")) {
-      recommendations.push("Complete codebase assessment")
-      recommendations.push("Begin team communication and training")
-      recommendations.push("Select pilot project")
-    } else if (phase.includes("Phase 2")) {
-      recommendations.push("Focus on pilot project compliance")
-      recommendations.push("Gather team feedback")
-      recommendations.push("Refine ESLint configuration")
-    } else if (phase.includes("Phase 3")) {
-      if (violations.compliancePercentage < 60) {
-        recommendations.push("Prioritize auto-fixable violations")
-        recommendations.push("Consider dedicated fix sprints")
+  getPhaseMachine() {
+    if (!this.phaseMachine) {
+      if (!fs.existsSync(this.phasesConfigPath)) {
+        throw new Error(`Phase configuration not found: ${this.phasesConfigPath}`)
       }
-      recommendations.push("Continue incremental rollout")
-      recommendations.push("Monitor team productivity impact")
-    } else if (phase.includes("Phase 4")) {
-      if (!adoption.preCommitHooksSetup) {
-        recommendations.push("Set up pre-commit hooks")
-      }
-      if (!adoption.ideConfigsDistributed) {
-        recommendations.push("Distribute IDE configurations")
-      }
-      recommendations.push("Integrate with CI/CD pipeline")
-    } else {
-      recommendations.push("Monitor violation trends")
-      recommendations.push("Collect team satisfaction feedback")
-      recommendations.push("Plan configuration evolution")
+      this.phaseMachine = new PhaseMachine(require(path.resolve(this.phasesConfigPath)))
     }
+    return this.phaseMachine
+  }
 
-    // Add specific recommendations based on metrics
-    if (violations.totalViolations > 1000) {
-      recommendations.push("Consider automated violation fixing tools")
-    }
+  // Evaluates the configured phase gates for the workspace and for every linted Nx project
+  async determineCurrentPhase() {
+    const machine = this.getPhaseMachine()
+    const { violations, adoption, exceptions, ciIntegration } = this.reportData
+    const exceptionProjects = exceptions.projectBreakdown || {}
 
-    if (violations.compliancePercentage < 80) {
-      recommendations.push("Increase focus on violation resolution")
+    this.phaseMetrics = {
+      compliance: violations.compliancePercentage || 0,
+      adoptionScore: adoption.adoptionScore || 0,
+      exceptionRate: exceptions.exceptionRate || 0,
+      violations: violations.totalViolations || 0,
+      ciIntegration: ciIntegration.detected,
+      adoption,
     }
+    const workspaceStatus = machine.evaluate(this.phaseMetrics)
+
+    const projects = {}
+    Object.entries(violations.projectBreakdown || {}).forEach(([name, stats]) => {
+      const project = this.getWorkspace().projects.find((candidate) => candidate.name === name)
+      // When CI lints through Nx targets, only projects with a lint target are covered
+      const linted =
+        ciIntegration.detected && (!ciIntegration.nxLintTarget || this.getWorkspace().hasTarget(project, "lint"))
+      const status = machine.evaluate({
+        ...this.phaseMetrics,
+        compliance: stats.compliancePercentage,
+        exceptionRate: exceptionProjects[name] ? exceptionProjects[name].exceptionRate : 0,
+        violations: stats.violations,
+        ciIntegration: linted,
+        ciIntegrationIssue: ciIntegration.detected ? `CI runs Nx lint targets but ${name} has no lint target` : null,
+      })
+      projects[name] = { phase: status.phase, id: status.id, next: status.next, blocking: status.blocking }
+    })
 
-    this.reportData.recommendations = recommendations
+    this.reportData.phase = workspaceStatus.phase
+    this.reportData.phaseStatus = { workspace: workspaceStatus, projects }
+  }
+
+  async generateRecommendations() {
+    const { workspace } = this.reportData.phaseStatus
+    const unblock = workspace.blocking.map((gate) => `Unblock ${workspace.next}: ${gate.message}`)
+
+    this.reportData.recommendations = [...unblock, ...this.getPhaseMachine().recommend(workspace, this.phaseMetrics)]
   }
 
   printSummary() {
@@ -185,19 +576,95 @@ class ProgressReporter {
     console.log("\n📋 PROGRESS REPORT SUMMARY")
     console.log("===========================")
     console.log(`Current Phase: ${phase}`)
+    this.reportData.phaseStatus.workspace.blocking.forEach((gate) => console.log(`  ⛔ Blocked: ${gate.message}`))
+    if (this.reportData.scope.mode === "affected") {
+      const { projects, base } = this.reportData.scope
+      console.log(`Scope: ${projects.length} affected projects vs ${base} (${projects.join(", ") || "none"})`)
+    }
     console.log(`Compliance: ${violations.compliancePercentage || 0}%`)
     console.log(`Total Violations: ${violations.totalViolations || 0}`)
     console.log(`Adoption Score: ${adoption.adoptionScore || 0}%`)
+    if (this.reportData.exceptions.totalFiles !== undefined) {
+      const { exceptionRate, failures } = this.reportData.exceptions
+      console.log(`Exception Rate: ${exceptionRate}% of files (${failures.length} undocumented or expired)`)
+    }
+    if (adoption.hookBypass && adoption.hookBypass.commitsChecked > 0) {
+      const { bypassRate, bypassed, commitsChecked, unknown = 0 } = adoption.hookBypass
+      const unknownNote = unknown > 0 ? `, ${unknown} unknown` : ""
+      console.log(`Hook Bypass Rate: ${bypassRate}% (${bypassed}/${commitsChecked - unknown} commits${unknownNote})`)
+    }
+    const projectPhases = Object.entries(this.reportData.phaseStatus.projects)
+    if (projectPhases.length > 0) {
+      console.log("\n🧭 PROJECT PHASES:")
+      projectPhases.forEach(([name, status]) => {
+        const blocked = status.blocking.map((gate) => gate.message).join("; ")
+        console.log(`  • ${name}: ${status.phase}${blocked ? ` (blocked: ${blocked})` : ""}`)
+      })
+    }
+    if (this.reportData.ownership && this.reportData.ownership.leaderboard.length > 0) {
+      console.log("\n🏆 TEAM LEADERBOARD:")
+      this.reportData.ownership.leaderboard
+        .slice(0, 5)
+        .forEach(({ rank, team, compliancePercentage, violations }) =>
+          console.log(`  ${rank}. ${team}: ${compliancePercentage}% compliant, ${violations} violations`),
+        )
+    }
     console.log("\n🎯 TOP RECOMMENDATIONS:")
     this.reportData.recommendations.slice(0, 3).forEach((rec) => console.log(`  • ${rec}`))
   }
+
+  printCiSummary() {
+    const { passed, breaches, outputs = {} } = this.reportData.ci
+
+    console.log("\n🚦 CI GATES")
+    Object.values(outputs).forEach((file) => console.log(`  📄 ${file}`))
+    if (passed) {
+      console.log("✅ All CI thresholds met")
+    } else {
+      console.log(`❌ ${breaches.length} CI thresholds breached:`)
+      breaches.forEach((breach) => console.log(`  • ${breach.message}`))
+    }
+  }
 }
 
 // CLI execution
 if (require.main === module) {
-  const outputPath = process.argv[2] || "reports/progress-report.json"
-  const reporter = new ProgressReporter()
-  reporter.generateReport(outputPath)
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+  const config = ProjectConfig.fromArgs(args)
+  // A flag overrides thresholds.ci from the project config
+  const threshold = (name, key) => (option(name) !== undefined ? Number(option(name)) : config.thresholds.ci[key])
+  const outputPath = args[0] && !args[0].startsWith("--") ? args[0] : config.report("progress-report.json")
+
+  const reporter = new ProgressReporter({
+    historyPath: path.join(path.dirname(outputPath), "history.jsonl"),
+    affected: args.includes("--affected") ? { base: option("--base"), head: option("--head") } : null,
+    blame: args.includes("--blame"),
+    phasesConfigPath: option("--phases"),
+    configFile: config.eslintConfig,
+    extensions: config.extensions,
+    excludeDirs: config.excludeDirs,
+    ci: args.includes("--ci")
+      ? {
+          thresholdsPath: option("--thresholds") || "configs/ci-thresholds.js",
+          baselinePath: option("--baseline"),
+          formats: option("--format") ? option("--format").split(",") : [],
+          outputDir: option("--output-dir") || config.report("ci"),
+          overrides: {
+            minCompliance: threshold("--min-compliance", "minCompliance"),
+            maxNewErrors: threshold("--max-new-errors", "maxNewErrors"),
+            maxWarningsPerRule: threshold("--max-warnings-per-rule", "maxWarningsPerRule"),
+            maxExceptionRate: threshold("--max-exception-rate", "maxExceptionRate"),
+            maxInvalidExceptions: threshold("--max-invalid-exceptions", "maxInvalidExceptions"),
+          },
+        }
+      : null,
+  })
+  reporter.generateReport(outputPath).then((report) => {
+    if (report.ci && !report.ci.passed) {
+      process.exit(1)
+    }
+  })
 }
 
 module.exports = ProgressReporter
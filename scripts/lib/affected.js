@@ -0,0 +1,127 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { execFileSync } = require("child_process")
+
+// Changes to these files can affect every project, so they widen the scope to the whole workspace
+const GLOBAL_FILES = [
+  /^package\.json$/,
+  /^nx\.json$/,
+  /^workspace\.json$/,
+  /^tsconfig(\.base)?\.json$/,
+  /^\.eslintrc(\.\w+)?$/,
+  /^eslint\.config\.[cm]?js$/,
+  /^(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/,
+]
+
+// Resolves changed files against a base ref into the set of affected Nx projects
+class AffectedScope {
+  constructor(workspace, options = {}) {
+    this.workspace = workspace
+    this.base = options.base || "origin/main"
+    this.head = options.head || "HEAD"
+    this.staged = options.staged || false
+    // Only what the commits between base and head changed, e.g. for a pre-push hook
+    this.committed = options.committed || false
+  }
+
+  compute() {
+    const changedFiles = this.changedFiles()
+    const globalChanges = changedFiles.filter((file) => GLOBAL_FILES.some((pattern) => pattern.test(file)))
+    const direct = new Set(
+      changedFiles
+        .map((file) => this.workspace.projectForFile(file))
+        .filter(Boolean)
+        .map((project) => project.name),
+    )
+
+    const graph = this.projectGraph()
+    const affected = globalChanges.length > 0 ? new Set(this.workspace.projects.map((p) => p.name)) : new Set(direct)
+
+    // Walk reverse dependencies: a project is affected when anything it depends on changed
+    if (graph) {
+      const queue = [...affected]
+      while (queue.length > 0) {
+        const dependents = graph.dependents[queue.shift()] || []
+        dependents.forEach((dependent) => {
+          if (!affected.has(dependent)) {
+            affected.add(dependent)
+            queue.push(dependent)
+          }
+        })
+      }
+    }
+
+    const projects = this.workspace.projects.filter((project) => affected.has(project.name))
+    const outsideProjects = changedFiles.filter((file) => !this.workspace.projectForFile(file))
+
+    return {
+      mode: "affected",
+      base: this.staged ? "staged" : this.base,
+      head: this.staged ? "index" : this.head,
+      changedFiles: changedFiles.length,
+      globalChanges,
+      graphAvailable: !!graph,
+      directlyAffected: [...direct].sort(),
+      projects: projects.map((project) => project.name).sort(),
+      patterns: [
+        ...projects.map((project) => project.root || "."),
+        ...outsideProjects.filter((file) => fs.existsSync(file)),
+      ],
+    }
+  }
+
+  changedFiles() {
+    const git = (args) =>
+      execFileSync("git", args, { encoding: "utf8", stdio: "pipe" })
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+
+    try {
+      if (this.staged) {
+        return git(["diff", "--name-only", "--cached", "--diff-filter=ACMR"])
+      }
+
+      const committed = git(["diff", "--name-only", `${this.base}...${this.head}`])
+      if (this.committed) return committed.sort()
+
+      // Committed changes since the merge base plus anything not yet committed
+      const files = new Set([
+        ...committed,
+        ...git(["diff", "--name-only", "HEAD"]),
+        ...git(["ls-files", "--others", "--exclude-standard"]),
+      ])
+      return [...files].sort()
+    } catch (error) {
+      throw new Error(`Could not compute changed files against ${this.base}: ${error.message}`)
+    }
+  }
+
+  // Reverse dependency map from `nx graph`; null when Nx is unavailable
+  projectGraph() {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lint-rollout-graph-"))
+    const graphFile = path.join(tempDir, "graph.json")
+
+    try {
+      execFileSync("npx", ["--no-install", "nx", "graph", `--file=${graphFile}`], { stdio: "pipe" })
+      const { graph } = JSON.parse(fs.readFileSync(graphFile, "utf8"))
+      const dependents = {}
+
+      Object.entries(graph.dependencies || {}).forEach(([source, dependencies]) => {
+        dependencies.forEach(({ target }) => {
+          dependents[target] = dependents[target] || []
+          dependents[target].push(source)
+        })
+      })
+
+      return { dependents }
+    } catch (error) {
+      return null
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    }
+  }
+}
+
+module.exports = AffectedScope
@@ -0,0 +1,164 @@
+const path = require("path")
+const crypto = require("crypto")
+
+// Converts ESLint results into the report formats CI systems consume
+
+const relativePath = (filePath) => path.relative(process.cwd(), filePath).split(path.sep).join("/")
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+
+// GitHub workflow command data; property values also end at "," and ":"
+const escapeCommandData = (value) => String(value).replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A")
+const escapeCommandProperty = (value) => escapeCommandData(value).replace(/:/g, "%3A").replace(/,/g, "%2C")
+
+const eachMessage = (results, callback) =>
+  results.forEach((result) => result.messages.forEach((message) => callback(relativePath(result.filePath), message)))
+
+function toJUnit(results) {
+  const suites = results.map((result) => {
+    const file = relativePath(result.filePath)
+    const cases =
+      result.messages.length === 0
+        ? [`    <testcase name="${escapeXml(file)}" classname="eslint" />`]
+        : result.messages.map((message) => {
+            const rule = message.ruleId || "unknown"
+            const type = message.severity === 2 ? "error" : "warning"
+            return [
+              `    <testcase name="${escapeXml(`${file}:${message.line}:${message.column} ${rule}`)}" classname="eslint.${escapeXml(rule)}">`,
+              `      <failure type="${type}" message="${escapeXml(message.message)}">${escapeXml(`${file}:${message.line}:${message.column} ${message.message} (${rule})`)}</failure>`,
+              "    </testcase>",
+            ].join("\n")
+          })
+
+    return [
+      `  <testsuite name="${escapeXml(file)}" tests="${Math.max(1, result.messages.length)}" failures="${result.messages.length}" errors="0">`,
+      ...cases,
+      "  </testsuite>",
+    ].join("\n")
+  })
+
+  return ['<?xml version="1.0" encoding="utf-8"?>', '<testsuites name="eslint">', ...suites, "</testsuites>", ""].join(
+    "\n",
+  )
+}
+
+function toSarif(results, rulesMeta = {}) {
+  const rules = new Map()
+  const sarifResults = []
+
+  eachMessage(results, (file, message) => {
+    const rule = message.ruleId || "unknown"
+    if (!rules.has(rule)) {
+      const meta = rulesMeta[rule] || {}
+      const docs = meta.docs || {}
+      rules.set(rule, {
+        id: rule,
+        shortDescription: { text: docs.description || rule },
+        ...(docs.url ? { helpUri: docs.url } : {}),
+      })
+    }
+
+    sarifResults.push({
+      ruleId: rule,
+      level: message.severity === 2 ? "error" : "warning",
+      message: { text: message.message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: file },
+            region: {
+              startLine: message.line || 1,
+              startColumn: message.column || 1,
+              ...(message.endLine ? { endLine: message.endLine, endColumn: message.endColumn } : {}),
+            },
+          },
+        },
+      ],
+    })
+  })
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: { driver: { name: "ESLint", informationUri: "https://eslint.org", rules: [...rules.values()] } },
+        results: sarifResults,
+      },
+    ],
+  }
+}
+
+// GitLab "Code Quality" report (Code Climate issue format)
+function toGitLabCodeQuality(results) {
+  const issues = []
+
+  eachMessage(results, (file, message) => {
+    const rule = message.ruleId || "unknown"
+    issues.push({
+      description: message.message,
+      check_name: rule,
+      fingerprint: crypto
+        .createHash("md5")
+        .update(`${file}:${rule}:${message.line}:${message.column}:${message.message}`)
+        .digest("hex"),
+      severity: message.severity === 2 ? "major" : "minor",
+      location: { path: file, lines: { begin: message.line || 1 } },
+    })
+  })
+
+  return issues
+}
+
+// Check-run annotation objects as accepted by the GitHub Checks API
+function toGitHubAnnotations(results) {
+  const annotations = []
+
+  eachMessage(results, (file, message) => {
+    const sameLine = !message.endLine || message.endLine === message.line
+    annotations.push({
+      path: file,
+      start_line: message.line || 1,
+      end_line: message.endLine || message.line || 1,
+      ...(sameLine ? { start_column: message.column, end_column: message.endColumn || message.column } : {}),
+      annotation_level: message.severity === 2 ? "failure" : "warning",
+      title: message.ruleId || "unknown",
+      message: message.message,
+    })
+  })
+
+  return annotations
+}
+
+// Workflow commands GitHub Actions turns into inline annotations on the pull request
+function toGitHubWorkflowCommands(results) {
+  const lines = []
+
+  eachMessage(results, (file, message) => {
+    const level = message.severity === 2 ? "error" : "warning"
+    // Parse errors have no rule
+    const properties = [
+      `file=${escapeCommandProperty(file)}`,
+      `line=${message.line || 1}`,
+      `col=${message.column || 1}`,
+      `title=${escapeCommandProperty(message.ruleId || "ESLint")}`,
+    ]
+    lines.push(`::${level} ${properties.join(",")}::${escapeCommandData(message.message)}`)
+  })
+
+  return lines
+}
+
+module.exports = {
+  toJUnit,
+  toSarif,
+  toGitLabCodeQuality,
+  toGitHubAnnotations,
+  toGitHubWorkflowCommands,
+}
@@ -0,0 +1,294 @@
+const path = require("path")
+const crypto = require("crypto")
+const workspaceRequire = require("./workspace-require")
+
+const DEFAULT_THRESHOLDS = { complexity: 10, functionLength: 50, nestingDepth: 4, duplicateLines: 6 }
+
+// Share of the 0-100 structure score each metric can contribute, and the value at which it maxes out
+const STRUCTURE_WEIGHTS = {
+  complexFunctions: { weight: 30, saturation: 0.2 },
+  longFunctions: { weight: 20, saturation: 0.2 },
+  deeplyNested: { weight: 20, saturation: 0.2 },
+  duplication: { weight: 20, saturation: 0.15 },
+  anyDensity: { weight: 10, saturation: 10 },
+}
+
+const FUNCTION_TYPES = ["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]
+// The branches ESLint's `complexity` rule counts
+const DECISION_TYPES = [
+  "IfStatement",
+  "ConditionalExpression",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+  "CatchClause",
+]
+const LOGICAL_OPERATORS = ["&&", "||", "??", "&&=", "||=", "??="]
+// The blocks ESLint's `max-depth` rule counts
+const NESTING_TYPES = [
+  "IfStatement",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+  "SwitchStatement",
+  "TryStatement",
+  "WithStatement",
+]
+const SKIPPED_KEYS = ["parent", "loc", "range", "tokens", "comments"]
+
+// Lines that carry no logic of their own are left out of duplicate detection
+const isBoilerplate = (line) =>
+  line === "" ||
+  /^[{}()[\];,]*$/.test(line) ||
+  /^(\/\/|\/\*|\*)/.test(line) ||
+  /^(import\b|export \* from|} from ["'])/.test(line)
+
+// Per-file structure metrics: function complexity, length and nesting, duplicated blocks and TypeScript `any` usage
+class CodeHealth {
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || process.cwd())
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds }
+    this.parsers = null
+    this.files = new Map()
+    this.windowCounts = new Map()
+    this.skippedTypeScript = 0
+  }
+
+  // espree ships with ESLint; TypeScript needs @typescript-eslint's parser, which TS workspaces install for ESLint
+  loadParsers() {
+    if (this.parsers) return this.parsers
+
+    this.parsers = {
+      espree: workspaceRequire("espree", { cwd: this.cwd, via: "eslint" }),
+      typescript: workspaceRequire("@typescript-eslint/typescript-estree", {
+        cwd: this.cwd,
+        via: "@typescript-eslint/parser",
+      }),
+    }
+    if (!this.parsers.espree) {
+      throw new Error(`espree is not installed in ${this.cwd}. Run "npm install --save-dev eslint" first.`)
+    }
+    return this.parsers
+  }
+
+  parse(file, content) {
+    const parsers = this.loadParsers()
+
+    if (/\.tsx?$/.test(file)) {
+      if (!parsers.typescript) {
+        this.skippedTypeScript++
+        return null
+      }
+      return parsers.typescript.parse(content, { loc: true, jsx: file.endsWith(".tsx") })
+    }
+
+    const options = { ecmaVersion: "latest", loc: true, ecmaFeatures: { jsx: true } }
+    try {
+      return parsers.espree.parse(content, { ...options, sourceType: "module" })
+    } catch (error) {
+      // CommonJS files may use syntax only scripts allow, like `with` or a top-level `return`
+      return parsers.espree.parse(content, {
+        ...options,
+        sourceType: "script",
+        ecmaFeatures: { jsx: true, globalReturn: true },
+      })
+    }
+  }
+
+  add(file, content) {
+    const lines = content.split("\n")
+    const metrics = {
+      lines: lines.length,
+      typescript: /\.tsx?$/.test(file),
+      parsed: false,
+      functions: [],
+      anyCount: 0,
+      windows: this.recordWindows(lines),
+    }
+
+    // Outside the try: a parser that is not installed is not a syntax error in this file
+    this.loadParsers()
+    let ast = null
+    try {
+      ast = this.parse(file, content)
+    } catch (error) {
+      // Syntax errors already show up as ESLint parse errors; such files keep only their duplication metrics
+    }
+    if (ast) {
+      this.measure(ast, metrics)
+      metrics.parsed = true
+    }
+
+    this.files.set(file, metrics)
+  }
+
+  // Walks with an explicit stack: generated or bundled files can nest deeper than the call stack allows
+  measure(ast, metrics) {
+    const stack = [{ node: ast, parent: null, frame: null, depth: 0 }]
+
+    while (stack.length > 0) {
+      const visit = stack.pop()
+      const { node, parent } = visit
+      let { frame, depth } = visit
+
+      if (FUNCTION_TYPES.includes(node.type)) {
+        frame = {
+          name: this.functionName(node, parent),
+          line: node.loc.start.line,
+          length: node.loc.end.line - node.loc.start.line + 1,
+          complexity: 1,
+          depth: 0,
+        }
+        metrics.functions.push(frame)
+        depth = 0
+      } else if (frame) {
+        if (
+          DECISION_TYPES.includes(node.type) ||
+          (node.type === "SwitchCase" && node.test) ||
+          (["LogicalExpression", "AssignmentExpression"].includes(node.type) &&
+            LOGICAL_OPERATORS.includes(node.operator))
+        ) {
+          frame.complexity++
+        }
+        // `else if` continues the chain at the same depth
+        const elseIf = node.type === "IfStatement" && parent.type === "IfStatement" && parent.alternate === node
+        if (NESTING_TYPES.includes(node.type) && !elseIf) {
+          depth++
+          frame.depth = Math.max(frame.depth, depth)
+        }
+      }
+      if (node.type === "TSAnyKeyword") metrics.anyCount++
+
+      const children = Object.keys(node)
+        .filter((key) => !SKIPPED_KEYS.includes(key))
+        .flatMap((key) => (Array.isArray(node[key]) ? node[key] : [node[key]]))
+        .filter((child) => child && typeof child.type === "string")
+      // Pushed last to first so they are visited in source order
+      children.reverse().forEach((child) => stack.push({ node: child, parent: node, frame, depth }))
+    }
+  }
+
+  functionName(node, parent) {
+    if (node.id) return node.id.name
+    if (parent && parent.type === "VariableDeclarator" && parent.id.type === "Identifier") return parent.id.name
+    if (parent && ["MethodDefinition", "Property", "PropertyDefinition"].includes(parent.type) && parent.key) {
+      return parent.key.name || String(parent.key.value)
+    }
+    return "<anonymous>"
+  }
+
+  // Hashes every run of `duplicateLines` meaningful lines; runs seen more than once anywhere are duplicates
+  recordWindows(lines) {
+    const meaningful = lines
+      .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+      .filter(({ text }) => !isBoilerplate(text))
+    const size = this.thresholds.duplicateLines
+    const hashes = []
+
+    for (let start = 0; start + size <= meaningful.length; start++) {
+      const hash = crypto
+        .createHash("md5")
+        .update(
+          meaningful
+            .slice(start, start + size)
+            .map(({ text }) => text)
+            .join("\n"),
+        )
+        .digest("hex")
+        .slice(0, 16)
+      hashes.push(hash)
+      this.windowCounts.set(hash, (this.windowCounts.get(hash) || 0) + 1)
+    }
+
+    return { hashes, lines: meaningful.map(({ line }) => line) }
+  }
+
+  // Metrics per file once every file has been added
+  results() {
+    const size = this.thresholds.duplicateLines
+    const results = new Map()
+
+    this.files.forEach((metrics, file) => {
+      const duplicated = new Set()
+      let blocks = 0
+      metrics.windows.hashes.forEach((hash, start) => {
+        if (this.windowCounts.get(hash) < 2) return
+
+        if (start === 0 || this.windowCounts.get(metrics.windows.hashes[start - 1]) < 2) blocks++
+        metrics.windows.lines.slice(start, start + size).forEach((line) => duplicated.add(line))
+      })
+
+      const { windows, ...rest } = metrics
+      results.set(file, { ...rest, duplicatedLines: duplicated.size, duplicateBlocks: blocks })
+    })
+
+    return results
+  }
+
+  // Aggregates file metrics (e.g. one project's) into counts, shares and a 0-100 structure score
+  summarize(fileMetrics) {
+    const { complexity, functionLength, nestingDepth } = this.thresholds
+    const functions = fileMetrics.flatMap((metrics) => metrics.functions)
+    const lines = fileMetrics.reduce((total, metrics) => total + metrics.lines, 0)
+    const typescriptLines = fileMetrics
+      .filter((metrics) => metrics.typescript && metrics.parsed)
+      .reduce((total, metrics) => total + metrics.lines, 0)
+    const sum = (key) => fileMetrics.reduce((total, metrics) => total + metrics[key], 0)
+    const round = (value) => Math.round(value * 100) / 100
+    // reduce rather than Math.max(...values), which overflows the stack on large workspaces
+    const max = (key) => functions.reduce((highest, fn) => Math.max(highest, fn[key]), 0)
+
+    const summary = {
+      files: fileMetrics.length,
+      parsedFiles: fileMetrics.filter((metrics) => metrics.parsed).length,
+      functions: functions.length,
+      averageComplexity: round(
+        functions.length > 0 ? functions.reduce((total, fn) => total + fn.complexity, 0) / functions.length : 0,
+      ),
+      maxComplexity: max("complexity"),
+      complexFunctions: functions.filter((fn) => fn.complexity > complexity).length,
+      longFunctions: functions.filter((fn) => fn.length > functionLength).length,
+      maxNestingDepth: max("depth"),
+      deeplyNested: functions.filter((fn) => fn.depth > nestingDepth).length,
+      duplicatedLines: sum("duplicatedLines"),
+      duplicateBlocks: sum("duplicateBlocks"),
+      duplicationRatio: round(lines > 0 ? sum("duplicatedLines") / lines : 0),
+      anyCount: sum("anyCount"),
+      anyPer1kLines: round(typescriptLines > 0 ? (sum("anyCount") / typescriptLines) * 1000 : 0),
+    }
+
+    const shares = {
+      complexFunctions: functions.length > 0 ? summary.complexFunctions / functions.length : 0,
+      longFunctions: functions.length > 0 ? summary.longFunctions / functions.length : 0,
+      deeplyNested: functions.length > 0 ? summary.deeplyNested / functions.length : 0,
+      duplication: summary.duplicationRatio,
+      anyDensity: summary.anyPer1kLines,
+    }
+    summary.structureScore = Math.round(
+      Object.entries(STRUCTURE_WEIGHTS).reduce(
+        (score, [key, { weight, saturation }]) => score + weight * Math.min(1, shares[key] / saturation),
+        0,
+      ),
+    )
+
+    return summary
+  }
+
+  // The functions most over the thresholds, for pointing refactoring at specific code
+  hotspots(results, limit = 10) {
+    const { complexity, functionLength, nestingDepth } = this.thresholds
+
+    return [...results.entries()]
+      .flatMap(([file, metrics]) => metrics.functions.map((fn) => ({ file, ...fn })))
+      .filter((fn) => fn.complexity > complexity || fn.length > functionLength || fn.depth > nestingDepth)
+      .sort((a, b) => b.complexity - a.complexity || b.depth - a.depth || b.length - a.length)
+      .slice(0, limit)
+  }
+}
+
+module.exports = CodeHealth
+module.exports.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS
@@ -0,0 +1,68 @@
+const fs = require("fs")
+const path = require("path")
+
+// Locations GitHub and GitLab look for the file, in their lookup order
+const CODEOWNERS_PATHS = [".github/CODEOWNERS", "CODEOWNERS", "docs/CODEOWNERS", ".gitlab/CODEOWNERS"]
+
+// Maps repository files to their owners using CODEOWNERS rules (last matching rule wins)
+class CodeOwners {
+  constructor(root = ".") {
+    this.root = path.resolve(root)
+    this.source = null
+    this.rules = []
+  }
+
+  load() {
+    this.source = CODEOWNERS_PATHS.find((file) => fs.existsSync(path.join(this.root, file))) || null
+    if (!this.source) return this
+
+    this.rules = fs
+      .readFileSync(path.join(this.root, this.source), "utf8")
+      .split("\n")
+      .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+      // GitLab section headers ("[Frontend]", "^[Optional] @team") are not path rules
+      .filter((line) => line && !/^\^?\[/.test(line))
+      .map((line) => {
+        const [pattern, ...owners] = line.split(/\s+/)
+        return { pattern, owners, regex: CodeOwners.toRegex(pattern) }
+      })
+
+    return this
+  }
+
+  ownersOf(filePath) {
+    const relative = path.relative(this.root, path.resolve(this.root, filePath)).split(path.sep).join("/")
+
+    for (let index = this.rules.length - 1; index >= 0; index--) {
+      if (this.rules[index].regex.test(relative)) return this.rules[index].owners
+    }
+
+    return []
+  }
+
+  // gitignore-style pattern semantics, as used by CODEOWNERS
+  static toRegex(pattern) {
+    // Patterns with a slash anywhere but the end are relative to the root; others match at any depth
+    const anchored = pattern.replace(/\/$/, "").includes("/")
+    const body = pattern
+      .replace(/^\//, "")
+      .replace(/\/$/, "")
+      .split(/(\/\*\*\/|\*\*\/|\/\*\*|\*\*|\*|\?)/)
+      .map((part) => {
+        if (part === "/**/") return "/(?:.*/)?"
+        if (part === "**/") return "(?:.*/)?"
+        if (part === "/**") return "/.*"
+        if (part === "**") return ".*"
+        if (part === "*") return "[^/]*"
+        if (part === "?") return "[^/]"
+        return part.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      })
+      .join("")
+
+    // A pattern naming a directory owns everything below it; "dir/*" only owns the files directly in dir
+    const descendants = pattern.endsWith("/*") ? "" : "(?:/.*)?"
+    return new RegExp(`^${anchored ? "" : "(?:.*/)?"}${body}${descendants}$`)
+  }
+}
+
+module.exports = CodeOwners
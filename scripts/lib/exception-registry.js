@@ -0,0 +1,299 @@
+const fs = require("fs")
+const path = require("path")
+const LintEngine = require("./lint-engine")
+const { GENERATED_MARKER } = require("../generate-eslint-configs")
+
+const CONFIG_FILES = [".eslintrc.js", ".eslintrc.cjs", ".eslintrc.json", ".eslintrc", ".eslintrc.yaml", ".eslintrc.yml"]
+const DIRECTIVE = /(?:\/\/|\/\*)\s*(eslint-disable(?:-next-line|-line)?)(?=\s|\*\/|$)(.*?)(?:\*\/|$)/g
+
+// Finds every suppressed rule (eslint-disable comments and config overrides that switch rules off)
+// and checks that each one is documented:
+//
+//   // eslint-disable-next-line no-console -- CLI entrypoint prints to stdout | expires: 2026-12-31 | ticket: OPS-42
+//
+// Config overrides cannot carry that comment, so their reason/expires/ticket are filled in on the registry entry.
+class ExceptionRegistry {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || ".")
+    this.registryPath = options.registryPath || ".eslint-exceptions.json"
+    this.today = options.today || new Date().toISOString().slice(0, 10)
+  }
+
+  scan() {
+    const previous = new Map(this.load().map((entry) => [entry.id, entry]))
+    const files = new LintEngine({ cwd: this.root }).walk(this.root)
+    const exceptions = [...this.scanComments(files), ...this.scanConfigs(previous)]
+
+    return { files: files.map((file) => this.relativePath(file)), exceptions }
+  }
+
+  scanComments(files) {
+    const exceptions = []
+
+    files.forEach((filePath) => {
+      const file = this.relativePath(filePath)
+      fs.readFileSync(filePath, "utf8")
+        .split("\n")
+        .forEach((text, index) => {
+          for (const { 0: directive, 1: kind, 2: body, index: column } of text.matchAll(DIRECTIVE)) {
+            // Directives only count at the start of a comment, not quoted inside another one
+            if (text.slice(0, column + directive.indexOf("eslint")).split(/\/\/|\/\*/).length > 2) continue
+
+            const [ruleList, ...description] = body.split(/\s--\s|\s--$/)
+            const rules = ruleList
+              .split(",")
+              .map((rule) => rule.trim())
+              .filter(Boolean)
+
+            exceptions.push(
+              this.entry({
+                type: "comment",
+                kind,
+                file,
+                line: index + 1,
+                // A directive without rules switches off every rule
+                rules: rules.length > 0 ? rules : ["*"],
+                ...ExceptionRegistry.parseDescription(description.join(" -- ")),
+              }),
+            )
+          }
+        })
+    })
+
+    return exceptions
+  }
+
+  scanConfigs(previous) {
+    const exceptions = []
+
+    this.findConfigFiles().forEach((configPath) => {
+      const config = this.readConfig(configPath)
+      if (!config) return
+
+      const file = this.relativePath(configPath)
+      const isRootConfig = path.dirname(configPath) === this.root
+      const blocks = (config.overrides || []).map((override) => ({
+        files: [].concat(override.files),
+        rules: override.rules,
+      }))
+      // Nested configs narrow the root config for their directory, so their own rules are exceptions too
+      if (!isRootConfig) blocks.unshift({ files: ["**/*"], rules: config.rules })
+
+      blocks.forEach(({ files, rules }) => {
+        const disabled = Object.entries(rules || {})
+          .filter(([, setting]) => [0, "off"].includes(Array.isArray(setting) ? setting[0] : setting))
+          .map(([rule]) => rule)
+
+        disabled.forEach((rule) => {
+          const id = `config:${file}:${files.join(",")}:${rule}`
+          // Documentation for config overrides is kept in the registry between scans
+          const documented = previous.get(id) || {}
+
+          exceptions.push(
+            this.entry({
+              id,
+              type: "config",
+              kind: "override",
+              file,
+              files,
+              rules: [rule],
+              reason: documented.reason || null,
+              expires: documented.expires || null,
+              ticket: documented.ticket || null,
+            }),
+          )
+        })
+      })
+    })
+
+    return exceptions
+  }
+
+  entry(exception) {
+    const id = exception.id || `comment:${exception.file}:${exception.line}`
+    const status = !exception.reason
+      ? "undocumented"
+      : exception.expires && exception.expires < this.today
+        ? "expired"
+        : "documented"
+
+    return { id, ...exception, status }
+  }
+
+  // "reason | expires: YYYY-MM-DD | ticket: ABC-123"
+  static parseDescription(description) {
+    const [reason, ...fields] = description.split("|").map((part) => part.trim())
+    const parsed = { reason: reason || null, expires: null, ticket: null }
+
+    fields.forEach((field) => {
+      const match = field.match(/^(expires|ticket)\s*:\s*(\S+)$/i)
+      if (match) parsed[match[1].toLowerCase()] = match[2]
+    })
+
+    return parsed
+  }
+
+  // Exception rate: share of source files with at least one suppression, per Nx project and per rule
+  summarize(scan, workspace) {
+    const { files, exceptions } = scan
+    const projectOf = (file) => {
+      const project = workspace && workspace.projectForFile(path.join(this.root, file))
+      return project ? project.name : "(no project)"
+    }
+    const coverage = new Map()
+    const coveredFiles = (exception) => {
+      if (exception.type === "comment") return [exception.file]
+      if (!coverage.has(exception.id)) {
+        coverage.set(
+          exception.id,
+          files.filter((file) => this.overrideApplies(exception, file)),
+        )
+      }
+      return coverage.get(exception.id)
+    }
+
+    const projects = {}
+    files.forEach((file) => {
+      const name = projectOf(file)
+      projects[name] = projects[name] || { files: 0, filesWithExceptions: new Set(), exceptions: 0 }
+      projects[name].files++
+    })
+
+    const rules = {}
+    exceptions.forEach((exception) => {
+      const covered = coveredFiles(exception)
+      covered.forEach((file) => projects[projectOf(file)].filesWithExceptions.add(file))
+      new Set(covered.map(projectOf)).forEach((name) => projects[name].exceptions++)
+
+      exception.rules.forEach((rule) => {
+        rules[rule] = rules[rule] || { exceptions: 0, files: new Set() }
+        rules[rule].exceptions++
+        covered.forEach((file) => rules[rule].files.add(file))
+      })
+    })
+
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0)
+    const filesWithExceptions = new Set(exceptions.flatMap(coveredFiles))
+    const failures = exceptions.filter((exception) => exception.status !== "documented")
+
+    return {
+      totalFiles: files.length,
+      totalExceptions: exceptions.length,
+      filesWithExceptions: filesWithExceptions.size,
+      exceptionRate: rate(filesWithExceptions.size, files.length),
+      undocumented: failures.filter((exception) => exception.status === "undocumented").length,
+      expired: failures.filter((exception) => exception.status === "expired").length,
+      projectBreakdown: Object.fromEntries(
+        Object.entries(projects).map(([name, stats]) => [
+          name,
+          {
+            files: stats.files,
+            exceptions: stats.exceptions,
+            filesWithExceptions: stats.filesWithExceptions.size,
+            exceptionRate: rate(stats.filesWithExceptions.size, stats.files),
+          },
+        ]),
+      ),
+      ruleBreakdown: Object.fromEntries(
+        Object.entries(rules)
+          .sort((a, b) => b[1].files.size - a[1].files.size)
+          .map(([rule, stats]) => [
+            rule,
+            {
+              exceptions: stats.exceptions,
+              files: stats.files.size,
+              exceptionRate: rate(stats.files.size, files.length),
+            },
+          ]),
+      ),
+      failures: failures.map(({ id, file, line, rules: failedRules, status, expires }) => ({
+        id,
+        file,
+        line,
+        rules: failedRules,
+        status,
+        expires,
+      })),
+    }
+  }
+
+  // eslintrc `files` globs are relative to the config's directory and match basenames when they have no slash
+  overrideApplies(exception, file) {
+    const configDir = path.dirname(exception.file)
+    const relative = configDir === "." ? file : path.posix.relative(configDir, file)
+    if (relative.startsWith("..")) return false
+
+    return exception.files.some((pattern) => ExceptionRegistry.globToRegex(pattern).test(relative))
+  }
+
+  static globToRegex(pattern) {
+    const source = pattern
+      .replace(/^\.\//, "")
+      .split(/(\*\*\/|\*\*|\*|\?|\{[^}]*\})/)
+      .map((part) => {
+        if (part === "**/") return "(?:.*/)?"
+        if (part === "**") return ".*"
+        if (part === "*") return "[^/]*"
+        if (part === "?") return "[^/]"
+        if (part.startsWith("{")) return `(?:${part.slice(1, -1).split(",").join("|")})`
+        return part.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      })
+      .join("")
+
+    return new RegExp(pattern.includes("/") ? `^${source}$` : `(?:^|/)${source}$`)
+  }
+
+  findConfigFiles() {
+    const engine = new LintEngine({ cwd: this.root })
+    const configs = []
+    const visit = (dir) => {
+      CONFIG_FILES.map((name) => path.join(dir, name))
+        // Generated configs set a project's rollout phase; the rules that phase leaves off are not exceptions
+        .filter((file) => fs.existsSync(file) && !fs.readFileSync(file, "utf8").includes(GENERATED_MARKER))
+        .forEach((file) => configs.push(file))
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter((item) => item.isDirectory() && !engine.excludeDirs.includes(item.name) && !item.name.startsWith("."))
+        .forEach((item) => visit(path.join(dir, item.name)))
+    }
+
+    visit(this.root)
+    return configs
+  }
+
+  readConfig(configPath) {
+    try {
+      if (/\.c?js$/.test(configPath)) return require(configPath)
+
+      const content = fs.readFileSync(configPath, "utf8")
+      if (/\.ya?ml$/.test(configPath)) {
+        // js-yaml ships with ESLint's eslintrc support
+        return require(require.resolve("js-yaml", { paths: [this.root] })).load(content)
+      }
+      try {
+        return JSON.parse(content)
+      } catch (error) {
+        // .eslintrc(.json) may contain comments
+        return JSON.parse(content.replace(/^\s*\/\/.*$/gm, "").replace(/\/\*[\s\S]*?\*\//g, ""))
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read ${this.relativePath(configPath)}: ${error.message}`)
+      return null
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.registryPath)) return []
+    return JSON.parse(fs.readFileSync(this.registryPath, "utf8")).exceptions || []
+  }
+
+  save(exceptions) {
+    const registry = { generatedAt: new Date().toISOString(), exceptions }
+    fs.writeFileSync(this.registryPath, JSON.stringify(registry, null, 2) + "\n")
+  }
+
+  relativePath(filePath) {
+    return path.relative(this.root, filePath).split(path.sep).join("/")
+  }
+}
+
+module.exports = ExceptionRegistry
@@ -0,0 +1,175 @@
+const fs = require("fs")
+const path = require("path")
+const { execFile } = require("child_process")
+const workspaceRequire = require("./workspace-require")
+const { DEFAULTS } = require("./project-config")
+
+const DEFAULT_IGNORE_FILES = [".gitignore", ".eslintignore"]
+
+// Runs `task` over `items` with at most `limit` of them in flight
+const mapLimit = async (items, limit, task) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+// Lists source files without loading them: `git ls-files` when possible, otherwise an asynchronous walk that applies
+// .gitignore files itself. .eslintignore is applied either way. Paths are relative to `root`.
+class FileScanner {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || ".")
+    this.extensions = options.extensions || DEFAULTS.extensions
+    this.excludeDirs = options.excludeDirs || DEFAULTS.excludeDirs
+    this.ignoreFiles = options.ignoreFiles || DEFAULT_IGNORE_FILES
+    this.concurrency = options.concurrency || 32
+    this.useGit = options.useGit !== false
+    this.source = null
+    this.timing = { listMs: 0, processMs: 0 }
+    this.warnings = []
+    this.ignore = undefined
+  }
+
+  async listFiles() {
+    const started = Date.now()
+
+    let files = this.useGit ? await this.gitFiles() : null
+    this.source = files ? "git" : "walk"
+    if (!files) files = await this.walk()
+
+    this.timing.listMs = Date.now() - started
+    return files.sort().map((file) => file.split("/").join(path.sep))
+  }
+
+  // Tracked files plus untracked ones git does not ignore; git applies .gitignore itself
+  async gitFiles() {
+    const git = (args) =>
+      new Promise((resolve, reject) =>
+        execFile("git", args, { cwd: this.root, maxBuffer: 512 * 1024 * 1024 }, (error, stdout) =>
+          error ? reject(error) : resolve(stdout),
+        ),
+      )
+
+    const output = await Promise.all([
+      git(["ls-files", "-z", "--cached", "--others", "--exclude-standard"]),
+      git(["ls-files", "-z", "--deleted"]),
+    ]).catch(() => null)
+    // Not a git checkout, or git is not installed
+    if (!output) return null
+
+    const [listed, deleted] = output
+    const removed = new Set(deleted.split("\0"))
+    const rules = await this.loadRules(
+      "",
+      this.ignoreFiles.filter((name) => name !== ".gitignore"),
+    )
+    return listed
+      .split("\0")
+      .filter((file) => file && !removed.has(file) && this.isSource(file))
+      .filter((file) => !file.split("/").some((part) => this.excludeDirs.includes(part)))
+      .filter((file) => !this.isIgnored(file, rules))
+  }
+
+  // Breadth-first, reading up to `concurrency` directories at a time
+  async walk() {
+    const files = []
+    let level = [{ dir: "", rules: await this.loadRules("", this.ignoreFiles) }]
+
+    while (level.length > 0) {
+      const next = []
+      await mapLimit(level, this.concurrency, async ({ dir, rules }) => {
+        let entries
+        try {
+          entries = await fs.promises.readdir(path.join(this.root, dir), { withFileTypes: true })
+        } catch (error) {
+          this.warnings.push(`Could not read directory: ${dir || "."}`)
+          return
+        }
+
+        // A nested .gitignore applies to its own directory and below
+        const scoped =
+          dir && entries.some((entry) => entry.isFile() && entry.name === ".gitignore")
+            ? [...rules, ...(await this.loadRules(dir, [".gitignore"]))]
+            : rules
+
+        entries.forEach((entry) => {
+          const relative = dir ? `${dir}/${entry.name}` : entry.name
+          if (entry.isDirectory()) {
+            if (!this.excludeDirs.includes(entry.name) && !this.isIgnored(`${relative}/`, scoped)) {
+              next.push({ dir: relative, rules: scoped })
+            }
+          } else if (entry.isFile() && this.isSource(entry.name) && !this.isIgnored(relative, scoped)) {
+            files.push(relative)
+          }
+        })
+      })
+      level = next
+    }
+
+    return files
+  }
+
+  isSource(file) {
+    return this.extensions.some((ext) => file.endsWith(ext))
+  }
+
+  // gitignore-style matchers for the given ignore files in `dir`, using the `ignore` package ESLint ships with
+  async loadRules(dir, names) {
+    if (this.ignore === undefined) {
+      this.ignore = workspaceRequire("ignore", { cwd: this.root, via: "eslint" })
+      if (!this.ignore) {
+        this.warnings.push(`The ignore package is not installed: ${this.ignoreFiles.join(", ")} not applied`)
+      }
+    }
+    if (!this.ignore) return []
+
+    const rules = []
+    for (const name of names) {
+      try {
+        const content = await fs.promises.readFile(path.join(this.root, dir, name), "utf8")
+        rules.push({ base: dir, matcher: this.ignore().add(content) })
+      } catch (error) {
+        // Missing ignore files simply ignore nothing
+      }
+    }
+    return rules
+  }
+
+  isIgnored(relative, rules) {
+    return rules.some(({ base, matcher }) => {
+      if (base && !relative.startsWith(`${base}/`)) return false
+      const inBase = base ? relative.slice(base.length + 1) : relative
+      return inBase !== "" && matcher.ignores(inBase)
+    })
+  }
+
+  // Same count as content.split("\n").length, without holding the file in memory
+  countLines(file) {
+    return new Promise((resolve, reject) => {
+      let newlines = 0
+      fs.createReadStream(path.resolve(this.root, file))
+        .on("data", (chunk) => {
+          for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) newlines++
+        })
+        .on("error", reject)
+        .on("end", () => resolve(newlines + 1))
+    })
+  }
+
+  // Runs `task` for every file with bounded concurrency and records how long it took
+  async forEach(files, task) {
+    const started = Date.now()
+    const results = await mapLimit(files, this.concurrency, task)
+    this.timing.processMs = Date.now() - started
+    return results
+  }
+}
+
+module.exports = FileScanner
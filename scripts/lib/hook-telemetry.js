@@ -0,0 +1,100 @@
+const fs = require("fs")
+const path = require("path")
+
+// Written by the pre-commit hook after a successful lint; read back by the post-commit check
+const HOOK_VERIFIED_FILE = "lint-rollout-verified-tree"
+
+// Local JSON-lines log of checked commits, used to measure how often the pre-commit hook is skipped
+class HookTelemetry {
+  constructor(logPath = ".lint-rollout/hook-events.jsonl") {
+    this.logPath = logPath
+  }
+
+  record(event) {
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true })
+    fs.appendFileSync(this.logPath, JSON.stringify(event) + "\n")
+  }
+
+  // One event per commit; a later check of the same commit (e.g. CI after post-commit) replaces the earlier one
+  load() {
+    if (!fs.existsSync(this.logPath)) return []
+
+    const events = new Map()
+    fs.readFileSync(this.logPath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .forEach((line) => {
+        try {
+          const event = JSON.parse(line)
+          events.set(event.commit, event)
+        } catch (error) {
+          // Skip lines truncated by an interrupted write
+        }
+      })
+
+    return [...events.values()].sort((a, b) => a.committedAt.localeCompare(b.committedAt))
+  }
+
+  has(commit) {
+    return this.load().some((event) => event.commit === commit)
+  }
+
+  summarize() {
+    const events = this.load()
+    const byAuthor = {}
+    const byWeek = {}
+
+    events.forEach((event) => {
+      const groupings = [
+        [byAuthor, event.author],
+        [byWeek, HookTelemetry.weekOf(event.committedAt)],
+      ]
+      groupings.forEach(([groups, key]) => {
+        groups[key] = groups[key] || { commits: 0, bypassed: 0, unknown: 0, withLintErrors: 0 }
+        groups[key].commits++
+        if (event.bypassed === true) groups[key].bypassed++
+        if (event.bypassed === "unknown") groups[key].unknown++
+        if (event.errorCount > 0) groups[key].withLintErrors++
+      })
+    })
+
+    // Commits where it is unknown whether the hook ran count toward neither side of the rate
+    const rateOf = (stats) => HookTelemetry.rate(stats.bypassed, stats.commits - stats.unknown)
+    const withRate = (stats) => ({ ...stats, bypassRate: rateOf(stats) })
+    const totals = {
+      commits: events.length,
+      bypassed: events.filter((event) => event.bypassed === true).length,
+      unknown: events.filter((event) => event.bypassed === "unknown").length,
+    }
+
+    return {
+      commitsChecked: totals.commits,
+      bypassed: totals.bypassed,
+      unknown: totals.unknown,
+      withLintErrors: events.filter((event) => event.errorCount > 0).length,
+      bypassRate: rateOf(totals),
+      byAuthor: Object.fromEntries(
+        Object.entries(byAuthor)
+          .sort(([, a], [, b]) => b.bypassed - a.bypassed || b.commits - a.commits)
+          .map(([author, stats]) => [author, withRate(stats)]),
+      ),
+      overTime: Object.entries(byWeek)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([week, stats]) => ({ week, ...withRate(stats) })),
+    }
+  }
+
+  static rate(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0
+  }
+
+  // Monday of the commit's week, as YYYY-MM-DD
+  static weekOf(timestamp) {
+    const date = new Date(timestamp)
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7))
+    return date.toISOString().slice(0, 10)
+  }
+}
+
+module.exports = HookTelemetry
+module.exports.HOOK_VERIFIED_FILE = HOOK_VERIFIED_FILE
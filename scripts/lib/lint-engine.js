@@ -0,0 +1,185 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { DEFAULTS } = require("./project-config")
+
+// Thin wrapper around the programmatic ESLint API shared by every script that lints code
+class LintEngine {
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || process.cwd())
+    this.configFile = options.configFile || null
+    this.overrideConfig = options.overrideConfig || null
+    this.useEslintrc = options.useEslintrc !== undefined ? options.useEslintrc : !options.overrideConfig
+    this.extensions = options.extensions || DEFAULTS.extensions
+    this.excludeDirs = options.excludeDirs || DEFAULTS.excludeDirs
+    this.fix = options.fix || false
+    this.cache = options.cache !== false
+    this.cacheDir = options.cacheDir || path.join(this.cwd, "node_modules", ".cache", "lint-rollout")
+    this.chunkSize = options.chunkSize || 200
+    this.eslintModule = null
+    this.eslint = null
+  }
+
+  loadESLintModule() {
+    if (!this.eslintModule) {
+      let modulePath
+      try {
+        modulePath = require.resolve("eslint", { paths: [this.cwd, __dirname] })
+      } catch (error) {
+        throw new Error(`ESLint is not installed in ${this.cwd}. Run "npm install --save-dev eslint" first.`)
+      }
+      this.eslintModule = require(modulePath)
+    }
+
+    return this.eslintModule
+  }
+
+  async getESLint() {
+    if (this.eslint) return this.eslint
+
+    const eslintModule = this.loadESLintModule()
+    // Our phase configs use the eslintrc format, which ESLint 9 only supports through the legacy class
+    const ESLint = eslintModule.loadESLint
+      ? await eslintModule.loadESLint({ useFlatConfig: false })
+      : eslintModule.ESLint
+
+    // One cache file per configuration so alternating configs don't invalidate each other
+    const configHash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify([this.configFile, this.overrideConfig, this.useEslintrc]))
+      .digest("hex")
+      .slice(0, 12)
+
+    try {
+      this.eslint = new ESLint({
+        cwd: this.cwd,
+        overrideConfigFile: this.configFile || undefined,
+        overrideConfig: this.overrideConfig || undefined,
+        useEslintrc: this.useEslintrc,
+        extensions: this.extensions,
+        fix: this.fix,
+        cache: this.cache,
+        cacheLocation: path.join(this.cacheDir, `eslintcache-${configHash}`),
+        cacheStrategy: "content",
+        errorOnUnmatchedPattern: false,
+      })
+    } catch (error) {
+      throw new Error(`Invalid ESLint configuration: ${error.message}`)
+    }
+
+    return this.eslint
+  }
+
+  // Lints the given files and directories in chunks of `chunkSize`, so a crash names the chunk it happened in.
+  // ESLint lints synchronously once called, so the chunks run one after another.
+  async lint(patterns = ["."]) {
+    const eslint = await this.getESLint()
+    const files = await this.expandPatterns(patterns)
+    const results = []
+
+    for (let index = 0; index < files.length; index += this.chunkSize) {
+      const chunk = files.slice(index, index + this.chunkSize)
+      try {
+        results.push(...(await eslint.lintFiles(chunk)))
+      } catch (error) {
+        throw new Error(`ESLint failed while linting ${chunk[0]}: ${error.message}`)
+      }
+    }
+
+    return results.sort((a, b) => a.filePath.localeCompare(b.filePath))
+  }
+
+  // Lints content that is not on disk (e.g. a file as committed), using the config that applies at `filePath`
+  async lintText(text, filePath) {
+    const eslint = await this.getESLint()
+    const fullPath = path.resolve(this.cwd, filePath)
+    if (await eslint.isPathIgnored(fullPath)) return []
+
+    return eslint.lintText(text, { filePath: fullPath })
+  }
+
+  async expandPatterns(patterns) {
+    const eslint = await this.getESLint()
+    const candidates = patterns.flatMap((pattern) => {
+      const fullPath = path.resolve(this.cwd, pattern)
+      if (!fs.existsSync(fullPath)) return []
+      return fs.statSync(fullPath).isDirectory() ? this.walk(fullPath) : [fullPath]
+    })
+
+    const files = []
+    for (const file of new Set(candidates)) {
+      if (!(await eslint.isPathIgnored(file))) {
+        files.push(file)
+      }
+    }
+
+    return files
+  }
+
+  walk(dir) {
+    let files = []
+
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, item.name)
+
+      if (item.isDirectory() && !this.excludeDirs.includes(item.name)) {
+        files = files.concat(this.walk(fullPath))
+      } else if (item.isFile() && this.extensions.some((ext) => item.name.endsWith(ext))) {
+        files.push(fullPath)
+      }
+    }
+
+    return files
+  }
+
+  // Rule metadata (docs URL, fixable, ...) for every rule that reported in `results`
+  async rulesMeta(results) {
+    const eslint = await this.getESLint()
+
+    try {
+      return eslint.getRulesMetaForResults(results)
+    } catch (error) {
+      return {}
+    }
+  }
+
+  // Parse errors and errors from fixable rules: what the pre-commit hook (scripts/fix-staged.js) fixes or blocks on
+  async fixableErrors(results) {
+    const rulesMeta = await this.rulesMeta(results)
+
+    return results
+      .map((result) => {
+        const messages = result.messages.filter(
+          (message) =>
+            message.fatal || (message.severity === 2 && rulesMeta[message.ruleId] && rulesMeta[message.ruleId].fixable),
+        )
+        return { ...result, messages, errorCount: messages.length, warningCount: 0 }
+      })
+      .filter((result) => result.errorCount > 0)
+  }
+
+  async format(results, formatter = "stylish") {
+    const eslint = await this.getESLint()
+    return (await eslint.loadFormatter(formatter)).format(results)
+  }
+
+  // Writes fixed output back to disk for results produced with the `fix` option
+  async outputFixes(results) {
+    const eslintModule = this.loadESLintModule()
+    const ESLint = eslintModule.loadESLint
+      ? await eslintModule.loadESLint({ useFlatConfig: false })
+      : eslintModule.ESLint
+    await ESLint.outputFixes(results)
+  }
+
+  // Parse failures are returned by ESLint as fatal messages rather than thrown
+  static fatalErrors(results) {
+    return results.flatMap((result) =>
+      result.messages
+        .filter((message) => message.fatal)
+        .map((message) => ({ filePath: result.filePath, line: message.line, message: message.message })),
+    )
+  }
+}
+
+module.exports = LintEngine
@@ -0,0 +1,122 @@
+const fs = require("fs")
+const path = require("path")
+
+const DEFAULT_EXCLUDE_DIRS = ["node_modules", "dist", "build", ".git", ".nx", "tmp", "coverage"]
+
+class NxWorkspace {
+  constructor(root = ".", excludeDirs = DEFAULT_EXCLUDE_DIRS) {
+    this.root = root
+    this.excludeDirs = excludeDirs
+    this.nxJson = null
+    this.projects = []
+  }
+
+  load() {
+    this.nxJson = this.readJson(path.join(this.root, "nx.json"))
+    const projects = new Map()
+
+    // workspace.json (older Nx layouts) lists projects as a path or an inline config
+    const workspaceJson = this.readJson(path.join(this.root, "workspace.json"))
+    if (workspaceJson && workspaceJson.projects) {
+      Object.entries(workspaceJson.projects).forEach(([name, entry]) => {
+        const config =
+          typeof entry === "string" ? this.readJson(path.join(this.root, entry, "project.json")) || {} : entry
+        const root = typeof entry === "string" ? entry : entry.root || ""
+        projects.set(name, this.toProject(name, root, config))
+      })
+    }
+
+    // project.json files take precedence over workspace.json entries
+    this.findProjectJsonFiles(this.root).forEach((file) => {
+      const config = this.readJson(file)
+      if (!config) return
+
+      const root = this.normalize(path.relative(this.root, path.dirname(file)))
+      const name = config.name || path.basename(path.dirname(file))
+      projects.set(name, this.toProject(name, root, config))
+    })
+
+    // Longest root first so nested projects win over their parents
+    this.projects = [...projects.values()].sort((a, b) => b.root.length - a.root.length)
+    return this
+  }
+
+  isNxWorkspace() {
+    return !!this.nxJson || this.projects.length > 0
+  }
+
+  toProject(name, root, config) {
+    return {
+      name,
+      root: this.normalize(root),
+      sourceRoot: config.sourceRoot || null,
+      projectType: config.projectType || this.inferProjectType(root),
+      tags: Array.isArray(config.tags) ? config.tags : [],
+      targets: Object.keys(config.targets || config.architect || {}),
+    }
+  }
+
+  // Explicit targets plus targets Nx infers from plugins (e.g. `lint` from @nx/eslint/plugin)
+  hasTarget(project, target) {
+    if (project.targets.includes(target)) return true
+
+    const plugins = ((this.nxJson && this.nxJson.plugins) || []).map((plugin) =>
+      typeof plugin === "string" ? plugin : plugin.plugin,
+    )
+    return target === "lint" && plugins.includes("@nx/eslint/plugin")
+  }
+
+  inferProjectType(root) {
+    const layout = (this.nxJson && this.nxJson.workspaceLayout) || {}
+    const appsDir = layout.appsDir || "apps"
+    return this.normalize(root).startsWith(`${appsDir}/`) ? "application" : "library"
+  }
+
+  projectForFile(file) {
+    const relative = this.normalize(path.isAbsolute(file) ? path.relative(path.resolve(this.root), file) : file)
+
+    return (
+      this.projects.find(
+        (project) => project.root === "" || relative === project.root || relative.startsWith(`${project.root}/`),
+      ) || null
+    )
+  }
+
+  findProjectJsonFiles(dir) {
+    let files = []
+
+    try {
+      const items = fs.readdirSync(dir, { withFileTypes: true })
+
+      for (const item of items) {
+        const fullPath = path.join(dir, item.name)
+
+        if (item.isDirectory() && !this.excludeDirs.includes(item.name)) {
+          files = files.concat(this.findProjectJsonFiles(fullPath))
+        } else if (item.isFile() && item.name === "project.json") {
+          files.push(fullPath)
+        }
+      }
+    } catch (error) {
+      // Unreadable directories simply contribute no projects
+    }
+
+    return files
+  }
+
+  readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (error) {
+      return null
+    }
+  }
+
+  normalize(file) {
+    const normalized = file.split(path.sep).join("/").replace(/^\.\//, "")
+    return normalized === "." ? "" : normalized.replace(/\/$/, "")
+  }
+}
+
+module.exports = NxWorkspace
+module.exports.DEFAULT_EXCLUDE_DIRS = DEFAULT_EXCLUDE_DIRS
@@ -0,0 +1,106 @@
+const ADOPTION_LABELS = {
+  eslintConfigExists: "ESLint configuration",
+  preCommitHooksSetup: "Pre-commit hooks",
+  packageJsonLintStaged: "lint-staged configuration",
+  ideConfigsDistributed: "IDE configuration",
+}
+
+// Gate checks: each returns the measured value and whether it satisfies the required one
+const GATES = {
+  minCompliance: (required, metrics) => ({
+    actual: metrics.compliance,
+    passed: metrics.compliance >= required,
+    message: `Compliance ${metrics.compliance}% is below ${required}%`,
+  }),
+  minAdoptionScore: (required, metrics) => ({
+    actual: metrics.adoptionScore,
+    passed: metrics.adoptionScore >= required,
+    message: `Adoption score ${metrics.adoptionScore}% is below ${required}%`,
+  }),
+  maxExceptionRate: (required, metrics) => ({
+    actual: metrics.exceptionRate,
+    passed: metrics.exceptionRate <= required,
+    message: `Exception rate ${metrics.exceptionRate}% is above ${required}%`,
+  }),
+  maxViolations: (required, metrics) => ({
+    actual: metrics.violations,
+    passed: metrics.violations <= required,
+    message: `${metrics.violations} violations exceed ${required}`,
+  }),
+  ciIntegration: (required, metrics) => ({
+    actual: metrics.ciIntegration,
+    passed: !required || metrics.ciIntegration,
+    message: metrics.ciIntegrationIssue || "No CI pipeline runs ESLint",
+  }),
+  adoption: (required, metrics) => {
+    const missing = required.filter((check) => !metrics.adoption[check])
+    return {
+      actual: required.filter((check) => metrics.adoption[check]),
+      passed: missing.length === 0,
+      message: `Missing: ${missing.map((check) => ADOPTION_LABELS[check] || check).join(", ")}`,
+    }
+  },
+}
+
+// Walks the configured phases in order and stops at the first gate that does not pass
+class PhaseMachine {
+  constructor(config) {
+    this.phases = config.phases || []
+    this.recommendations = config.recommendations || []
+
+    const gateSets = [...this.phases, { recommendations: this.recommendations }].flatMap((phase) => [
+      phase.entry,
+      phase.exit,
+      ...(phase.recommendations || []).map((recommendation) => recommendation.unless),
+    ])
+    const unknown = gateSets.flatMap((gates) => Object.keys(gates || {}).filter((gate) => !GATES[gate]))
+    if (this.phases.length === 0) throw new Error("Phase configuration defines no phases")
+    if (unknown.length > 0) throw new Error(`Unknown phase gates: ${[...new Set(unknown)].join(", ")}`)
+  }
+
+  evaluate(metrics) {
+    let index = 0
+    let blocking = []
+
+    for (let next = 0; next < this.phases.length; next++) {
+      const phase = this.phases[next]
+      const entry = this.failingGates(phase.entry, metrics, phase, "entry")
+      if (next > 0 && entry.length > 0) {
+        blocking = entry
+        break
+      }
+
+      index = next
+      blocking = this.failingGates(phase.exit, metrics, phase, "exit")
+      if (blocking.length > 0) break
+    }
+
+    const phase = this.phases[index]
+    return {
+      id: phase.id,
+      phase: phase.name,
+      index,
+      next: this.phases[index + 1] ? this.phases[index + 1].name : null,
+      blocking,
+    }
+  }
+
+  failingGates(gates = {}, metrics, phase, kind) {
+    return Object.entries(gates)
+      .map(([gate, required]) => ({ gate, kind, phase: phase.id, required, ...GATES[gate](required, metrics) }))
+      .filter((result) => !result.passed)
+      .map(({ passed, ...result }) => result)
+  }
+
+  recommend(status, metrics) {
+    const applies = (recommendation) =>
+      typeof recommendation === "string" ||
+      this.failingGates(recommendation.unless, metrics, this.phases[status.index], "unless").length > 0
+
+    return [...(this.phases[status.index].recommendations || []), ...this.recommendations]
+      .filter(applies)
+      .map((recommendation) => (typeof recommendation === "string" ? recommendation : recommendation.text))
+  }
+}
+
+module.exports = PhaseMachine
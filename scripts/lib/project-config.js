@@ -0,0 +1,127 @@
+const fs = require("fs")
+const path = require("path")
+const { DEFAULT_THRESHOLDS } = require("./code-health")
+
+const CONFIG_FILE = "lint-rollout.config.js"
+const CI_THRESHOLD_KEYS = [
+  "minCompliance",
+  "maxNewErrors",
+  "maxWarningsPerRule",
+  "maxExceptionRate",
+  "maxInvalidExceptions",
+]
+
+// The one set of defaults: FileScanner and LintEngine fall back to these as well
+const DEFAULTS = {
+  extensions: [".js", ".jsx", ".ts", ".tsx"],
+  excludeDirs: ["node_modules", "dist", "build", ".git", ".nx", "coverage"],
+  reportsDir: "reports",
+  // ESLint config the progress report and baseline lint with; null uses the workspace's own config
+  eslintConfig: null,
+  thresholds: { health: {}, ci: {} },
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string" && item)
+
+// Settings shared by every lint-rollout command, read from lint-rollout.config.js at the workspace root
+class ProjectConfig {
+  constructor(values = {}, file = null) {
+    // Set first so validation errors name the file
+    this.file = file
+    this.validate(values)
+
+    const thresholds = values.thresholds || {}
+    this.extensions = values.extensions || DEFAULTS.extensions
+    this.excludeDirs = values.excludeDirs || DEFAULTS.excludeDirs
+    this.reportsDir = values.reportsDir || DEFAULTS.reportsDir
+    this.eslintConfig = values.eslintConfig || DEFAULTS.eslintConfig
+    this.thresholds = {
+      health: { ...DEFAULT_THRESHOLDS, ...thresholds.health },
+      ci: { ...thresholds.ci },
+    }
+  }
+
+  // For the scripts' own CLIs: --project-config or the workspace config. An invalid config ends the process.
+  static fromArgs(args) {
+    try {
+      return ProjectConfig.load(args.includes("--project-config") ? args[args.indexOf("--project-config") + 1] : null)
+    } catch (error) {
+      console.error(`❌ ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  // An explicit path must exist; otherwise the workspace config is optional and the defaults apply
+  static load(configPath = null) {
+    const resolved = path.resolve(configPath || CONFIG_FILE)
+    if (!fs.existsSync(resolved)) {
+      if (configPath) throw new Error(`Project config not found: ${configPath}`)
+      return new ProjectConfig()
+    }
+
+    delete require.cache[resolved]
+    let values
+    try {
+      values = require(resolved)
+    } catch (error) {
+      throw new Error(`Could not load ${path.relative(process.cwd(), resolved)}: ${error.message}`)
+    }
+    return new ProjectConfig(values, path.relative(process.cwd(), resolved))
+  }
+
+  validate(values) {
+    const problems = []
+    const thresholds = values.thresholds || {}
+
+    const unknown = Object.keys(values).filter((key) => !(key in DEFAULTS))
+    if (unknown.length > 0) problems.push(`unknown setting ${unknown.join(", ")}`)
+    if (values.extensions !== undefined) {
+      if (!isStringList(values.extensions) || values.extensions.some((ext) => !ext.startsWith("."))) {
+        problems.push('extensions must be a list like [".js", ".ts"]')
+      }
+    }
+    if (values.excludeDirs !== undefined && !isStringList(values.excludeDirs)) {
+      problems.push("excludeDirs must be a list of directory names")
+    }
+    if (values.reportsDir !== undefined && typeof values.reportsDir !== "string") {
+      problems.push("reportsDir must be a path")
+    }
+    if (values.eslintConfig && typeof values.eslintConfig !== "string") {
+      problems.push("eslintConfig must be a path")
+    } else if (values.eslintConfig && !fs.existsSync(values.eslintConfig)) {
+      problems.push(`eslintConfig ${values.eslintConfig} does not exist`)
+    }
+
+    Object.keys(thresholds)
+      .filter((key) => !(key in DEFAULTS.thresholds))
+      .forEach((key) => problems.push(`unknown threshold group ${key} (use health, ci)`))
+    Object.entries(thresholds.health || {}).forEach(([key, value]) => {
+      if (!(key in DEFAULT_THRESHOLDS)) {
+        problems.push(`thresholds.health.${key} is not one of ${Object.keys(DEFAULT_THRESHOLDS).join(", ")}`)
+      } else if (typeof value !== "number") {
+        problems.push(`thresholds.health.${key} must be a number`)
+      }
+    })
+    Object.keys(thresholds.ci || {})
+      .filter((key) => !CI_THRESHOLD_KEYS.includes(key))
+      .forEach((key) => problems.push(`thresholds.ci.${key} is not one of ${CI_THRESHOLD_KEYS.join(", ")}`))
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid project config${this.file ? ` ${this.file}` : ""}:\n  ${problems.join("\n  ")}`)
+    }
+  }
+
+  // A file inside the reports directory
+  report(name) {
+    return path.join(this.reportsDir, name)
+  }
+
+  toJSON() {
+    const { file, extensions, excludeDirs, reportsDir, eslintConfig, thresholds } = this
+    return { file, extensions, excludeDirs, reportsDir, eslintConfig, thresholds }
+  }
+}
+
+module.exports = ProjectConfig
+module.exports.CONFIG_FILE = CONFIG_FILE
+module.exports.DEFAULTS = DEFAULTS
@@ -0,0 +1,54 @@
+const fs = require("fs")
+const path = require("path")
+const { execSync } = require("child_process")
+
+// Append-only JSON-lines store: one progress snapshot per line, keyed by commit and date
+class ReportHistory {
+  constructor(historyPath = "reports/history.jsonl") {
+    this.historyPath = historyPath
+  }
+
+  append(entry) {
+    const historyDir = path.dirname(this.historyPath)
+    if (!fs.existsSync(historyDir)) {
+      fs.mkdirSync(historyDir, { recursive: true })
+    }
+
+    fs.appendFileSync(this.historyPath, JSON.stringify(entry) + "\n")
+  }
+
+  load() {
+    if (!fs.existsSync(this.historyPath)) return []
+
+    return fs
+      .readFileSync(this.historyPath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line)
+        } catch (error) {
+          return null
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+  }
+
+  static gitInfo() {
+    const git = (command) => {
+      try {
+        return execSync(`git ${command}`, { encoding: "utf8", stdio: "pipe" }).trim()
+      } catch (error) {
+        return null
+      }
+    }
+
+    return {
+      commit: git("rev-parse HEAD"),
+      branch: git("rev-parse --abbrev-ref HEAD"),
+    }
+  }
+}
+
+module.exports = ReportHistory
@@ -0,0 +1,129 @@
+const path = require("path")
+
+// Turns configs/rule-catalog.js into the eslintrc config of each phase
+class RuleCatalog {
+  constructor(catalog) {
+    this.scopes = catalog.scopes || {}
+    this.phases = catalog.phases || []
+    this.rules = catalog.rules || []
+    this.plugins = catalog.plugins || {}
+    this.validate()
+  }
+
+  static load(catalogPath = "configs/rule-catalog.js") {
+    const resolved = path.resolve(catalogPath)
+    delete require.cache[resolved]
+    return new RuleCatalog(require(resolved))
+  }
+
+  validate() {
+    const phaseNumbers = this.phases.map((phase) => phase.phase)
+    const problems = []
+
+    this.rules.forEach((entry) => {
+      const scope = entry.scope || "default"
+      if (!this.scopes[scope]) problems.push(`${entry.rule}: unknown scope "${scope}"`)
+      if (!phaseNumbers.includes(entry.introduced)) problems.push(`${entry.rule}: unknown phase ${entry.introduced}`)
+      if (!entry.severity || !entry.severity[entry.introduced]) {
+        problems.push(`${entry.rule}: no severity for phase ${entry.introduced}, where it is introduced`)
+      }
+    })
+    const duplicates = this.rules.filter(
+      (entry, index) =>
+        this.rules.findIndex((other) => other.rule === entry.rule && other.scope === entry.scope) !== index,
+    )
+    duplicates.forEach((entry) => problems.push(`${entry.rule}: listed more than once`))
+
+    if (problems.length > 0) throw new Error(`Invalid rule catalog:\n  ${problems.join("\n  ")}`)
+  }
+
+  getPhase(phaseNumber) {
+    const phase = this.phases.find((candidate) => candidate.phase === Number(phaseNumber))
+    if (!phase) throw new Error(`Unknown config phase: ${phaseNumber}`)
+    return phase
+  }
+
+  // Severity in effect for a phase: the last one given at or before it
+  severityIn(entry, phaseNumber) {
+    if (phaseNumber < entry.introduced) return "off"
+
+    const given = Object.keys(entry.severity)
+      .map(Number)
+      .filter((phase) => phase <= phaseNumber)
+    return entry.severity[Math.max(...given)]
+  }
+
+  setting(entry, phaseNumber) {
+    const severity = this.severityIn(entry, phaseNumber)
+    return severity === "off" || !entry.options ? severity : [severity, ...entry.options]
+  }
+
+  // Override blocks of a phase; a scope is left out until one of its rules is introduced
+  overrides(phaseNumber) {
+    const phase = this.getPhase(phaseNumber)
+    const plugins = this.pluginsIn(phase.phase)
+
+    return Object.entries(this.scopes)
+      .map(([scope, files]) => {
+        // Rules of a plugin the phase does not load yet are left out: "off" for an unloaded plugin is an error.
+        // Project configs behind the root do turn them off, see overridesBehind().
+        const entries = this.rules.filter(
+          (entry) =>
+            (entry.scope || "default") === scope && (!this.pluginOf(entry) || plugins.includes(this.pluginOf(entry))),
+        )
+        if (!entries.some((entry) => entry.introduced <= phase.phase)) return null
+
+        const scopeExtends = (phase.scopeExtends || {})[scope]
+        return {
+          scope,
+          files,
+          ...(scopeExtends ? { extends: scopeExtends } : {}),
+          rules: Object.fromEntries(entries.map((entry) => [entry.rule, this.setting(entry, phase.phase)])),
+        }
+      })
+      .filter(Boolean)
+  }
+
+  // Override blocks of a project config behind the root: each of the root's blocks with its rules set to the
+  // project's phase, so rules the root enables and the project's phase does not come out "off". That includes the
+  // rules of plugins only the root loads, which the project inherits along with the plugin. The root's scope
+  // presets are not repeated; the generator turns their rules off.
+  overridesBehind(phaseNumber, rootPhaseNumber) {
+    const phase = this.getPhase(phaseNumber)
+
+    return this.overrides(rootPhaseNumber).map(({ scope, files, rules }) => {
+      const entries = this.rules.filter((entry) => (entry.scope || "default") === scope && entry.rule in rules)
+      return {
+        scope,
+        files,
+        rules: Object.fromEntries(entries.map((entry) => [entry.rule, this.setting(entry, phase.phase)])),
+      }
+    })
+  }
+
+  pluginOf(entry) {
+    return Object.keys(this.plugins).find((prefix) => entry.rule.startsWith(`${prefix}/`)) || null
+  }
+
+  // Prefixes from the catalog's `plugins` with a rule introduced by this phase
+  pluginsIn(phaseNumber) {
+    return Object.keys(this.plugins).filter((prefix) =>
+      this.rules.some((entry) => this.pluginOf(entry) === prefix && entry.introduced <= phaseNumber),
+    )
+  }
+
+  eslintrc(phaseNumber) {
+    const phase = this.getPhase(phaseNumber)
+    const plugins = this.pluginsIn(phase.phase)
+
+    return {
+      root: true,
+      extends: phase.extends || [],
+      ...(plugins.length > 0 ? { plugins } : {}),
+      ignorePatterns: ["!**/*"],
+      overrides: this.overrides(phase.phase).map(({ scope, ...override }) => override),
+    }
+  }
+}
+
+module.exports = RuleCatalog
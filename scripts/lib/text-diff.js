@@ -0,0 +1,69 @@
+// Minimal line-based unified diff, used to preview file changes without writing them
+
+function diffLines(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const ops = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i], oldLine: ++i, newLine: ++j })
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: "-", line: a[i], oldLine: ++i, newLine: j })
+    } else {
+      ops.push({ type: "+", line: b[j], oldLine: i, newLine: ++j })
+    }
+  }
+
+  return ops
+}
+
+function unifiedDiff(before, after, file, context = 3) {
+  const splitLines = (text) => (text === null ? [] : text.replace(/\n$/, "").split("\n"))
+  const ops = diffLines(splitLines(before), splitLines(after))
+  const changed = ops.map((op, index) => (op.type === " " ? -1 : index)).filter((index) => index >= 0)
+  if (changed.length === 0) return ""
+
+  // Merge changes whose context windows overlap into a single hunk
+  const ranges = []
+  changed.forEach((index) => {
+    const start = Math.max(0, index - context)
+    const end = Math.min(ops.length - 1, index + context)
+    const last = ranges[ranges.length - 1]
+    if (last && start <= last.end + 1) {
+      last.end = end
+    } else {
+      ranges.push({ start, end })
+    }
+  })
+
+  const hunks = ranges.map(({ start, end }) => {
+    const slice = ops.slice(start, end + 1)
+    const oldCount = slice.filter((op) => op.type !== "+").length
+    const newCount = slice.filter((op) => op.type !== "-").length
+    const first = slice[0]
+    const oldStart = first.type === "+" ? first.oldLine + (oldCount > 0 ? 1 : 0) : first.oldLine
+    const newStart = first.type === "-" ? first.newLine + (newCount > 0 ? 1 : 0) : first.newLine
+
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...slice.map((op) => `${op.type}${op.line}`),
+    ].join("\n")
+  })
+
+  return [
+    before === null ? "--- /dev/null" : `--- a/${file}`,
+    after === null ? "+++ /dev/null" : `+++ b/${file}`,
+    ...hunks,
+  ]
+    .join("\n")
+    .concat("\n")
+}
+
+module.exports = { unifiedDiff }
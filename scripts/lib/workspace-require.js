@@ -0,0 +1,22 @@
+const path = require("path")
+
+// Loads a package from the workspace being assessed, falling back to the copy bundled with `via` (e.g. espree
+// through eslint) when npm did not hoist it. Returns null when it is not installed.
+const workspaceRequire = (name, { cwd = process.cwd(), via = null } = {}) => {
+  const paths = [path.resolve(cwd), __dirname]
+  if (via) {
+    try {
+      paths.push(path.dirname(require.resolve(`${via}/package.json`, { paths })))
+    } catch (error) {
+      // Resolving from the workspace root is all we can do
+    }
+  }
+
+  try {
+    return require(require.resolve(name, { paths }))
+  } catch (error) {
+    return null
+  }
+}
+
+module.exports = workspaceRequire
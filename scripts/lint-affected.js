@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+const { execFileSync } = require("child_process")
+const AffectedScope = require("./lib/affected")
+const LintEngine = require("./lib/lint-engine")
+const NxWorkspace = require("./lib/nx-workspace")
+const ProjectConfig = require("./lib/project-config")
+
+class AffectedLinter {
+  constructor(options = {}) {
+    this.base = options.base
+    this.head = options.head
+    this.staged = options.staged || false
+    this.upstream = options.upstream || false
+    this.committed = options.committed || false
+    this.configFile = options.configFile || null
+    this.extensions = options.extensions
+    this.excludeDirs = options.excludeDirs
+  }
+
+  async run() {
+    console.log("🎯 Linting affected projects...")
+
+    try {
+      const workspace = new NxWorkspace(".").load()
+      const base = this.upstream ? this.upstreamBranch() : this.base
+      const scope = new AffectedScope(workspace, {
+        base,
+        head: this.head,
+        staged: this.staged,
+        committed: this.committed,
+      }).compute()
+
+      console.log(`📦 Covered projects (${scope.projects.length}): ${scope.projects.join(", ") || "none"}`)
+      if (!scope.graphAvailable) {
+        console.warn("⚠️  Nx project graph unavailable: dependent projects are not included")
+      }
+      if (scope.patterns.length === 0) {
+        console.log("✅ Nothing to lint")
+        return { scope, errorCount: 0 }
+      }
+
+      const engine = new LintEngine({
+        configFile: this.configFile,
+        extensions: this.extensions,
+        excludeDirs: this.excludeDirs,
+      })
+      const results = await engine.lint(scope.patterns)
+      const output = await engine.format(results)
+      if (output) console.log(output)
+
+      const errorCount = results.reduce((sum, result) => sum + result.errorCount, 0)
+      console.log(errorCount > 0 ? `❌ ${errorCount} errors in affected projects` : "✅ Affected projects are clean")
+      return { scope, errorCount }
+    } catch (error) {
+      console.error("❌ Affected lint failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  // The branch being pushed to; falls back to AffectedScope's default base for branches without one
+  upstreamBranch() {
+    try {
+      return execFileSync("git", ["rev-parse", "--abbrev-ref", "--symbolic-full-name", "@{upstream}"], {
+        encoding: "utf8",
+        stdio: "pipe",
+      }).trim()
+    } catch (error) {
+      console.warn(`⚠️  No upstream branch configured; comparing against ${this.base || "origin/main"}`)
+      return this.base
+    }
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const linter = new AffectedLinter({
+    base: option("--base"),
+    head: option("--head"),
+    staged: args.includes("--staged"),
+    upstream: args.includes("--upstream"),
+    committed: args.includes("--committed"),
+    configFile: option("--config") || config.eslintConfig,
+    extensions: config.extensions,
+    excludeDirs: config.excludeDirs,
+  })
+  linter.run().then(({ errorCount }) => {
+    if (errorCount > 0) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = AffectedLinter
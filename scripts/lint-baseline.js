@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const ProgressReporter = require("./generate-progress-report")
+const ProjectConfig = require("./lib/project-config")
+
+class ViolationBaseline {
+  constructor(options = {}) {
+    this.baselinePath = options.baselinePath || ".eslint-baseline.json"
+    this.configPath = options.configPath || "configs/phase3-full.eslintrc.js"
+    this.reporter = new ProgressReporter({ extensions: options.extensions, excludeDirs: options.excludeDirs })
+    this.sourceLines = new Map()
+  }
+
+  async create() {
+    console.log("📸 Creating violation baseline...")
+
+    try {
+      const snapshot = await this.collectSnapshot()
+      this.saveBaseline(snapshot)
+
+      const { totalViolations, filesWithViolations } = this.reporter.reportData.violations
+      console.log(`✅ Baselined ${totalViolations} violations across ${filesWithViolations} files`)
+      console.log(`📄 Baseline saved to: ${this.baselinePath}`)
+    } catch (error) {
+      console.error("❌ Baseline creation failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  async check(update = true) {
+    console.log("🔒 Checking violations against baseline...")
+
+    let outcome
+    try {
+      const baseline = this.load()
+      if (!baseline) {
+        throw new Error(`No baseline found at ${this.baselinePath}. Run the "create" command first.`)
+      }
+
+      outcome = this.compare(baseline.files || {}, await this.collectSnapshot())
+
+      // Ratchet: fixed violations are dropped so they can never come back unnoticed
+      if (outcome.fixedCount > 0 && update) {
+        this.saveBaseline(outcome.remaining)
+        console.log(`📉 Baseline shrunk by ${outcome.fixedCount} fixed violations`)
+      }
+    } catch (error) {
+      console.error("❌ Baseline check failed:", error.message)
+      process.exit(1)
+    }
+
+    this.printCheckSummary(outcome)
+    return outcome
+  }
+
+  async collectSnapshot() {
+    const results = await this.reporter.lintCodebase({ configFile: this.configPath })
+    this.reporter.processESLintResults(results)
+    return this.snapshotFromResults(results)
+  }
+
+  snapshotFromResults(results) {
+    const snapshot = {}
+    results.forEach((result) => {
+      const file = this.relativePath(result.filePath)
+
+      result.messages.forEach((message) => {
+        const rule = message.ruleId || "unknown"
+        const fingerprint = this.fingerprint(result.filePath, rule, message.line)
+        const entries = snapshot[file] || (snapshot[file] = {})
+        const entry = entries[fingerprint] || (entries[fingerprint] = { rule, count: 0, messages: [] })
+
+        entry.count++
+        entry.messages.push(message)
+      })
+    })
+
+    return snapshot
+  }
+
+  // Fingerprints ignore line numbers so unrelated edits above a violation don't invalidate it
+  fingerprint(filePath, rule, line) {
+    const code = (this.readLines(filePath)[(line || 1) - 1] || "").replace(/\s+/g, " ").trim()
+    return crypto.createHash("sha1").update(`${rule}\n${code}`).digest("hex").slice(0, 16)
+  }
+
+  readLines(filePath) {
+    if (!this.sourceLines.has(filePath)) {
+      try {
+        this.sourceLines.set(filePath, fs.readFileSync(filePath, "utf8").split("\n"))
+      } catch (error) {
+        this.sourceLines.set(filePath, [])
+      }
+    }
+
+    return this.sourceLines.get(filePath)
+  }
+
+  load() {
+    return fs.existsSync(this.baselinePath) ? JSON.parse(fs.readFileSync(this.baselinePath, "utf8")) : null
+  }
+
+  compare(baselineFiles, snapshot) {
+    const newViolations = []
+    const remaining = {}
+    let fixedCount = 0
+
+    Object.entries(snapshot).forEach(([file, entries]) => {
+      Object.entries(entries).forEach(([fingerprint, entry]) => {
+        const baselined = ((baselineFiles[file] || {})[fingerprint] || {}).count || 0
+        const kept = Math.min(baselined, entry.count)
+
+        if (entry.count > baselined) {
+          entry.messages.slice(baselined).forEach((message) => newViolations.push({ file, ...message }))
+        }
+        if (kept > 0) {
+          remaining[file] = remaining[file] || {}
+          remaining[file][fingerprint] = { rule: entry.rule, count: kept }
+        }
+      })
+    })
+
+    Object.entries(baselineFiles).forEach(([file, entries]) => {
+      Object.entries(entries).forEach(([fingerprint, entry]) => {
+        const kept = ((remaining[file] || {})[fingerprint] || {}).count || 0
+        fixedCount += entry.count - kept
+      })
+    })
+
+    return { newViolations, remaining, fixedCount }
+  }
+
+  saveBaseline(snapshot) {
+    const files = {}
+    let totalViolations = 0
+
+    // Sorted keys keep the committed file diff-friendly
+    Object.keys(snapshot)
+      .sort()
+      .forEach((file) => {
+        files[file] = {}
+        Object.keys(snapshot[file])
+          .sort()
+          .forEach((fingerprint) => {
+            const { rule, count } = snapshot[file][fingerprint]
+            files[file][fingerprint] = { rule, count }
+            totalViolations += count
+          })
+      })
+
+    const baseline = {
+      version: 1,
+      config: this.configPath,
+      updatedAt: new Date().toISOString(),
+      totalViolations,
+      files,
+    }
+
+    const baselineDir = path.dirname(this.baselinePath)
+    if (!fs.existsSync(baselineDir)) {
+      fs.mkdirSync(baselineDir, { recursive: true })
+    }
+
+    fs.writeFileSync(this.baselinePath, JSON.stringify(baseline, null, 2) + "\n")
+  }
+
+  relativePath(filePath) {
+    return path.relative(process.cwd(), filePath).split(path.sep).join("/")
+  }
+
+  printCheckSummary({ newViolations, fixedCount }) {
+    console.log("\n📋 BASELINE CHECK SUMMARY")
+    console.log("==========================")
+    console.log(`Fixed since baseline: ${fixedCount}`)
+    console.log(`New violations: ${newViolations.length}`)
+
+    if (newViolations.length > 0) {
+      console.log("\n🚨 NEW VIOLATIONS:")
+      newViolations.forEach((violation) =>
+        console.log(
+          `  ${violation.file}:${violation.line}:${violation.column}  ${violation.ruleId}  ${violation.message}`,
+        ),
+      )
+      console.log("\n💡 Fix these violations; existing ones are tracked in the baseline")
+    } else {
+      console.log("✅ No new violations introduced")
+    }
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const [command = "check", ...args] = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const baseline = new ViolationBaseline({
+    baselinePath: option("--baseline"),
+    configPath: option("--config") || config.eslintConfig,
+    extensions: config.extensions,
+    excludeDirs: config.excludeDirs,
+  })
+
+  if (command === "create") {
+    baseline.create()
+  } else if (command === "check") {
+    baseline.check(!args.includes("--no-update")).then((outcome) => {
+      if (outcome.newViolations.length > 0) {
+        process.exit(1)
+      }
+    })
+  } else {
+    console.error(`Unknown command: ${command}. Use "create" or "check".`)
+    process.exit(1)
+  }
+}
+
+module.exports = ViolationBaseline
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+const ExceptionRegistry = require("./lib/exception-registry")
+const NxWorkspace = require("./lib/nx-workspace")
+
+// Scans for rule suppressions, updates the exception registry and fails on undocumented or expired ones
+class ExceptionAudit {
+  constructor(options = {}) {
+    this.registry = new ExceptionRegistry({ registryPath: options.registryPath })
+    this.update = options.update !== false
+  }
+
+  async run() {
+    console.log("🔎 Scanning for lint exceptions...")
+
+    let summary
+    try {
+      const scan = this.registry.scan()
+      summary = this.registry.summarize(scan, new NxWorkspace(".").load())
+
+      if (this.update) {
+        this.registry.save(scan.exceptions)
+        console.log(`📄 Registry saved to: ${this.registry.registryPath}`)
+      }
+    } catch (error) {
+      console.error("❌ Exception scan failed:", error.message)
+      process.exit(1)
+    }
+
+    this.printSummary(summary)
+    return summary
+  }
+
+  printSummary(summary) {
+    console.log("\n📋 EXCEPTION SUMMARY")
+    console.log("====================")
+    console.log(`Exceptions: ${summary.totalExceptions}`)
+    console.log(
+      `Exception Rate: ${summary.exceptionRate}% of files (${summary.filesWithExceptions}/${summary.totalFiles})`,
+    )
+
+    const rules = Object.entries(summary.ruleBreakdown).slice(0, 5)
+    if (rules.length > 0) {
+      console.log("\n📏 MOST SUPPRESSED RULES:")
+      rules.forEach(([rule, stats]) => console.log(`  • ${rule}: ${stats.exceptions} exceptions, ${stats.files} files`))
+    }
+
+    if (summary.failures.length > 0) {
+      console.log(`\n🚨 ${summary.undocumented} UNDOCUMENTED, ${summary.expired} EXPIRED:`)
+      summary.failures.forEach((failure) => {
+        const location = failure.line ? `${failure.file}:${failure.line}` : failure.id
+        const detail = failure.status === "expired" ? `expired ${failure.expires}` : "no reason given"
+        console.log(`  ${location}  ${failure.rules.join(", ")}  (${detail})`)
+      })
+      console.log('\n💡 Document comments as "-- <reason> | expires: YYYY-MM-DD | ticket: ABC-123";')
+      console.log("   document config overrides by filling in reason/expires/ticket in the registry")
+    } else {
+      console.log("✅ All exceptions are documented and current")
+    }
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const audit = new ExceptionAudit({ registryPath: option("--registry"), update: !args.includes("--no-update") })
+  audit.run().then((summary) => {
+    if (summary.failures.length > 0) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = ExceptionAudit
@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+
+const path = require("path")
+const { parseArgs } = require("util")
+const ProjectConfig = require("./lib/project-config")
+
+// Like ESLint's: 1 when a check fails (CI gates, baseline, validation), 2 when the command itself could not run
+const EXIT = { ok: 0, failed: 1, error: 2 }
+
+class UsageError extends Error {}
+
+// Thrown in place of process.exit() while a command runs, so the scripts' own error handling unwinds to the CLI
+class ScriptExit extends Error {
+  constructor(code) {
+    super(`Exited with code ${code}`)
+    this.code = code
+  }
+}
+
+const GLOBAL_OPTIONS = {
+  "project-config": { type: "string", hint: "<file>", description: "Project config (default: lint-rollout.config.js)" },
+  json: { type: "boolean", description: "Print the result as JSON on stdout; progress goes to stderr" },
+  help: { type: "boolean", short: "h", description: "Show help" },
+}
+
+const affectedOptions = {
+  affected: { type: "boolean", description: "Only projects affected by the changes between --base and --head" },
+  base: { type: "string", hint: "<ref>", description: "Base ref for --affected (default: origin/main)" },
+  head: { type: "string", hint: "<ref>", description: "Head ref for --affected (default: HEAD)" },
+}
+const affectedScope = (values) => (values.affected ? { base: values.base, head: values.head } : null)
+const list = (value) => (value ? value.split(",") : undefined)
+// Keys left unset on the command line must not mask the project config
+const defined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined))
+
+const COMMANDS = {
+  assess: {
+    summary: "Assess size, estimated violations, code health and pilot candidates",
+    options: {
+      output: {
+        type: "string",
+        hint: "<file>",
+        description: "Assessment file (default: <reportsDir>/assessment.json)",
+      },
+      ...affectedOptions,
+      "effort-config": {
+        type: "string",
+        hint: "<file>",
+        description: "Fix-time weights (default: configs/fix-effort.js)",
+      },
+      "skip-health": { type: "boolean", description: "Skip complexity, duplication and `any` metrics" },
+      concurrency: { type: "string", number: true, hint: "<n>", description: "Files read in parallel (default: 32)" },
+      "no-git": { type: "boolean", description: "Walk the file system instead of asking git for the file list" },
+    },
+    run: async (values, positionals, config) => {
+      const CodebaseAssessment = require("./assess-codebase")
+      const assessment = new CodebaseAssessment({
+        effortConfigPath: values["effort-config"],
+        affected: affectedScope(values),
+        extensions: config.extensions,
+        excludeDirs: config.excludeDirs,
+        healthThresholds: config.thresholds.health,
+        codeHealth: !values["skip-health"],
+        concurrency: values.concurrency,
+        useGit: !values["no-git"],
+      })
+      await assessment.runAssessment(values.output || config.report("assessment.json"))
+      return { passed: true, result: assessment.results }
+    },
+  },
+
+  report: {
+    summary: "Lint the workspace and write the progress report; --ci gates on the CI thresholds",
+    options: {
+      output: {
+        type: "string",
+        hint: "<file>",
+        description: "Report file (default: <reportsDir>/progress-report.json)",
+      },
+      ...affectedOptions,
+      blame: { type: "boolean", description: "List who last touched the offending lines" },
+      phases: { type: "string", hint: "<file>", description: "Phase definitions (default: configs/phases.js)" },
+      ci: { type: "boolean", description: "Evaluate CI thresholds and exit 1 when one is breached" },
+      thresholds: { type: "string", hint: "<file>", description: "CI thresholds (default: configs/ci-thresholds.js)" },
+      baseline: { type: "string", hint: "<file>", description: "Violation baseline new errors are counted against" },
+      format: { type: "string", hint: "<list>", description: "CI outputs to write: junit, sarif, gitlab, github" },
+      "output-dir": {
+        type: "string",
+        hint: "<dir>",
+        description: "Directory for CI outputs (default: <reportsDir>/ci)",
+      },
+      "min-compliance": { type: "string", number: true, hint: "<n>", description: "Override thresholds.ci" },
+      "max-new-errors": { type: "string", number: true, hint: "<n>", description: "Override thresholds.ci" },
+      "max-warnings-per-rule": { type: "string", number: true, hint: "<n>", description: "Override thresholds.ci" },
+      "max-exception-rate": { type: "string", number: true, hint: "<n>", description: "Override thresholds.ci" },
+      "max-invalid-exceptions": { type: "string", number: true, hint: "<n>", description: "Override thresholds.ci" },
+    },
+    run: async (values, positionals, config) => {
+      const ProgressReporter = require("./generate-progress-report")
+      const outputPath = values.output || config.report("progress-report.json")
+      const reporter = new ProgressReporter({
+        historyPath: path.join(path.dirname(outputPath), "history.jsonl"),
+        affected: affectedScope(values),
+        blame: values.blame,
+        phasesConfigPath: values.phases,
+        configFile: config.eslintConfig,
+        extensions: config.extensions,
+        excludeDirs: config.excludeDirs,
+        ci: values.ci
+          ? {
+              thresholdsPath: values.thresholds || "configs/ci-thresholds.js",
+              baselinePath: values.baseline,
+              formats: list(values.format) || [],
+              outputDir: values["output-dir"] || config.report("ci"),
+              overrides: {
+                ...config.thresholds.ci,
+                ...defined({
+                  minCompliance: values["min-compliance"],
+                  maxNewErrors: values["max-new-errors"],
+                  maxWarningsPerRule: values["max-warnings-per-rule"],
+                  maxExceptionRate: values["max-exception-rate"],
+                  maxInvalidExceptions: values["max-invalid-exceptions"],
+                }),
+              },
+            }
+          : null,
+      })
+      const report = await reporter.generateReport(outputPath)
+      return { passed: !report.ci || report.ci.passed, result: report }
+    },
+  },
+
+  hooks: {
+    summary: "Install or uninstall the git hooks (install is the default)",
+    positionals: "[install|uninstall]",
+    options: {
+      hooks: { type: "string", hint: "<list>", description: "Hooks to install (default: all enabled in the config)" },
+      "hooks-config": {
+        type: "string",
+        hint: "<file>",
+        description: "Hook definitions (default: configs/git-hooks.js)",
+      },
+      affected: { type: "boolean", description: "Lint only the projects touched by the staged changes" },
+      "dry-run": { type: "boolean", description: "Show the changes without making them" },
+    },
+    run: async (values, [action = "install", ...extra]) => {
+      if (!["install", "uninstall"].includes(action) || extra.length > 0) {
+        throw new UsageError(`Unknown hooks action: ${[action, ...extra].join(" ")}. Use "install" or "uninstall".`)
+      }
+
+      const PreCommitSetup = require("./setup-pre-commit-hooks")
+      const setup = new PreCommitSetup({
+        hooks: list(values.hooks),
+        hooksConfigPath: values["hooks-config"],
+        affected: values.affected,
+        dryRun: values["dry-run"],
+      })
+      if (action === "uninstall") {
+        await setup.uninstall()
+        return { passed: true, result: { action, dryRun: setup.dryRun } }
+      }
+      await setup.setup()
+      return { passed: true, result: { action, dryRun: setup.dryRun, hooks: setup.enabledHooks() } }
+    },
+  },
+
+  baseline: {
+    summary: "Create the violation baseline, or check that no new violations were introduced (the default)",
+    positionals: "[create|check]",
+    options: {
+      baseline: { type: "string", hint: "<file>", description: "Baseline file (default: .eslint-baseline.json)" },
+      config: { type: "string", hint: "<file>", description: "ESLint config (default: eslintConfig or phase 3)" },
+      "no-update": { type: "boolean", description: "Keep fixed violations in the baseline" },
+    },
+    run: async (values, [action = "check", ...extra], config) => {
+      if (!["create", "check"].includes(action) || extra.length > 0) {
+        throw new UsageError(`Unknown baseline action: ${[action, ...extra].join(" ")}. Use "create" or "check".`)
+      }
+
+      const ViolationBaseline = require("./lint-baseline")
+      const baseline = new ViolationBaseline({
+        baselinePath: values.baseline,
+        configPath: values.config || config.eslintConfig,
+        extensions: config.extensions,
+        excludeDirs: config.excludeDirs,
+      })
+      if (action === "create") {
+        await baseline.create()
+        return { passed: true, result: { action, violations: baseline.reporter.reportData.violations.totalViolations } }
+      }
+      const { newViolations, fixedCount } = await baseline.check(!values["no-update"])
+      return { passed: newViolations.length === 0, result: { action, newViolations, fixedCount } }
+    },
+  },
+
+  validate: {
+    summary: "Validate ESLint configs: the phase configs and the workspace's own, or the files given",
+    positionals: "[config...]",
+    options: {
+      output: {
+        type: "string",
+        hint: "<file>",
+        description: "Report file (default: <reportsDir>/config-validation.json)",
+      },
+      strict: { type: "boolean", description: "Fail on warnings as well as errors" },
+    },
+    run: async (values, positionals, config) => {
+      const ConfigValidator = require("./validate-configs")
+      const validator = new ConfigValidator({ configPaths: positionals, strict: values.strict })
+      const report = await validator.validate(values.output || config.report("config-validation.json"))
+      const { errors, warnings } = report.totals
+      return { passed: errors === 0 && !(validator.strict && warnings > 0), result: report }
+    },
+  },
+
+  configs: {
+    summary: "Generate the phase ESLint configs from the rule catalog",
+    options: {
+      catalog: { type: "string", hint: "<file>", description: "Rule catalog (default: configs/rule-catalog.js)" },
+      "output-dir": { type: "string", hint: "<dir>", description: "Directory for phase configs (default: configs)" },
+      format: { type: "string", hint: "<list>", description: "eslintrc, flat or both (default: both)" },
+      projects: { type: "boolean", description: "Also write root and per-project configs for the current phase" },
+      phases: { type: "string", hint: "<file>", description: "Phase definitions (default: configs/phases.js)" },
+      "root-phase": { type: "string", number: true, hint: "<n>", description: "Catalog phase for the root config" },
+    },
+    run: async (values, positionals, config) => {
+      const ConfigGenerator = require("./generate-eslint-configs")
+      const generator = new ConfigGenerator({
+        catalogPath: values.catalog,
+        outputDir: values["output-dir"],
+        formats: list(values.format),
+        projects: values.projects,
+        reportPath: config.report("progress-report.json"),
+        phasesConfigPath: values.phases,
+        rootPhase: values["root-phase"],
+      })
+      return { passed: true, result: await generator.generate() }
+    },
+  },
+
+  ide: {
+    summary: "Configure VS Code and JetBrains to lint with the active config and fix on save",
+    options: {
+      ide: {
+        type: "string",
+        hint: "<list>",
+        description: "vscode, jetbrains (default: vscode, plus JetBrains if .idea)",
+      },
+      config: { type: "string", hint: "<file>", description: "ESLint config (default: eslintConfig or current phase)" },
+      "dry-run": { type: "boolean", description: "Show the changes without making them" },
+    },
+    run: async (values, positionals, config) => {
+      const IdeConfigSetup = require("./setup-ide-configs")
+      const setup = new IdeConfigSetup({
+        ides: list(values.ide) || null,
+        configPath: values.config || config.eslintConfig,
+        reportPath: config.report("progress-report.json"),
+        dryRun: values["dry-run"],
+      })
+      return { passed: true, result: await setup.setup() }
+    },
+  },
+
+  trends: {
+    summary: "Analyze violation trends across progress report runs",
+    options: {
+      output: { type: "string", hint: "<file>", description: "Trends file (default: <reportsDir>/trends.json)" },
+      "fail-on-regression": { type: "boolean", description: "Exit 1 when any metric got worse since the last run" },
+    },
+    run: async (values, positionals, config) => {
+      const TrendAnalyzer = require("./violation-trends")
+      const trends = await new TrendAnalyzer(config.report("history.jsonl")).analyze(
+        values.output || config.report("trends.json"),
+      )
+      return { passed: !(values["fail-on-regression"] && trends.regressions.length > 0), result: trends }
+    },
+  },
+
+  compare: {
+    summary: "Compare two progress reports, e.g. before and after the pilot, including auto-fix time saved",
+    positionals: "<before> <after>",
+    options: {
+      output: {
+        type: "string",
+        hint: "<file>",
+        description: "Comparison file (default: <reportsDir>/pilot-comparison.json)",
+      },
+      assessment: { type: "string", hint: "<file>", description: "Assessment (default: <reportsDir>/assessment.json)" },
+      "effort-config": {
+        type: "string",
+        hint: "<file>",
+        description: "Fix-time weights (default: configs/fix-effort.js)",
+      },
+      projects: { type: "string", hint: "<list>", description: "Only compare these (pilot) projects" },
+      range: { type: "string", hint: "<a..b>", description: "Commits to classify (default: the reports' commits)" },
+      "fail-on-regression": { type: "boolean", description: "Exit 1 when a file regressed or a rule was introduced" },
+    },
+    run: async (values, positionals, config) => {
+      if (positionals.length !== 2) {
+        throw new UsageError("Pass the progress report from before and the one from after")
+      }
+
+      const PilotComparison = require("./compare-pilot")
+      const comparison = await new PilotComparison({
+        beforePath: positionals[0],
+        afterPath: positionals[1],
+        assessmentPath: values.assessment || config.report("assessment.json"),
+        effortConfigPath: values["effort-config"],
+        projects: list(values.projects),
+        range: values.range,
+      }).compare(values.output || config.report("pilot-comparison.json"))
+      const { filesRegressed, rulesIntroduced } = comparison.summary
+      return {
+        passed: !(values["fail-on-regression"] && (filesRegressed > 0 || rulesIntroduced > 0)),
+        result: comparison,
+      }
+    },
+  },
+
+  dashboard: {
+    summary: "Render the reports as a self-contained HTML dashboard",
+    options: {
+      output: { type: "string", hint: "<file>", description: "Dashboard file (default: <reportsDir>/dashboard.html)" },
+    },
+    run: async (values, positionals, config) => {
+      const DashboardGenerator = require("./generate-dashboard")
+      const outputPath = values.output || config.report("dashboard.html")
+      await new DashboardGenerator(config.reportsDir).generate(outputPath)
+      return { passed: true, result: { output: outputPath } }
+    },
+  },
+
+  status: {
+    summary: "Export the weekly status as Markdown and a Slack payload",
+    options: {
+      "output-dir": { type: "string", hint: "<dir>", description: "Output directory (default: <reportsDir>)" },
+      format: { type: "string", hint: "<list>", description: "markdown, slack (default: both)" },
+      post: { type: "string", hint: "<url>", description: "Slack webhook (default: $LINT_STATUS_WEBHOOK_URL)" },
+    },
+    run: async (values, positionals, config) => {
+      const StatusExporter = require("./export-status")
+      const exporter = new StatusExporter({
+        reportsDir: config.reportsDir,
+        outputDir: values["output-dir"],
+        formats: list(values.format),
+        webhookUrl: values.post || process.env.LINT_STATUS_WEBHOOK_URL,
+      })
+      return { passed: true, result: await exporter.export() }
+    },
+  },
+
+  config: {
+    summary: "Print the project config in effect, defaults included",
+    options: {},
+    run: async (values, positionals, config) => {
+      console.log(`⚙️  ${config.file || "No project config found; using defaults"}`)
+      console.log(JSON.stringify(config, null, 2))
+      return { passed: true, result: config.toJSON() }
+    },
+  },
+}
+
+// Single entry point for the rollout scripts: `lint-rollout <command> [options]`
+class LintRolloutCli {
+  constructor(options = {}) {
+    this.commands = options.commands || COMMANDS
+    this.stdout = options.stdout || process.stdout
+    this.json = false
+    this.lastError = null
+  }
+
+  async run(argv) {
+    // The command is the first argument that is neither an option nor the value of --project-config
+    const index = argv.findIndex((arg, position) => !arg.startsWith("-") && argv[position - 1] !== "--project-config")
+    const name = index === -1 ? null : argv[index]
+    const command = name && this.commands[name]
+    this.json = argv.includes("--json")
+
+    let parsed
+    try {
+      if (name && !command) throw new UsageError(`Unknown command: ${name}`)
+      parsed = this.parse(
+        argv.filter((arg, position) => position !== index),
+        command,
+      )
+    } catch (error) {
+      return this.fail(name, error)
+    }
+
+    const { values, positionals } = parsed
+    if (!command) {
+      this.stdout.write(this.help())
+      return values.help ? EXIT.ok : EXIT.error
+    }
+    if (values.help) {
+      this.stdout.write(this.commandHelp(name))
+      return EXIT.ok
+    }
+
+    try {
+      const config = ProjectConfig.load(values["project-config"])
+      const { passed, result } = await this.execute(command, values, positionals, config)
+      const exitCode = passed ? EXIT.ok : EXIT.failed
+      if (this.json) this.writeJson({ command: name, exitCode, passed, result })
+      return exitCode
+    } catch (error) {
+      return this.fail(name, error)
+    }
+  }
+
+  parse(args, command) {
+    const specs = { ...GLOBAL_OPTIONS, ...(command ? command.options : {}) }
+    const options = Object.fromEntries(
+      Object.entries(specs).map(([key, { type, short }]) => [key, short ? { type, short } : { type }]),
+    )
+
+    let parsed
+    try {
+      parsed = parseArgs({ args, options, allowPositionals: Boolean(command && command.positionals) })
+    } catch (error) {
+      throw new UsageError(error.message)
+    }
+
+    Object.entries(specs)
+      .filter(([key, spec]) => spec.number && parsed.values[key] !== undefined)
+      .forEach(([key]) => {
+        const value = Number(parsed.values[key])
+        if (Number.isNaN(value)) throw new UsageError(`--${key} must be a number, got "${parsed.values[key]}"`)
+        parsed.values[key] = value
+      })
+
+    return parsed
+  }
+
+  async execute(command, values, positionals, config) {
+    const { exit } = process
+    const { log, info, error } = console
+
+    process.exit = (code = 0) => {
+      throw new ScriptExit(code)
+    }
+    console.error = (...args) => {
+      this.lastError = args.join(" ").replace(/^❌\s*/, "")
+      error(...args)
+    }
+    // Keep stdout for the JSON result
+    if (this.json) console.log = console.info = (...args) => error(...args)
+
+    try {
+      return await command.run(values, positionals, config)
+    } finally {
+      process.exit = exit
+      Object.assign(console, { log, info, error })
+    }
+  }
+
+  fail(name, error) {
+    const usage = error instanceof UsageError
+    // Scripts log their own failures before exiting; anything else has not been reported yet
+    const message = error instanceof ScriptExit ? this.lastError || error.message : error.message
+
+    if (!(error instanceof ScriptExit)) {
+      console.error(`❌ ${message}`)
+      if (usage) console.error(`Run "lint-rollout ${name && this.commands[name] ? `${name} ` : ""}--help" for usage.`)
+    }
+    if (this.json) this.writeJson({ command: name, exitCode: EXIT.error, passed: false, error: message })
+    return EXIT.error
+  }
+
+  writeJson(output) {
+    this.stdout.write(`${JSON.stringify(output, null, 2)}\n`)
+  }
+
+  formatOptions(specs) {
+    const rows = Object.entries(specs).map(([key, spec]) => [
+      `${spec.short ? `-${spec.short}, ` : ""}--${key}${spec.hint ? ` ${spec.hint}` : ""}`,
+      spec.description,
+    ])
+    const width = Math.max(...rows.map(([flags]) => flags.length))
+    return rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`).join("\n")
+  }
+
+  help() {
+    const width = Math.max(...Object.keys(this.commands).map((name) => name.length))
+    const commands = Object.entries(this.commands)
+      .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+      .join("\n")
+
+    return [
+      "Usage: lint-rollout <command> [options]",
+      "",
+      "Commands:",
+      commands,
+      "",
+      "Global options:",
+      this.formatOptions(GLOBAL_OPTIONS),
+      "",
+      "Settings shared by every command (extensions, excludeDirs, reportsDir, eslintConfig, thresholds) are read from",
+      `${ProjectConfig.CONFIG_FILE} at the workspace root. Run "lint-rollout config" to see the values in effect.`,
+      "",
+      "Exit codes: 0 success, 1 a check failed, 2 usage, config or runtime error",
+      "",
+    ].join("\n")
+  }
+
+  commandHelp(name) {
+    const command = this.commands[name]
+    const options = Object.keys(command.options).length > 0 ? ["Options:", this.formatOptions(command.options), ""] : []
+
+    return [
+      `Usage: lint-rollout ${name}${command.positionals ? ` ${command.positionals}` : ""} [options]`,
+      "",
+      command.summary,
+      "",
+      ...options,
+      "Global options:",
+      this.formatOptions(GLOBAL_OPTIONS),
+      "",
+    ].join("\n")
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  new LintRolloutCli().run(process.argv.slice(2)).then((exitCode) => {
+    // exitCode rather than exit() so piped JSON output is flushed first
+    process.exitCode = exitCode
+  })
+}
+
+module.exports = LintRolloutCli
+module.exports.COMMANDS = COMMANDS
+module.exports.EXIT = EXIT
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const ProgressReporter = require("./generate-progress-report")
+
+const severityOf = (setting) => {
+  const level = Array.isArray(setting) ? setting[0] : setting
+  return { 0: "off", 1: "warn", 2: "error" }[level] || level
+}
+
+class RolloutPlanner {
+  constructor(options = {}) {
+    this.fromConfig = options.fromConfig || "configs/phase1-pilot.eslintrc.js"
+    this.toConfig = options.toConfig || "configs/phase3-full.eslintrc.js"
+    this.outputDir = options.outputDir || "configs/rollout"
+    this.rulesPerStep = options.rulesPerStep || 5
+    this.reporter = new ProgressReporter()
+    this.plan = {
+      generatedAt: new Date().toISOString(),
+      from: this.fromConfig,
+      to: this.toConfig,
+      newExtends: [],
+      rules: [],
+      steps: [],
+    }
+  }
+
+  async createPlan(outputPath = "reports/rollout-plan.json") {
+    console.log("🗺️  Planning rule rollout...")
+
+    try {
+      const introduced = this.diffConfigs()
+      console.log(`🆕 ${introduced.length} rules introduced between configs`)
+
+      for (const entry of introduced) {
+        this.plan.rules.push(await this.measureRule(entry))
+      }
+      this.buildSteps()
+      this.writeStepConfigs()
+
+      const reportsDir = path.dirname(outputPath)
+      if (!fs.existsSync(reportsDir)) {
+        fs.mkdirSync(reportsDir, { recursive: true })
+      }
+      fs.writeFileSync(outputPath, JSON.stringify(this.plan, null, 2))
+
+      console.log("✅ Rollout plan complete!")
+      console.log(`📄 Plan saved to: ${outputPath}`)
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ Rollout planning failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  loadConfig(configPath) {
+    const resolved = path.resolve(configPath)
+    delete require.cache[resolved]
+    return require(resolved)
+  }
+
+  // Flattens top-level and override rules into { rule, files, setting } entries
+  collectRules(config) {
+    const entries = Object.entries(config.rules || {}).map(([rule, setting]) => ({ rule, files: null, setting }))
+    const overrides = config.overrides || []
+
+    overrides.forEach((override) => {
+      Object.entries(override.rules || {}).forEach(([rule, setting]) => {
+        entries.push({ rule, files: override.files, setting })
+      })
+    })
+
+    return entries
+  }
+
+  diffConfigs() {
+    const from = this.loadConfig(this.fromConfig)
+    const to = this.loadConfig(this.toConfig)
+    const key = (entry) => `${JSON.stringify(entry.files)}|${entry.rule}`
+    const enabledBefore = new Set(
+      this.collectRules(from)
+        .filter((entry) => severityOf(entry.setting) !== "off")
+        .map(key),
+    )
+
+    this.plan.newExtends = (to.extends || []).filter((name) => !(from.extends || []).includes(name))
+
+    return this.collectRules(to).filter(
+      (entry) => severityOf(entry.setting) !== "off" && !enabledBefore.has(key(entry)),
+    )
+  }
+
+  // Runs the "from" config plus this single rule, so counts reflect the rule on its own
+  async measureRule(entry) {
+    console.log(`🔎 Measuring ${entry.rule}...`)
+
+    const override = { files: entry.files || ["*"], rules: { [entry.rule]: entry.setting } }
+    const results = await this.reporter.lintCodebase({
+      useEslintrc: false,
+      overrideConfig: { root: true, extends: [path.resolve(this.fromConfig)], overrides: [override] },
+    })
+    const messages = results.flatMap((file) => file.messages.filter((message) => message.ruleId === entry.rule))
+    const fixable = messages.filter((message) => message.fix).length
+    const withSuggestions = messages.filter((message) => !message.fix && message.suggestions).length
+
+    return {
+      rule: entry.rule,
+      files: entry.files,
+      setting: entry.setting,
+      violations: messages.length,
+      fixable,
+      withSuggestions,
+      manual: messages.length - fixable,
+      autoFixRate: messages.length > 0 ? Math.round((fixable / messages.length) * 100) : 100,
+      filesAffected: results.filter((file) => file.messages.some((message) => message.ruleId === entry.rule)).length,
+    }
+  }
+
+  // Cheapest first: rules with no manual work, then highest auto-fix rate, then fewest manual fixes
+  buildSteps() {
+    const ordered = [...this.plan.rules].sort(
+      (a, b) => (a.manual > 0) - (b.manual > 0) || b.autoFixRate - a.autoFixRate || a.manual - b.manual,
+    )
+
+    for (let index = 0; index < ordered.length; index += this.rulesPerStep) {
+      const rules = ordered.slice(index, index + this.rulesPerStep)
+      const step = this.plan.steps.length + 1
+
+      this.plan.steps.push({
+        step,
+        config: path.join(this.outputDir, `step-${String(step).padStart(2, "0")}.eslintrc.js`),
+        rules: rules.map((rule) => rule.rule),
+        violations: rules.reduce((sum, rule) => sum + rule.violations, 0),
+        fixable: rules.reduce((sum, rule) => sum + rule.fixable, 0),
+        manual: rules.reduce((sum, rule) => sum + rule.manual, 0),
+        entries: rules,
+      })
+    }
+  }
+
+  // Each step extends the previous one, so step N enables everything from steps 1..N
+  writeStepConfigs() {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true })
+    }
+
+    this.plan.steps.forEach((step, index) => {
+      const base =
+        index === 0
+          ? path.relative(this.outputDir, this.fromConfig).split(path.sep).join("/")
+          : path.basename(this.plan.steps[index - 1].config)
+      const overrides = new Map()
+
+      step.entries.forEach((entry) => {
+        const files = entry.files || ["*.ts", "*.tsx", "*.js", "*.jsx"]
+        const key = JSON.stringify(files)
+        if (!overrides.has(key)) overrides.set(key, { files, rules: {} })
+        overrides.get(key).rules[entry.rule] = entry.setting
+      })
+
+      const config = { extends: [base.startsWith(".") ? base : `./${base}`], overrides: [...overrides.values()] }
+      const isLast = index === this.plan.steps.length - 1
+      const content = [
+        `// ESLint Configuration for Rollout Step ${step.step} of ${this.plan.steps.length}`,
+        `// Generated by scripts/plan-rule-rollout.js (${path.basename(this.fromConfig)} → ${path.basename(this.toConfig)})`,
+        `// Enables: ${step.rules.join(", ")}`,
+        ...(isLast && this.plan.newExtends.length > 0
+          ? [`// Next: switch to ${path.basename(this.toConfig)} to pick up ${this.plan.newExtends.join(", ")}`]
+          : []),
+        "",
+        `module.exports = ${JSON.stringify(config, null, 2)}`,
+        "",
+      ].join("\n")
+
+      fs.writeFileSync(step.config, content)
+      delete step.entries
+    })
+  }
+
+  printSummary() {
+    console.log("\n📋 ROLLOUT PLAN")
+    console.log("================")
+    this.plan.steps.forEach((step) => {
+      console.log(`Step ${step.step}: ${step.rules.join(", ")}`)
+      console.log(
+        `  ${step.violations} violations (${step.fixable} auto-fixable, ${step.manual} manual) → ${step.config}`,
+      )
+    })
+    if (this.plan.newExtends.length > 0) {
+      console.log(`\nℹ️  Newly extended presets (applied with the final config): ${this.plan.newExtends.join(", ")}`)
+    }
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const planner = new RolloutPlanner({
+    fromConfig: option("--from"),
+    toConfig: option("--to"),
+    outputDir: option("--out-dir"),
+    rulesPerStep: option("--rules-per-step") && parseInt(option("--rules-per-step"), 10),
+  })
+  planner.createPlan(option("--output"))
+}
+
+module.exports = RolloutPlanner
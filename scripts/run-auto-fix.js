@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+const path = require("path")
+const { execFileSync } = require("child_process")
+const LintEngine = require("./lib/lint-engine")
+const NxWorkspace = require("./lib/nx-workspace")
+const ProjectConfig = require("./lib/project-config")
+
+// Trailer naming the rule in every commit this script makes; compare-pilot and check-commit read it back
+const AUTO_FIX_TRAILER = /^Auto-fix-rule:\s*(\S+)\s*$/m
+
+class AutoFixRunner {
+  constructor(options = {}) {
+    this.rules = options.rules || []
+    this.projectNames = options.projects || []
+    this.configFile = options.configFile || null
+    this.extensions = options.extensions
+    this.excludeDirs = options.excludeDirs
+    this.targets = options.targets || ["test", "typecheck"]
+    this.dryRun = options.dryRun || false
+    this.workspace = null
+    this.outcomes = []
+  }
+
+  async run() {
+    console.log(`🔧 Running auto-fix for ${this.rules.length} rules...`)
+
+    try {
+      if (this.rules.length === 0) {
+        throw new Error("No rules selected. Pass --rules rule-a,rule-b")
+      }
+      if (!this.dryRun) {
+        this.ensureCleanWorkingTree()
+      }
+
+      this.workspace = new NxWorkspace(".").load()
+      const projects = this.selectProjects()
+
+      for (const project of projects) {
+        await this.fixProject(project)
+      }
+
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ Auto-fix failed:", error.message)
+      process.exit(1)
+    }
+
+    return this.outcomes
+  }
+
+  ensureCleanWorkingTree() {
+    const status = this.git(["status", "--porcelain", "--untracked-files=no"])
+    if (status.trim()) {
+      throw new Error("Working tree has uncommitted changes. Commit or stash them so failed fixes can be rolled back.")
+    }
+  }
+
+  selectProjects() {
+    const projects = this.workspace.projects
+    if (projects.length === 0) {
+      throw new Error("No Nx projects found")
+    }
+    if (this.projectNames.length === 0) return projects
+
+    const unknown = this.projectNames.filter((name) => !projects.some((project) => project.name === name))
+    if (unknown.length > 0) {
+      throw new Error(`Unknown projects: ${unknown.join(", ")}`)
+    }
+
+    return projects.filter((project) => this.projectNames.includes(project.name))
+  }
+
+  async fixProject(project) {
+    console.log(`\n📦 ${project.name}`)
+
+    // One read-only pass tells us which selected rules have anything to fix here
+    const results = this.ownResults(
+      project,
+      await new LintEngine({
+        configFile: this.configFile,
+        extensions: this.extensions,
+        excludeDirs: this.excludeDirs,
+      }).lint([project.root || "."]),
+    )
+    const fixable = {}
+    results.forEach((result) =>
+      result.messages
+        .filter((message) => message.fix && this.rules.includes(message.ruleId))
+        .forEach((message) => (fixable[message.ruleId] = (fixable[message.ruleId] || 0) + 1)),
+    )
+
+    for (const rule of this.rules) {
+      if (!fixable[rule]) {
+        console.log(`  ⏭️  ${rule}: nothing to fix`)
+        continue
+      }
+
+      if (this.dryRun) {
+        console.log(`  🔍 ${rule}: ${fixable[rule]} fixable violations`)
+        this.outcomes.push({ project: project.name, rule, status: "dry-run", violations: fixable[rule] })
+        continue
+      }
+
+      this.outcomes.push(await this.fixRule(project, rule, fixable[rule]))
+    }
+  }
+
+  async fixRule(project, rule, violations) {
+    const engine = new LintEngine({
+      configFile: this.configFile,
+      extensions: this.extensions,
+      excludeDirs: this.excludeDirs,
+      fix: (message) => message.ruleId === rule,
+      cache: false,
+    })
+    const results = this.ownResults(project, await engine.lint([project.root || "."]))
+    const changed = results.filter((result) => result.output !== undefined)
+    const files = changed.map((result) => path.relative(process.cwd(), result.filePath))
+
+    // The violations were reported but --fix produced no output (e.g. conflicting fixes): nothing to commit
+    if (files.length === 0) {
+      console.log(`  ⚠️  ${rule}: ${violations} fixable violations, but fixing changed no files`)
+      return { project: project.name, rule, status: "no-changes", violations, files: 0 }
+    }
+
+    await engine.outputFixes(changed)
+    console.log(`  ✏️  ${rule}: fixed ${violations} violations in ${files.length} files, verifying...`)
+
+    const failure = this.verify(project)
+    if (failure) {
+      this.git(["checkout", "--", ...files])
+      console.log(`  ↩️  ${rule}: verification failed, changes rolled back`)
+      return { project: project.name, rule, status: "rolled-back", violations, files: files.length, error: failure }
+    }
+
+    try {
+      this.git(["add", "--", ...files])
+      // Hooks are skipped: this change was verified above and hooks would lint unrelated violations in these files
+      this.git(["commit", "--no-verify", "-m", this.commitMessage(project, rule, violations, files)])
+    } catch (error) {
+      this.git(["reset", "--quiet", "--", ...files])
+      this.git(["checkout", "--", ...files])
+      throw new Error(`Could not commit ${rule} fixes for ${project.name}: ${error.message}`)
+    }
+    console.log(`  ✅ ${rule}: committed`)
+
+    return { project: project.name, rule, status: "committed", violations, files: files.length }
+  }
+
+  // Linting a project's root also reaches projects nested below it (every project, for a root project at "")
+  ownResults(project, results) {
+    return results.filter((result) => {
+      const owner = this.workspace.projectForFile(result.filePath)
+      return owner && owner.name === project.name
+    })
+  }
+
+  verify(project) {
+    try {
+      execFileSync(
+        "npx",
+        ["--no-install", "nx", "run-many", `--targets=${this.targets.join(",")}`, `--projects=${project.name}`],
+        {
+          encoding: "utf8",
+          stdio: "pipe",
+        },
+      )
+      return null
+    } catch (error) {
+      const output = `${error.stdout || ""}${error.stderr || ""}`.trim().split("\n")
+      return output.slice(-20).join("\n") || error.message
+    }
+  }
+
+  commitMessage(project, rule, violations, files) {
+    return [
+      `chore(${project.name}): auto-fix ${rule} violations`,
+      "",
+      `Applied eslint --fix for ${rule} to ${files.length} files (${violations} violations).`,
+      `Verified with: nx run-many --targets=${this.targets.join(",")} --projects=${project.name}`,
+      "",
+      `Auto-fix-rule: ${rule}`,
+    ].join("\n")
+  }
+
+  git(args) {
+    return execFileSync("git", args, { encoding: "utf8", stdio: "pipe" })
+  }
+
+  printSummary() {
+    const count = (status) => this.outcomes.filter((outcome) => outcome.status === status).length
+
+    console.log("\n📋 AUTO-FIX SUMMARY")
+    console.log("====================")
+    if (this.dryRun) {
+      console.log(`Dry run: ${count("dry-run")} project/rule fixes available`)
+      return
+    }
+    console.log(`Committed: ${count("committed")}`)
+    console.log(`Rolled back: ${count("rolled-back")}`)
+    if (count("no-changes") > 0) console.log(`No changes: ${count("no-changes")}`)
+    this.outcomes
+      .filter((outcome) => outcome.status === "rolled-back")
+      .forEach((outcome) => console.log(`  • ${outcome.project} / ${outcome.rule}: verification failed`))
+    this.outcomes
+      .filter((outcome) => outcome.status === "no-changes")
+      .forEach((outcome) => console.log(`  • ${outcome.project} / ${outcome.rule}: fixing changed no files`))
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+  const list = (value) => (value ? value.split(",").map((item) => item.trim()) : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const runner = new AutoFixRunner({
+    rules: list(option("--rules")),
+    projects: list(option("--projects")),
+    configFile: option("--config") || config.eslintConfig,
+    extensions: config.extensions,
+    excludeDirs: config.excludeDirs,
+    targets: list(option("--targets")),
+    dryRun: args.includes("--dry-run"),
+  })
+  runner.run().then((outcomes) => {
+    if (outcomes.some((outcome) => outcome.status === "rolled-back")) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = AutoFixRunner
+module.exports.AUTO_FIX_TRAILER = AUTO_FIX_TRAILER
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const NxWorkspace = require("./lib/nx-workspace")
+const ProjectConfig = require("./lib/project-config")
+const RuleCatalog = require("./lib/rule-catalog")
+const { unifiedDiff } = require("./lib/text-diff")
+
+const ROOT_CONFIGS = [
+  "eslint.config.js",
+  "eslint.config.cjs",
+  "eslint.config.mjs",
+  ".eslintrc.js",
+  ".eslintrc.cjs",
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+]
+const LANGUAGES = { ".js": "javascript", ".jsx": "javascriptreact", ".ts": "typescript", ".tsx": "typescriptreact" }
+const VSCODE_SETTINGS = ".vscode/settings.json"
+const VSCODE_EXTENSIONS = ".vscode/extensions.json"
+const JETBRAINS_ESLINT = ".idea/jsLinters/eslint.xml"
+
+// Strips comments and trailing commas, which VS Code allows in its JSON files; strings are matched first and kept
+const JSONC_NOISE = /("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\/|,(?=\s*[}\]])/g
+const parseJsonc = (text) => JSON.parse(text.replace(JSONC_NOISE, (match, string) => string || "").trim() || "{}")
+const hasComments = (text) => [...text.matchAll(JSONC_NOISE)].some(([match, string]) => !string && match !== ",")
+
+// Writes editor settings that run the active phase's ESLint config with fix-on-save, merged into existing files
+class IdeConfigSetup {
+  constructor(options = {}) {
+    this.ides = options.ides || null
+    this.configPath = options.configPath || null
+    this.reportPath = options.reportPath || "reports/progress-report.json"
+    this.phasesConfigPath = options.phasesConfigPath || "configs/phases.js"
+    this.catalogPath = options.catalogPath || "configs/rule-catalog.js"
+    this.dryRun = options.dryRun || false
+    this.active = null
+    this.projects = []
+    this.changes = new Map()
+    this.summary = []
+    this.warnings = []
+  }
+
+  async setup() {
+    console.log(`🧩 Setting up IDE configurations${this.dryRun ? " (dry run)" : ""}...`)
+
+    try {
+      this.active = this.activeConfig()
+      this.projects = new NxWorkspace(".").load().projects.filter((project) => project.root)
+      console.log(`📐 Active config: ${this.active.file}${this.active.phase ? ` (${this.active.phase})` : ""}`)
+
+      const ides = this.ides || ["vscode", ...(fs.existsSync(".idea") ? ["jetbrains"] : [])]
+      const unknown = ides.filter((ide) => !["vscode", "jetbrains"].includes(ide))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown IDE: ${unknown.join(", ")} (use vscode, jetbrains)`)
+      }
+      if (ides.includes("vscode")) {
+        this.planVsCodeSettings()
+        this.planVsCodeExtensions()
+      }
+      if (ides.includes("jetbrains")) {
+        this.planJetBrains()
+      }
+
+      if (this.dryRun) {
+        this.printPlan()
+        return this.summary
+      }
+
+      this.applyChanges()
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ IDE setup failed:", error.message)
+      process.exit(1)
+    }
+
+    return this.summary
+  }
+
+  // An explicit --config wins, then the workspace's own root config, then the phase config for the report's phase
+  activeConfig() {
+    if (this.configPath) {
+      if (!fs.existsSync(this.configPath)) throw new Error(`Config not found: ${this.configPath}`)
+      return this.describeConfig(this.configPath, null)
+    }
+
+    const root = ROOT_CONFIGS.find((file) => fs.existsSync(file))
+    if (root) return { ...this.describeConfig(root, null), root: true }
+
+    const catalog = RuleCatalog.load(this.catalogPath)
+    let phase = catalog.phases[0]
+    if (fs.existsSync(this.reportPath)) {
+      const report = JSON.parse(fs.readFileSync(this.reportPath, "utf8"))
+      const rollout = require(path.resolve(this.phasesConfigPath)).phases.find(
+        (candidate) =>
+          report.phaseStatus && report.phaseStatus.workspace && candidate.id === report.phaseStatus.workspace.id,
+      )
+      if (rollout && rollout.lintConfig) phase = catalog.getPhase(rollout.lintConfig)
+    } else {
+      this.warnings.push(`No progress report at ${this.reportPath}; using the ${phase.name} config`)
+    }
+
+    return this.describeConfig(path.join("configs", `${phase.file}.eslintrc.js`), phase.name)
+  }
+
+  describeConfig(file, phase) {
+    return {
+      file: file.split(path.sep).join("/"),
+      format: /eslint\.config\.[cm]?js$/.test(file) ? "flat" : "eslintrc",
+      phase,
+      root: false,
+    }
+  }
+
+  planVsCodeSettings() {
+    const { data, raw } = this.readJsonFile(VSCODE_SETTINGS)
+    const settings = { ...data }
+    const set = (key, value) => {
+      const before = settings[key]
+      if (JSON.stringify(before) === JSON.stringify(value)) return
+      settings[key] = value
+      this.summary.push({
+        file: VSCODE_SETTINGS,
+        change:
+          before === undefined
+            ? `added ${key}`
+            : `updated ${key}: ${JSON.stringify(before)} → ${JSON.stringify(value)}`,
+      })
+    }
+
+    set("editor.codeActionsOnSave", {
+      ...(settings["editor.codeActionsOnSave"] || {}),
+      "source.fixAll.eslint": "explicit",
+    })
+
+    const languages = [...new Set([...(settings["eslint.validate"] || []), ...Object.values(LANGUAGES)])]
+    set("eslint.validate", languages)
+    set("eslint.useFlatConfig", this.active.format === "flat")
+
+    // A config outside the root is resolved from ESLint's cwd, so projects must not become the cwd
+    const override = !this.active.root
+    const ours = new Set(this.projects.map((project) => project.root))
+    const kept = (settings["eslint.workingDirectories"] || []).filter(
+      (entry) => !ours.has(typeof entry === "string" ? entry : entry.directory),
+    )
+    set("eslint.workingDirectories", [
+      ...kept,
+      ...this.projects.map((project) =>
+        override ? { directory: project.root, "!cwd": true } : { directory: project.root },
+      ),
+    ])
+
+    const options = { ...(settings["eslint.options"] || {}) }
+    if (override) {
+      options.overrideConfigFile = this.active.file
+    } else {
+      delete options.overrideConfigFile
+    }
+    if (Object.keys(options).length > 0 || settings["eslint.options"]) set("eslint.options", options)
+
+    this.stageJson(VSCODE_SETTINGS, settings, raw)
+  }
+
+  planVsCodeExtensions() {
+    const { data, raw } = this.readJsonFile(VSCODE_EXTENSIONS)
+    const recommendations = data.recommendations || []
+    const wanted = ["dbaeumer.vscode-eslint"]
+    const added = wanted.filter((extension) => !recommendations.includes(extension))
+    if (added.length === 0) return
+
+    added.forEach((extension) => this.summary.push({ file: VSCODE_EXTENSIONS, change: `recommended ${extension}` }))
+    this.stageJson(VSCODE_EXTENSIONS, { ...data, recommendations: [...recommendations, ...added] }, raw)
+  }
+
+  readJsonFile(file) {
+    if (!fs.existsSync(file)) return { data: {}, raw: null }
+
+    const raw = fs.readFileSync(file, "utf8")
+    try {
+      return { data: parseJsonc(raw), raw }
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`)
+    }
+  }
+
+  stageJson(file, data, raw) {
+    if (raw !== null && hasComments(raw)) {
+      this.warnings.push(`${file} contains comments, which are not kept when it is rewritten`)
+    }
+    const indent = raw ? (raw.match(/^[ \t]+(?=")/m) || ["  "])[0] : "  "
+    this.stage(file, JSON.stringify(data, null, indent) + "\n", raw)
+  }
+
+  // .idea/jsLinters/eslint.xml: only our elements are replaced, the rest of the file is kept as is
+  planJetBrains() {
+    const raw = fs.existsSync(JETBRAINS_ESLINT) ? fs.readFileSync(JETBRAINS_ESLINT, "utf8") : null
+    // Like eslint.workingDirectories, patterns other than project roots are kept ahead of ours
+    const ours = this.projects.map((project) => project.root)
+    const existing = (raw || "").match(/<work-dir-patterns\b[^>]*\bvalue="([^"]*)"/)
+    const kept = (existing ? existing[1].split(";") : [])
+      .map((pattern) => pattern.trim())
+      .filter((pattern) => pattern && !ours.includes(pattern))
+    const elements = {
+      "work-dir-patterns": `<work-dir-patterns value="${[...kept, ...ours].join(";")}" />`,
+      "fix-on-save": '<option name="fix-on-save" value="true" />',
+      "custom-configuration-file": this.active.root
+        ? null
+        : `<custom-configuration-file used="true" path="$PROJECT_DIR$/${this.active.file}" />`,
+    }
+    const patterns = {
+      "work-dir-patterns": /^\s*<work-dir-patterns\b.*\/>\s*$/,
+      "fix-on-save": /^\s*<option name="fix-on-save" .*\/>\s*$/,
+      "custom-configuration-file": /^\s*<custom-configuration-file\b.*\/>\s*$/,
+    }
+
+    let lines = (
+      raw || ['<?xml version="1.0" encoding="UTF-8"?>', '<project version="4">', "</project>", ""].join("\n")
+    ).split("\n")
+    if (!lines.some((line) => line.includes('<component name="EslintConfiguration">'))) {
+      const end = lines.findIndex((line) => line.trim() === "</project>")
+      lines.splice(end, 0, '  <component name="EslintConfiguration">', "  </component>")
+    }
+
+    Object.entries(elements).forEach(([name, element]) => {
+      const index = lines.findIndex((line) => patterns[name].test(line))
+      const before = index === -1 ? null : lines[index].trim()
+      if (before === element) return
+
+      if (index !== -1) {
+        lines = element
+          ? lines.map((line, at) => (at === index ? `    ${element}` : line))
+          : lines.filter((line, at) => at !== index)
+      } else if (element) {
+        const start = lines.findIndex((line) => line.includes('<component name="EslintConfiguration">'))
+        const end = lines.findIndex((line, at) => at > start && line.trim() === "</component>")
+        lines.splice(end, 0, `    ${element}`)
+      } else {
+        return
+      }
+      this.summary.push({
+        file: JETBRAINS_ESLINT,
+        change: `${before === null ? "added" : element ? "updated" : "removed"} ${name}`,
+      })
+    })
+
+    this.stage(JETBRAINS_ESLINT, lines.join("\n"), raw)
+  }
+
+  stage(file, content, before) {
+    if (before === content) return
+    this.changes.set(file, { before, after: content })
+  }
+
+  applyChanges() {
+    this.changes.forEach(({ after }, file) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, after)
+    })
+  }
+
+  printPlan() {
+    if (this.changes.size === 0) {
+      console.log("\n✅ Nothing to change")
+    }
+    this.changes.forEach(({ before, after }, file) => console.log(`\n${unifiedDiff(before, after, file)}`))
+    this.printWarnings()
+  }
+
+  printSummary() {
+    this.printWarnings()
+    if (this.summary.length === 0) {
+      console.log("✅ IDE configurations already up to date")
+      return
+    }
+
+    console.log("✅ IDE configurations updated:")
+    this.changes.forEach(({ before }, file) => {
+      console.log(`  ${before === null ? "🆕" : "📝"} ${file}`)
+      this.summary.filter((entry) => entry.file === file).forEach((entry) => console.log(`     • ${entry.change}`))
+    })
+  }
+
+  printWarnings() {
+    this.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`))
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const config = ProjectConfig.fromArgs(args)
+
+  const setup = new IdeConfigSetup({
+    ides: option("--ide") ? option("--ide").split(",") : null,
+    configPath: option("--config") || config.eslintConfig,
+    reportPath: option("--report") || config.report("progress-report.json"),
+    dryRun: args.includes("--dry-run"),
+  })
+  setup.setup()
+}
+
+module.exports = IdeConfigSetup
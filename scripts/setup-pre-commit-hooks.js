@@ -1,123 +1,591 @@
 #!/usr/bin/env node
 
 const fs = require("fs")
+const path = require("path")
 const { execSync } = require("child_process")
+const { unifiedDiff } = require("./lib/text-diff")
+const { HOOK_VERIFIED_FILE } = require("./lib/hook-telemetry")
+
+const LINT_STAGED_GLOB = "*.{js,jsx,ts,tsx}"
+const LINT_STAGED_COMMAND = "eslint --fix"
+const HUSKY_SH = '. "$(dirname -- "$0")/_/husky.sh"'
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`
+
+// package.json values that differ between two versions, as key paths; scripts are compared one by one
+const packageJsonChanges = (before, after) => {
+  const changes = []
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (key === "scripts" && before.scripts && after.scripts) {
+      new Set([...Object.keys(before.scripts), ...Object.keys(after.scripts)]).forEach((name) => {
+        if (before.scripts[name] !== after.scripts[name]) {
+          changes.push({ path: ["scripts", name], before: before.scripts[name], after: after.scripts[name] })
+        }
+      })
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.push({ path: [key], before: before[key], after: after[key] })
+    }
+  })
+  return changes
+}
+
+// Every form lint-staged accepts, in its own lookup order
+const LINT_STAGED_FILES = [
+  [".lintstagedrc", "json-or-yaml"],
+  [".lintstagedrc.json", "json"],
+  [".lintstagedrc.yaml", "yaml"],
+  [".lintstagedrc.yml", "yaml"],
+  [".lintstagedrc.mjs", "js"],
+  [".lintstagedrc.js", "js"],
+  [".lintstagedrc.cjs", "js"],
+  ["lint-staged.config.mjs", "js"],
+  ["lint-staged.config.js", "js"],
+  ["lint-staged.config.cjs", "js"],
+]
 
 class PreCommitSetup {
-  constructor() {
+  constructor(options = {}) {
     this.packageJsonPath = "package.json"
     this.huskyDir = ".husky"
+    this.backupPath = options.backupPath || ".lint-rollout/hooks-backup.json"
+    this.hooksConfigPath = options.hooksConfigPath || "configs/git-hooks.js"
+    this.selectedHooks = options.hooks || null
+    this.affected = options.affected || false
+    this.dryRun = options.dryRun || false
+    this.state = null
+    this.hooks = {}
+    this.changes = new Map()
+    this.packageJsonEdits = []
+    this.dependencies = []
+    this.warnings = []
   }
 
   async setup() {
-    console.log("🔧 Setting up pre-commit hooks...")
+    console.log(`🔧 Setting up git hooks${this.dryRun ? " (dry run)" : ""}...`)
 
     try {
-      // Step 1: Install dependencies
-      await this.installDependencies()
+      // Step 1: Inspect what is already installed and which hooks are wanted
+      this.state = this.detectState()
+      this.hooks = this.loadHookConfig()
 
-      // Step 2: Setup Husky
+      // Step 2: Plan every change without touching the repository
+      this.planDependencies()
       await this.setupHusky()
-
-      // Step 3: Configure lint-staged
       await this.configureLintStaged()
+      await this.createHooks()
 
-      // Step 4: Create pre-commit hook
-      await this.createPreCommitHook()
+      if (this.dryRun) {
+        this.printPlan()
+        return
+      }
+
+      // Step 3: Back up current state, then apply
+      this.writeBackup()
+      await this.installDependencies()
+      this.applyChanges()
+      this.activateHooks()
 
-      console.log("✅ Pre-commit hooks setup complete!")
-      console.log("🚀 ESLint will now run automatically on staged files before each commit")
+      this.printWarnings()
+      console.log("✅ Git hooks setup complete!")
+      console.log(`🚀 Installed: ${this.enabledHooks().join(", ")}`)
+      console.log(`↩️  Undo with: node scripts/setup-pre-commit-hooks.js uninstall`)
     } catch (error) {
       console.error("❌ Setup failed:", error.message)
       process.exit(1)
     }
   }
 
+  async uninstall() {
+    console.log(`🧹 Removing pre-commit hooks${this.dryRun ? " (dry run)" : ""}...`)
+
+    try {
+      if (!fs.existsSync(this.backupPath)) {
+        throw new Error(`No backup found at ${this.backupPath}; nothing to restore`)
+      }
+
+      const backup = JSON.parse(fs.readFileSync(this.backupPath, "utf8"))
+      Object.entries(backup.files).forEach(([file, content]) => this.stage(file, content))
+      this.revertPackageJson(backup.packageJson || [])
+      // Only what is still a devDependency; the package manager updates package.json and the lockfile
+      const { devDependencies = {} } = JSON.parse(fs.readFileSync(this.packageJsonPath, "utf8"))
+      const dependencies = (backup.dependencies || []).filter((dependency) => devDependencies[dependency])
+
+      if (this.dryRun) {
+        this.printPlan()
+        if (dependencies.length > 0) {
+          console.log(`\n📦 Would run: ${this.uninstallCommand()} ${dependencies.join(" ")}`)
+        }
+        console.log(`Would restore core.hooksPath to: ${backup.gitConfig.hooksPath || "(unset)"}`)
+        return
+      }
+
+      const createdDirs = backup.createdDirs || []
+      this.applyChanges()
+      createdDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }))
+      this.removeDependencies(dependencies)
+
+      if (backup.gitConfig.hooksPath) {
+        this.git(`config --local core.hooksPath "${backup.gitConfig.hooksPath}"`)
+      } else {
+        this.git("config --local --unset core.hooksPath")
+      }
+
+      fs.rmSync(this.backupPath)
+      if (fs.readdirSync(path.dirname(this.backupPath)).length === 0) {
+        fs.rmdirSync(path.dirname(this.backupPath))
+      }
+      this.printWarnings()
+      console.log("✅ Previous hook setup restored")
+    } catch (error) {
+      console.error("❌ Uninstall failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  detectState() {
+    if (!fs.existsSync(this.packageJsonPath)) {
+      throw new Error("No package.json found in the current directory")
+    }
+
+    const packageJson = JSON.parse(fs.readFileSync(this.packageJsonPath, "utf8"))
+    const declared = { ...packageJson.dependencies, ...packageJson.devDependencies }
+    const hooksPath = this.git("config --local core.hooksPath")
+
+    // Another hook manager owns the hooks directory; we add our step there instead of installing husky
+    const customHooksDir = hooksPath && !hooksPath.replace(/\\/g, "/").startsWith(this.huskyDir) ? hooksPath : null
+
+    return {
+      packageJson,
+      declared,
+      huskyMajor: this.huskyMajorVersion(declared.husky),
+      hooksPath,
+      customHooksDir,
+      legacyHooksDir: customHooksDir ? null : path.join(".git", "hooks"),
+      lintStaged: this.findLintStagedConfig(packageJson),
+    }
+  }
+
+  huskyMajorVersion(declaredRange) {
+    try {
+      const installed = JSON.parse(fs.readFileSync(path.join("node_modules", "husky", "package.json"), "utf8"))
+      return parseInt(installed.version, 10)
+    } catch (error) {
+      const match = declaredRange && declaredRange.match(/(\d+)/)
+      // Not installed at all: we will install the current major
+      return match ? parseInt(match[1], 10) : 9
+    }
+  }
+
+  findLintStagedConfig(packageJson) {
+    if (packageJson["lint-staged"]) {
+      return { file: this.packageJsonPath, format: "package.json", config: packageJson["lint-staged"] }
+    }
+
+    for (const [file, format] of LINT_STAGED_FILES) {
+      if (!fs.existsSync(file)) continue
+
+      const content = fs.readFileSync(file, "utf8")
+      if (format === "json" || format === "json-or-yaml") {
+        try {
+          return { file, format: "json", config: JSON.parse(content), content }
+        } catch (error) {
+          return { file, format: "yaml", content }
+        }
+      }
+      return { file, format, content }
+    }
+
+    return null
+  }
+
+  loadHookConfig() {
+    if (!fs.existsSync(this.hooksConfigPath)) {
+      throw new Error(`Hook configuration not found: ${this.hooksConfigPath}`)
+    }
+
+    const hooks = require(path.resolve(this.hooksConfigPath))
+    const unknown = (this.selectedHooks || []).filter((name) => !hooks[name])
+    if (unknown.length > 0) {
+      throw new Error(`Unknown hooks: ${unknown.join(", ")} (configured: ${Object.keys(hooks).join(", ")})`)
+    }
+
+    return hooks
+  }
+
+  enabledHooks() {
+    return Object.keys(this.hooks).filter((name) =>
+      this.selectedHooks ? this.selectedHooks.includes(name) : this.hooks[name].enabled,
+    )
+  }
+
+  hookCommand(name) {
+    const hook = this.hooks[name]
+    return this.affected && hook.affectedCommand ? hook.affectedCommand : hook.command
+  }
+
+  usesLintStaged() {
+    return this.enabledHooks().some((name) => /\blint-staged\b/.test(this.hookCommand(name)))
+  }
+
+  planDependencies() {
+    const needed = this.state.customHooksDir ? [] : ["husky"]
+    if (this.usesLintStaged()) needed.push("lint-staged")
+    this.dependencies = needed.filter((dependency) => !this.state.declared[dependency])
+  }
+
   async installDependencies() {
-    console.log("📦 Installing dependencies...")
+    if (this.dependencies.length === 0) return
 
-    const dependencies = ["husky", "lint-staged"]
+    console.log("📦 Installing dependencies...")
 
     try {
-      execSync(`npm install --save-dev ${dependencies.join(" ")}`, { stdio: "inherit" })
+      execSync(`${this.installCommand()} ${this.dependencies.join(" ")}`, { stdio: "inherit" })
     } catch (error) {
       throw new Error("Failed to install dependencies")
     }
   }
 
-  async setupHusky() {
-    console.log("🐕 Setting up Husky...")
+  removeDependencies(dependencies) {
+    if (dependencies.length === 0) return
+
+    console.log("📦 Removing dependencies...")
 
     try {
-      execSync("npx husky install", { stdio: "inherit" })
+      execSync(`${this.uninstallCommand()} ${dependencies.join(" ")}`, { stdio: "inherit" })
+    } catch (error) {
+      throw new Error(`Failed to remove ${dependencies.join(", ")}; remove them with your package manager`)
+    }
+  }
+
+  uninstallCommand() {
+    if (fs.existsSync("pnpm-lock.yaml")) return "pnpm remove"
+    if (fs.existsSync("yarn.lock")) return "yarn remove"
+    return "npm uninstall"
+  }
 
-      // Add husky install to package.json scripts
-      const packageJson = JSON.parse(fs.readFileSync(this.packageJsonPath, "utf8"))
+  installCommand() {
+    if (fs.existsSync("pnpm-lock.yaml")) return "pnpm add -D"
+    if (fs.existsSync("yarn.lock")) return "yarn add -D"
+    return "npm install --save-dev"
+  }
 
-      if (!packageJson.scripts) {
-        packageJson.scripts = {}
+  async setupHusky() {
+    if (this.state.customHooksDir) {
+      this.warnings.push(`core.hooksPath is ${this.state.customHooksDir}; adding the lint step there instead of husky`)
+      return
+    }
+
+    const huskyCommand = this.state.huskyMajor >= 9 ? "husky" : "husky install"
+
+    this.packageJsonEdits.push((packageJson) => {
+      packageJson.scripts = packageJson.scripts || {}
+      const prepare = packageJson.scripts.prepare
+
+      if (!prepare) {
+        packageJson.scripts.prepare = huskyCommand
+      } else if (!/\bhusky\b/.test(prepare)) {
+        packageJson.scripts.prepare = `${prepare} && ${huskyCommand}`
+      } else if (this.state.huskyMajor >= 9) {
+        // "husky install" is deprecated since husky 9
+        packageJson.scripts.prepare = prepare.replace(/\bhusky install\b/, "husky")
       }
+    })
+  }
 
-      packageJson.scripts.prepare = "husky install"
+  async configureLintStaged() {
+    if (!this.usesLintStaged()) return
 
-      fs.writeFileSync(this.packageJsonPath, JSON.stringify(packageJson, null, 2))
-    } catch (error) {
-      throw new Error("Failed to setup Husky")
+    const existing = this.state.lintStaged
+
+    if (!existing) {
+      this.packageJsonEdits.push((packageJson) => {
+        packageJson["lint-staged"] = { [LINT_STAGED_GLOB]: LINT_STAGED_COMMAND }
+      })
+      return
+    }
+
+    if (existing.format === "package.json") {
+      this.packageJsonEdits.push((packageJson) => {
+        packageJson["lint-staged"] = this.mergeLintStaged(packageJson["lint-staged"])
+      })
+    } else if (existing.format === "json") {
+      const merged = this.mergeLintStaged(existing.config)
+      if (JSON.stringify(merged) !== JSON.stringify(existing.config)) {
+        this.stage(existing.file, JSON.stringify(merged, null, 2) + "\n")
+      }
+    } else if (!/eslint/.test(existing.content)) {
+      // YAML and JS configs can't be rewritten safely
+      this.warnings.push(`Add "${LINT_STAGED_GLOB}": "${LINT_STAGED_COMMAND}" to ${existing.file} manually`)
     }
   }
 
-  async configureLintStaged() {
-    console.log("🎭 Configuring lint-staged...")
+  // Keeps the user's tasks, drops the "git add" step lint-staged no longer needs, and adds ESLint if missing
+  mergeLintStaged(config) {
+    const merged = {}
+    let hasESLint = false
+
+    Object.entries(config).forEach(([glob, commands]) => {
+      const list = (Array.isArray(commands) ? commands : [commands]).filter(
+        (command) => typeof command !== "string" || !/^git add\b/.test(command.trim()),
+      )
+      if (list.some((command) => typeof command === "string" && /\beslint\b/.test(command))) {
+        hasESLint = true
+      }
+      if (list.length > 0) merged[glob] = Array.isArray(commands) ? list : list[0]
+    })
+
+    if (!hasESLint) {
+      const current = merged[LINT_STAGED_GLOB]
+      merged[LINT_STAGED_GLOB] = current
+        ? [...(Array.isArray(current) ? current : [current]), LINT_STAGED_COMMAND]
+        : LINT_STAGED_COMMAND
+    }
 
-    const packageJson = JSON.parse(fs.readFileSync(this.packageJsonPath, "utf8"))
+    return merged
+  }
+
+  async createHooks() {
+    const enabled = this.enabledHooks()
+    console.log(`🪝 Planning git hooks: ${enabled.join(", ") || "none"}...`)
 
-    packageJson["lint-staged"] = {
-      "*.{js,jsx,ts,tsx}": ["eslint --fix", "git add"],
+    Object.keys(this.hooks).forEach((name) => {
+      if (enabled.includes(name)) {
+        this.planHook(name, this.hookBody(name))
+      } else {
+        this.removeHook(name)
+      }
+    })
+  }
+
+  hookBody(name) {
+    const { description, failureMessage } = this.hooks[name]
+    const command = this.hookCommand(name)
+    if (!failureMessage) return [command]
+
+    const lines = []
+    if (description) lines.push(`echo ${shellQuote(`🔍 ${description}...`)}`)
+    lines.push(`if ! ${command}; then`, `  echo ${shellQuote(`❌ ${failureMessage}`)}`, "  exit 1", "fi")
+
+    // The post-commit check compares this tree with the commit to detect --no-verify
+    if (name === "pre-commit" && this.enabledHooks().includes("post-commit")) {
+      lines.push(`git write-tree > "$(git rev-parse --git-dir)/${HOOK_VERIFIED_FILE}"`)
     }
 
-    fs.writeFileSync(this.packageJsonPath, JSON.stringify(packageJson, null, 2))
+    return lines
   }
 
-  async createPreCommitHook() {
-    console.log("🪝 Creating pre-commit hook...")
+  hookPath(name) {
+    return path.join(this.state.customHooksDir || this.huskyDir, name)
+  }
 
-    const hookContent = `#!/usr/bin/env sh
-. "$(dirname -- "$0")/_/husky.sh"
+  planHook(name, body) {
+    const hookPath = this.hookPath(name)
+    const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, "utf8") : null
+    const [blockStart, blockEnd] = this.blockMarkers(name)
+    const lines = [blockStart]
 
-echo "🔍 Running ESLint on staged files..."
-npx lint-staged
+    // Installing husky moves git's hooks directory, so keep running the hook that lived in .git/hooks
+    const legacyHook = this.state.legacyHooksDir && path.join(this.state.legacyHooksDir, name)
+    if (legacyHook && fs.existsSync(legacyHook)) {
+      lines.push(`${legacyHook.split(path.sep).join("/")} "$@" || exit 1`)
+    }
+    const block = [...lines, ...body, blockEnd].join("\n")
+
+    let content
+    if (existing === null) {
+      const header = ["#!/usr/bin/env sh"]
+      if (!this.state.customHooksDir && this.state.huskyMajor < 9) header.push(HUSKY_SH)
+      content = `${header.join("\n")}\n\n${block}\n`
+    } else if (existing.includes(blockStart)) {
+      // Re-running the setup refreshes our own block and leaves the rest alone
+      const start = existing.indexOf(blockStart)
+      const end = existing.indexOf(blockEnd) + blockEnd.length
+      content = existing.slice(0, start) + block + existing.slice(end)
+    } else if (existing.includes(this.hookCommand(name))) {
+      content = existing
+    } else {
+      content = `${existing.replace(/\n*$/, "")}\n\n${block}\n`
+    }
 
-if [ $? -ne 0 ]; then
-  echo "❌ ESLint found issues. Please fix them before committing."
-  echo "💡 Tip: Run 'npm run lint:fix' to auto-fix some issues"
-  exit 1
-fi
+    // husky 9 warns about (and husky 10 breaks on) the old husky.sh bootstrap line
+    if (!this.state.customHooksDir && this.state.huskyMajor >= 9) {
+      content = content.replace(`${HUSKY_SH}\n`, "")
+    }
 
-echo "✅ ESLint passed!"
-`
+    this.stage(hookPath, content, 0o755)
+  }
+
+  // Takes our block out of a hook that is no longer selected, deleting the file if nothing else is left
+  removeHook(name) {
+    const hookPath = this.hookPath(name)
+    const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, "utf8") : null
+    const [blockStart, blockEnd] = this.blockMarkers(name)
+    if (existing === null || !existing.includes(blockStart)) return
+
+    const start = existing.indexOf(blockStart)
+    const end = existing.indexOf(blockEnd) + blockEnd.length
+    const remaining = `${existing.slice(0, start).replace(/\n*$/, "")}${existing.slice(end).replace(/^\n*/, "\n")}`
+    const leftover = remaining.split("\n").filter((line) => line.trim() && !line.startsWith("#!") && line !== HUSKY_SH)
+
+    this.stage(hookPath, leftover.length > 0 ? remaining : null)
+  }
+
+  blockMarkers(name) {
+    return [`# >>> lint-rollout ${name} >>>`, `# <<< lint-rollout ${name} <<<`]
+  }
 
-    const hookPath = `${this.huskyDir}/pre-commit`
+  stage(file, content, mode) {
+    const before = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null
+    if (before === content) return
 
-    // Ensure .husky directory exists
-    if (!fs.existsSync(this.huskyDir)) {
-      fs.mkdirSync(this.huskyDir, { recursive: true })
+    this.changes.set(file, { before, after: content, mode })
+  }
+
+  // package.json is edited last so the edits apply on top of what the package manager wrote
+  packageJsonContent() {
+    const raw = fs.readFileSync(this.packageJsonPath, "utf8")
+    const packageJson = JSON.parse(raw)
+    this.packageJsonEdits.forEach((edit) => edit(packageJson))
+
+    const indent = (raw.match(/^[ \t]+(?=")/m) || ["  "])[0]
+    return JSON.stringify(packageJson, null, indent) + (raw.endsWith("\n") ? "\n" : "")
+  }
+
+  // Hook files are backed up whole. package.json is shared with everything else, so only the values the setup
+  // changes and the devDependencies it adds are recorded; uninstall reverts just those.
+  writeBackup() {
+    const backup = fs.existsSync(this.backupPath)
+      ? JSON.parse(fs.readFileSync(this.backupPath, "utf8"))
+      : {
+          createdAt: new Date().toISOString(),
+          files: {},
+          packageJson: [],
+          dependencies: [],
+          createdDirs: [],
+          gitConfig: { hooksPath: this.state.hooksPath },
+        }
+
+    // Only the first backup of a file or value is kept, so uninstall always returns to the original state
+    this.changes.forEach((change, file) => {
+      if (!(file in backup.files)) backup.files[file] = change.before
+    })
+
+    const packageJson = JSON.parse(fs.readFileSync(this.packageJsonPath, "utf8"))
+    packageJsonChanges(packageJson, JSON.parse(this.packageJsonContent())).forEach((change) => {
+      const recorded = backup.packageJson.find((candidate) => candidate.path.join(".") === change.path.join("."))
+      if (recorded) {
+        recorded.after = change.after
+      } else {
+        backup.packageJson.push(change)
+      }
+    })
+    backup.dependencies = [...new Set([...backup.dependencies, ...this.dependencies])]
+    if (!this.state.customHooksDir && !fs.existsSync(this.huskyDir) && !backup.createdDirs.includes(this.huskyDir)) {
+      backup.createdDirs.push(this.huskyDir)
     }
 
-    fs.writeFileSync(hookPath, hookContent)
+    fs.mkdirSync(path.dirname(this.backupPath), { recursive: true })
+    fs.writeFileSync(this.backupPath, JSON.stringify(backup, null, 2))
+  }
+
+  // Values edited again since setup are left alone
+  revertPackageJson(changes) {
+    this.packageJsonEdits.push((packageJson) => {
+      changes.forEach((change) => {
+        const key = change.path[change.path.length - 1]
+        const parent = change.path.slice(0, -1).reduce((object, name) => object && object[name], packageJson)
+        const current = parent ? parent[key] : undefined
+
+        if (JSON.stringify(current) !== JSON.stringify(change.after)) {
+          this.warnings.push(`package.json ${change.path.join(".")} was changed after setup; left as is`)
+        } else if (!("before" in change)) {
+          delete parent[key]
+        } else {
+          parent[key] = change.before
+        }
+      })
+    })
+  }
+
+  applyChanges() {
+    if (this.packageJsonEdits.length > 0) {
+      this.stage(this.packageJsonPath, this.packageJsonContent())
+    }
+
+    this.changes.forEach(({ after, mode }, file) => {
+      if (after === null) {
+        fs.rmSync(file, { force: true })
+        return
+      }
+
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, after)
+      if (mode) {
+        try {
+          fs.chmodSync(file, mode)
+        } catch (error) {
+          console.warn(`⚠️  Could not make ${file} executable (Windows?)`)
+        }
+      }
+    })
+  }
 
-    // Make hook executable
+  activateHooks() {
+    if (this.state.customHooksDir) return
+
+    console.log("🐕 Activating Husky...")
+    try {
+      execSync(this.state.huskyMajor >= 9 ? "npx husky" : "npx husky install", { stdio: "inherit" })
+    } catch (error) {
+      throw new Error("Failed to setup Husky")
+    }
+  }
+
+  git(command) {
     try {
-      execSync(`chmod +x ${hookPath}`)
+      return execSync(`git ${command}`, { encoding: "utf8", stdio: "pipe" }).trim() || null
     } catch (error) {
-      console.warn("⚠️  Could not make hook executable (Windows?)")
+      return null
+    }
+  }
+
+  printPlan() {
+    if (this.packageJsonEdits.length > 0) {
+      this.stage(this.packageJsonPath, this.packageJsonContent())
+    }
+
+    if (this.dependencies.length > 0) {
+      console.log(`\n📦 Would run: ${this.installCommand()} ${this.dependencies.join(" ")}`)
     }
+    if (this.changes.size === 0) {
+      console.log("\n✅ Nothing to change")
+    }
+    this.changes.forEach(({ before, after }, file) => console.log(`\n${unifiedDiff(before, after, file)}`))
+    this.printWarnings()
+  }
+
+  printWarnings() {
+    this.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`))
   }
 }
 
 // CLI execution
 if (require.main === module) {
-  const setup = new PreCommitSetup()
-  setup.setup()
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+  const setup = new PreCommitSetup({
+    hooks: option("--hooks") && option("--hooks").split(","),
+    hooksConfigPath: option("--hooks-config"),
+    affected: args.includes("--affected"),
+    dryRun: args.includes("--dry-run"),
+  })
+
+  if (args.includes("uninstall")) {
+    setup.uninstall()
+  } else {
+    setup.setup()
+  }
 }
 
 module.exports = PreCommitSetup
@@ -0,0 +1,77 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { describe, it, before, after } = require("node:test")
+const assert = require("node:assert")
+const ConfigGenerator = require("../generate-eslint-configs")
+const ExceptionRegistry = require("../lib/exception-registry")
+const NxWorkspace = require("../lib/nx-workspace")
+
+const CONFIGS = path.join(__dirname, "..", "..", "configs")
+
+// Writes a throwaway Nx workspace; `files` maps relative paths to JSON contents or source text
+const createWorkspace = (files) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "lint-rollout-"))
+  Object.entries({ "nx.json": {}, ...files }).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true })
+    fs.writeFileSync(path.join(root, file), typeof content === "string" ? content : JSON.stringify(content))
+  })
+  fs.mkdirSync(path.join(root, "configs"), { recursive: true })
+  ;["rule-catalog.js", "phases.js"].forEach((file) =>
+    fs.copyFileSync(path.join(CONFIGS, file), path.join(root, "configs", file)),
+  )
+  return root
+}
+
+describe("exception registry", () => {
+  const cwd = process.cwd()
+  let root
+
+  before(() => {
+    root = createWorkspace({
+      "apps/shop/project.json": { name: "shop", projectType: "application" },
+      "apps/shop/src/main.js": "console.log('shop')\n",
+      "libs/ui/project.json": { name: "ui", projectType: "library" },
+      "libs/ui/src/index.js": "module.exports = {}\n",
+      "libs/util/project.json": { name: "util", projectType: "library" },
+      "libs/util/src/index.js": "module.exports = {}\n",
+      // The workspace is in integration; ui is behind it and shop ahead of it
+      "reports/progress-report.json": {
+        phaseStatus: {
+          workspace: { id: "integration" },
+          projects: { shop: { id: "automation" }, ui: { id: "pilot" }, util: { id: "integration" } },
+        },
+      },
+    })
+    process.chdir(root)
+  })
+
+  after(() => {
+    process.chdir(cwd)
+    fs.rmSync(root, { recursive: true, force: true })
+  })
+
+  it("does not count the rules generated project configs switch off", async () => {
+    await new ConfigGenerator({ formats: ["eslintrc"], projects: true }).generate()
+    assert.ok(fs.existsSync("libs/ui/.eslintrc.js"))
+    assert.ok(fs.existsSync("apps/shop/.eslintrc.js"))
+
+    const registry = new ExceptionRegistry({ root })
+    const summary = registry.summarize(registry.scan(), new NxWorkspace(root).load())
+
+    assert.strictEqual(summary.totalExceptions, 0)
+    assert.strictEqual(summary.exceptionRate, 0)
+    assert.deepStrictEqual(summary.failures, [])
+  })
+
+  it("counts rules a hand-written project config switches off", () => {
+    fs.writeFileSync("libs/util/.eslintrc.json", JSON.stringify({ rules: { "no-console": "off" } }))
+
+    const registry = new ExceptionRegistry({ root })
+    const summary = registry.summarize(registry.scan(), new NxWorkspace(root).load())
+
+    assert.strictEqual(summary.undocumented, 1)
+    assert.deepStrictEqual(summary.failures[0].rules, ["no-console"])
+    assert.strictEqual(summary.projectBreakdown.util.filesWithExceptions, 1)
+  })
+})
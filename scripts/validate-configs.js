@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const LintEngine = require("./lib/lint-engine")
+const ProjectConfig = require("./lib/project-config")
+
+const PRETTIER_CONFIG_FILES = [
+  ".prettierrc",
+  ".prettierrc.json",
+  ".prettierrc.yaml",
+  ".prettierrc.yml",
+  ".prettierrc.js",
+  ".prettierrc.cjs",
+  "prettier.config.js",
+  "prettier.config.cjs",
+]
+const JS_FILE_PATTERN = /\.(c|m)?jsx?$/
+
+// Rules eslint-config-prettier turns off besides formatting ("layout") rules; used when it is not installed
+const PRETTIER_SPECIAL_RULES = [
+  "curly",
+  "lines-around-comment",
+  "max-len",
+  "no-confusing-arrow",
+  "no-mixed-operators",
+  "no-tabs",
+  "no-unexpected-multiline",
+  "quotes",
+  "@typescript-eslint/quotes",
+]
+
+// @stylistic/eslint-plugin names that differ from the deprecated core rule
+const STYLISTIC_RENAMES = { "func-call-spacing": "function-call-spacing" }
+
+// Rule options that contradict the Prettier options, as [expected, describe]
+const PRETTIER_OPTIONS = {
+  quotes: (prettier) => [prettier.singleQuote ? "single" : "double", `singleQuote: ${!!prettier.singleQuote}`],
+  semi: (prettier) => [prettier.semi === false ? "never" : "always", `semi: ${prettier.semi !== false}`],
+  indent: (prettier) => [
+    prettier.useTabs ? "tab" : prettier.tabWidth || 2,
+    prettier.useTabs ? "useTabs: true" : `tabWidth: ${prettier.tabWidth || 2}`,
+  ],
+  "comma-dangle": (prettier) => [
+    prettier.trailingComma === "none" ? "never" : "always-multiline",
+    `trailingComma: ${prettier.trailingComma || "all"}`,
+  ],
+}
+
+// Loads every ESLint config and reports unresolvable extends, unknown or deprecated rules and Prettier conflicts
+class ConfigValidator {
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || ".")
+    this.configPaths = options.configPaths && options.configPaths.length > 0 ? options.configPaths : null
+    this.strict = options.strict || false
+    this.engine = new LintEngine({ cwd: this.cwd })
+    this.builtinRules = null
+    this.eslintrc = null
+    this.plugins = new Map()
+    this.prettierRules = undefined
+    this.prettier = null
+    this.report = {
+      timestamp: new Date().toISOString(),
+      prettier: null,
+      configs: [],
+      totals: { errors: 0, warnings: 0 },
+    }
+  }
+
+  async validate(outputPath = "reports/config-validation.json") {
+    console.log("🩺 Validating ESLint configs...")
+
+    try {
+      this.engine.loadESLintModule()
+      this.prettier = this.loadPrettierConfig()
+      this.report.prettier = this.prettier && { file: this.prettier.file, options: this.prettier.options }
+
+      const configs = this.configPaths || this.findConfigs()
+      if (configs.length === 0) {
+        throw new Error("No ESLint configs found")
+      }
+      configs.forEach((configPath) => this.report.configs.push(this.validateConfig(configPath)))
+
+      this.report.configs.forEach((result) => {
+        this.report.totals.errors += result.problems.filter((problem) => problem.severity === "error").length
+        this.report.totals.warnings += result.problems.filter((problem) => problem.severity === "warning").length
+      })
+
+      const reportsDir = path.dirname(outputPath)
+      if (!fs.existsSync(reportsDir)) {
+        fs.mkdirSync(reportsDir, { recursive: true })
+      }
+      fs.writeFileSync(outputPath, JSON.stringify(this.report, null, 2))
+
+      console.log(`📄 Report saved to: ${outputPath}`)
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ Config validation failed:", error.message)
+      process.exit(1)
+    }
+
+    return this.report
+  }
+
+  // Phase configs in configs/ plus the workspace's own root config
+  findConfigs() {
+    const configsDir = path.join(this.cwd, "configs")
+    const phaseConfigs = fs.existsSync(configsDir)
+      ? fs
+          .readdirSync(configsDir)
+          .filter((name) => /\.(eslintrc|eslint\.config)\.c?js$/.test(name))
+          .map((name) => path.join("configs", name))
+      : []
+    const rootConfigs = [
+      ".eslintrc.js",
+      ".eslintrc.cjs",
+      ".eslintrc.json",
+      "eslint.config.js",
+      "eslint.config.cjs",
+    ].filter((name) => fs.existsSync(path.join(this.cwd, name)))
+
+    return [...phaseConfigs, ...rootConfigs]
+  }
+
+  validateConfig(configPath) {
+    const file = path.resolve(this.cwd, configPath)
+    const format = /eslint\.config\.c?js$/.test(file) ? "flat" : "eslintrc"
+    const result = { config: configPath, format, extends: [], rules: 0, problems: [] }
+
+    let config
+    try {
+      config = this.loadConfig(file)
+    } catch (error) {
+      // Flat configs translate their eslintrc presets while loading, so unresolvable presets surface here
+      result.problems.push({ severity: "error", type: "load", message: error.message.split("\n")[0] })
+      return result
+    }
+
+    const blocks = format === "flat" ? [].concat(config) : [config, ...(config.overrides || [])]
+    if (format === "eslintrc") {
+      this.checkExtends(blocks, file, result)
+    }
+
+    const rules = new Map()
+    blocks.forEach((block) => {
+      Object.entries((block && block.rules) || {}).forEach(([rule, setting]) => {
+        rules.set(rule, { setting, plugins: block.plugins && !Array.isArray(block.plugins) ? block.plugins : null })
+      })
+    })
+    result.rules = rules.size
+    rules.forEach(({ setting, plugins }, rule) => this.checkRule(rule, setting, plugins, file, result))
+
+    return result
+  }
+
+  loadConfig(file) {
+    if (file.endsWith(".json")) {
+      // .eslintrc.json may contain comments
+      const content = fs.readFileSync(file, "utf8")
+      return JSON.parse(content.replace(/^\s*\/\/.*$/gm, "").replace(/\/\*[\s\S]*?\*\//g, ""))
+    }
+    delete require.cache[file]
+    return require(file)
+  }
+
+  checkExtends(blocks, file, result) {
+    blocks.forEach((block, index) => {
+      const scope = index === 0 ? null : [].concat(block.files)
+      const presets = [].concat(block.extends || [])
+      presets.forEach((name) => {
+        const resolution = this.resolveExtends(name, path.dirname(file))
+        result.extends.push({ name, files: scope, ...resolution })
+        if (!resolution.resolved) {
+          result.problems.push({
+            severity: "error",
+            type: "extends",
+            message: `extends "${name}" does not resolve: ${resolution.error}`,
+            suggestion: resolution.suggestion,
+          })
+        }
+
+        // Top-level extends, and overrides matching JavaScript files, apply TypeScript rules to plain JS
+        const coversJs = !scope || scope.some((pattern) => JS_FILE_PATTERN.test(pattern))
+        if (coversJs && /@typescript-eslint/.test(name)) {
+          result.problems.push({
+            severity: "warning",
+            type: "typescript-preset",
+            message: `"${name}" is extended for JavaScript files${scope ? ` (${scope.join(", ")})` : ""}`,
+            suggestion: "Extend it only in the override for *.ts and *.tsx files",
+          })
+        }
+      })
+    })
+  }
+
+  resolveExtends(name, configDir) {
+    if (name.startsWith("eslint:")) {
+      return ["eslint:recommended", "eslint:all"].includes(name)
+        ? { resolved: true }
+        : { resolved: false, error: "unknown built-in config", suggestion: "Use eslint:recommended" }
+    }
+
+    if (name.startsWith("plugin:")) {
+      const body = name.slice("plugin:".length)
+      const pluginName = body.slice(0, body.lastIndexOf("/"))
+      const configName = body.slice(body.lastIndexOf("/") + 1)
+      const packageName = this.normalizePackageName(pluginName, "eslint-plugin")
+      const plugin = this.loadPlugin(pluginName, configDir)
+      if (!plugin) return { resolved: false, error: `${packageName} is not installed` }
+
+      const available = Object.keys(plugin.configs || {})
+      return available.includes(configName)
+        ? { resolved: true, package: packageName }
+        : { resolved: false, error: `${packageName} has no "${configName}" config (has: ${available.join(", ")})` }
+    }
+
+    if (/^(\.|\/)/.test(name) || path.isAbsolute(name)) {
+      const target = path.resolve(configDir, name)
+      return fs.existsSync(target) ? { resolved: true } : { resolved: false, error: `${target} does not exist` }
+    }
+
+    const packageName = this.normalizePackageName(name, "eslint-config")
+    if (this.resolvePackage(packageName, configDir)) return { resolved: true, package: packageName }
+
+    // "@scope/config" is read as the shareable config @scope/eslint-config-config, not as a plugin config
+    const pluginConfig = name.includes("/") ? `plugin:${name}` : null
+    const pluginResolution = pluginConfig && this.resolveExtends(pluginConfig, configDir)
+    return {
+      resolved: false,
+      error: `resolves to ${packageName}, which is not installed`,
+      suggestion: pluginConfig
+        ? pluginResolution.resolved
+          ? `Use "${pluginConfig}"`
+          : `If this is a plugin config, write "${pluginConfig}" and install the plugin`
+        : `Install ${packageName}`,
+    }
+  }
+
+  checkRule(rule, setting, flatPlugins, file, result) {
+    const severity = Array.isArray(setting) ? setting[0] : setting
+    const enabled = ![0, "off"].includes(severity)
+    const definition = this.findRule(rule, flatPlugins, path.dirname(file))
+
+    if (definition.missingPlugin) {
+      result.problems.push({
+        severity: "warning",
+        type: "unverified-rule",
+        rule,
+        message: `${rule} cannot be checked: ${definition.missingPlugin} is not installed`,
+      })
+      return
+    }
+    if (!definition.meta) {
+      result.problems.push({
+        severity: enabled ? "error" : "warning",
+        type: "unknown-rule",
+        rule,
+        message: `${rule} is not a known rule`,
+      })
+      return
+    }
+
+    const { meta } = definition
+    if (meta.deprecated && enabled) {
+      result.problems.push({
+        severity: "warning",
+        type: "deprecated-rule",
+        rule,
+        message: `${rule} is deprecated`,
+        suggestion: this.replacementFor(rule, meta),
+      })
+    }
+
+    if (this.prettier && enabled && this.conflictsWithPrettier(rule, meta)) {
+      const options = Array.isArray(setting) ? setting.slice(1) : []
+      const check = PRETTIER_OPTIONS[rule]
+      const [expected, prettierOption] = check ? check(this.prettier.options) : []
+      const disagrees = check && options.length > 0 && options[0] !== expected
+
+      result.problems.push({
+        severity: "warning",
+        type: "prettier-conflict",
+        rule,
+        message: disagrees
+          ? `${rule} "${options[0]}" contradicts Prettier (${prettierOption})`
+          : `${rule} formats code that Prettier already formats`,
+        suggestion: "Turn it off, e.g. by extending eslint-config-prettier last",
+      })
+    }
+  }
+
+  replacementFor(rule, meta) {
+    const deprecation = typeof meta.deprecated === "object" ? meta.deprecated : {}
+    // ESLint 9 describes replacements as { rule: { name }, plugin: { name } }
+    const replacements = (deprecation.replacedBy || meta.replacedBy || []).map((replacement) =>
+      typeof replacement === "string"
+        ? replacement
+        : [replacement.plugin && replacement.plugin.name, replacement.rule && replacement.rule.name]
+            .filter(Boolean)
+            .join(" → "),
+    )
+
+    if (meta.type === "layout" && !rule.includes("/")) {
+      const stylistic = `@stylistic/${STYLISTIC_RENAMES[rule] || rule}`
+      return this.prettier
+        ? `Remove it and let Prettier (${this.prettier.file}) format the code`
+        : `Use ${stylistic} from @stylistic/eslint-plugin, or hand formatting to Prettier`
+    }
+    return replacements.length > 0 ? `Use ${replacements.join(", ")}` : "Remove it; it has no replacement"
+  }
+
+  conflictsWithPrettier(rule, meta) {
+    const prettierRules = this.eslintConfigPrettierRules()
+    if (prettierRules) return rule in prettierRules
+    return meta.type === "layout" || PRETTIER_SPECIAL_RULES.includes(rule)
+  }
+
+  eslintConfigPrettierRules() {
+    if (this.prettierRules === undefined) {
+      const resolved = this.resolvePackage("eslint-config-prettier", this.cwd)
+      this.prettierRules = resolved ? require(resolved).rules : null
+    }
+    return this.prettierRules
+  }
+
+  findRule(rule, flatPlugins, configDir) {
+    if (!this.builtinRules) {
+      this.builtinRules = require(
+        require.resolve("eslint/use-at-your-own-risk", { paths: [this.cwd, __dirname] }),
+      ).builtinRules
+    }
+
+    const slash = rule.lastIndexOf("/")
+    if (slash === -1) {
+      const definition = this.builtinRules.get(rule)
+      return { meta: definition ? definition.meta || {} : null }
+    }
+
+    const prefix = rule.slice(0, slash)
+    const plugin = (flatPlugins && flatPlugins[prefix]) || this.loadPlugin(prefix, configDir)
+    if (!plugin) return { missingPlugin: this.normalizePackageName(prefix, "eslint-plugin") }
+
+    const definition = (plugin.rules || {})[rule.slice(slash + 1)]
+    return { meta: definition ? definition.meta || {} : null }
+  }
+
+  loadPlugin(pluginName, configDir) {
+    const packageName = this.normalizePackageName(pluginName, "eslint-plugin")
+    if (!this.plugins.has(packageName)) {
+      const resolved = this.resolvePackage(packageName, configDir)
+      this.plugins.set(packageName, resolved ? require(resolved) : null)
+    }
+    return this.plugins.get(packageName)
+  }
+
+  // Same naming rules ESLint applies to `extends` and `plugins` entries
+  normalizePackageName(name, prefix) {
+    if (!this.eslintrc) {
+      this.eslintrc = require(require.resolve("@eslint/eslintrc", { paths: [this.cwd, __dirname] }))
+    }
+    return this.eslintrc.Legacy.naming.normalizePackageName(name, prefix)
+  }
+
+  resolvePackage(packageName, fromDir) {
+    try {
+      return require.resolve(packageName, { paths: [fromDir, this.cwd] })
+    } catch (error) {
+      return null
+    }
+  }
+
+  loadPrettierConfig() {
+    const packageJsonPath = path.join(this.cwd, "package.json")
+    const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, "utf8")) : {}
+    if (packageJson.prettier) {
+      // A string names a shared config package
+      const options = typeof packageJson.prettier === "string" ? {} : packageJson.prettier
+      return { file: "package.json", options }
+    }
+
+    const name = PRETTIER_CONFIG_FILES.find((candidate) => fs.existsSync(path.join(this.cwd, candidate)))
+    if (!name) return null
+
+    const file = path.join(this.cwd, name)
+    if (/\.c?js$/.test(name)) return { file: name, options: require(file) }
+
+    const content = fs.readFileSync(file, "utf8")
+    try {
+      return { file: name, options: JSON.parse(content) }
+    } catch (error) {
+      // .prettierrc may be YAML; js-yaml ships with ESLint's eslintrc support
+      const yaml = require(require.resolve("js-yaml", { paths: [this.cwd, __dirname] }))
+      return { file: name, options: yaml.load(content) || {} }
+    }
+  }
+
+  printSummary() {
+    const icons = { error: "❌", warning: "⚠️ " }
+
+    console.log("\n📋 CONFIG VALIDATION")
+    console.log("====================")
+    if (this.prettier) {
+      console.log(`Prettier config: ${this.prettier.file}`)
+    }
+    this.report.configs.forEach((result) => {
+      const errors = result.problems.filter((problem) => problem.severity === "error").length
+      console.log(`\n${errors > 0 ? "❌" : "✅"} ${result.config} (${result.format}, ${result.rules} rules)`)
+
+      // Group repeated problems (e.g. many deprecated formatting rules) by type
+      const byType = new Map()
+      result.problems.forEach((problem) => {
+        if (!byType.has(problem.type)) byType.set(problem.type, [])
+        byType.get(problem.type).push(problem)
+      })
+      byType.forEach((problems) => {
+        problems.slice(0, 5).forEach((problem) => {
+          console.log(`  ${icons[problem.severity]} ${problem.message}`)
+          if (problem.suggestion) console.log(`     💡 ${problem.suggestion}`)
+        })
+        if (problems.length > 5) console.log(`     … and ${problems.length - 5} more`)
+      })
+    })
+
+    const { errors, warnings } = this.report.totals
+    console.log(`\n${errors} errors, ${warnings} warnings`)
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+  const optionValues = [option("--output"), option("--project-config")]
+  const config = ProjectConfig.fromArgs(args)
+  const configPaths = args.filter((arg) => !arg.startsWith("--") && !optionValues.includes(arg))
+
+  const validator = new ConfigValidator({ configPaths, strict: args.includes("--strict") })
+  validator.validate(option("--output") || config.report("config-validation.json")).then((report) => {
+    if (report.totals.errors > 0 || (validator.strict && report.totals.warnings > 0)) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = ConfigValidator
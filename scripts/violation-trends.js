@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+const fs = require("fs")
+const path = require("path")
+const ProjectConfig = require("./lib/project-config")
+const ReportHistory = require("./lib/report-history")
+
+class TrendAnalyzer {
+  constructor(historyPath = "reports/history.jsonl") {
+    this.history = new ReportHistory(historyPath)
+    this.trends = {
+      generatedAt: new Date().toISOString(),
+      runs: 0,
+      series: [],
+      rules: {},
+      projects: {},
+      regressions: [],
+    }
+  }
+
+  async analyze(outputPath = "reports/trends.json") {
+    console.log("📈 Analyzing violation trends...")
+
+    try {
+      const entries = this.history.load()
+      if (entries.length === 0) {
+        throw new Error(`No history found at ${this.history.historyPath}. Generate a progress report first.`)
+      }
+
+      this.trends.runs = entries.length
+      this.buildSeries(entries)
+      this.buildRuleTrends(entries)
+      this.buildProjectTrends(entries)
+      this.detectRegressions(entries)
+
+      const outputDir = path.dirname(outputPath)
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true })
+      }
+      fs.writeFileSync(outputPath, JSON.stringify(this.trends, null, 2))
+
+      console.log(`📄 Trends saved to: ${outputPath}`)
+      this.printSummary()
+    } catch (error) {
+      console.error("❌ Trend analysis failed:", error.message)
+      process.exit(1)
+    }
+
+    return this.trends
+  }
+
+  buildSeries(entries) {
+    this.trends.series = entries.map((entry, index) => {
+      const previous = entries[index - 1]
+
+      return {
+        timestamp: entry.timestamp,
+        commit: entry.commit,
+        totalViolations: entry.totalViolations,
+        compliancePercentage: entry.compliancePercentage,
+        violationDelta: previous ? entry.totalViolations - previous.totalViolations : 0,
+        complianceDelta: previous ? entry.compliancePercentage - previous.compliancePercentage : 0,
+      }
+    })
+  }
+
+  buildRuleTrends(entries) {
+    const rules = new Set(entries.flatMap((entry) => Object.keys(entry.rules || {})))
+
+    rules.forEach((rule) => {
+      this.trends.rules[rule] = this.delta(entries, (entry) => (entry.rules || {})[rule] || 0)
+    })
+  }
+
+  buildProjectTrends(entries) {
+    const projects = new Set(entries.flatMap((entry) => Object.keys(entry.projects || {})))
+
+    projects.forEach((project) => {
+      const stats = (entry) => (entry.projects || {})[project] || {}
+
+      this.trends.projects[project] = {
+        violations: this.delta(entries, (entry) => stats(entry).violations || 0),
+        compliancePercentage: this.delta(entries, (entry) => stats(entry).compliancePercentage),
+      }
+    })
+  }
+
+  delta(entries, valueOf) {
+    const values = entries.map(valueOf).filter((value) => value !== undefined)
+    if (values.length === 0) return null
+
+    const first = values[0]
+    const latest = values[values.length - 1]
+    const previous = values.length > 1 ? values[values.length - 2] : latest
+
+    return { first, previous, latest, delta: latest - previous, totalDelta: latest - first }
+  }
+
+  // A regression is any metric that got worse between the last two runs
+  detectRegressions(entries) {
+    if (entries.length < 2) return
+
+    const regressions = []
+    const latest = entries[entries.length - 1]
+    const previous = entries[entries.length - 2]
+
+    const check = (scope, metric, before, after, higherIsWorse = true) => {
+      if (before === undefined || after === undefined) return
+      if (higherIsWorse ? after > before : after < before) {
+        regressions.push({ scope, metric, previous: before, latest: after })
+      }
+    }
+
+    check("overall", "totalViolations", previous.totalViolations, latest.totalViolations)
+    check("overall", "errorCount", previous.errorCount, latest.errorCount)
+    check("overall", "compliancePercentage", previous.compliancePercentage, latest.compliancePercentage, false)
+
+    Object.entries(latest.rules || {}).forEach(([rule, count]) => {
+      check(`rule:${rule}`, "violations", (previous.rules || {})[rule] || 0, count)
+    })
+
+    Object.entries(latest.projects || {}).forEach(([project, stats]) => {
+      const before = (previous.projects || {})[project]
+      if (!before) return
+
+      check(`project:${project}`, "violations", before.violations, stats.violations)
+      check(
+        `project:${project}`,
+        "compliancePercentage",
+        before.compliancePercentage,
+        stats.compliancePercentage,
+        false,
+      )
+    })
+
+    this.trends.regressions = regressions
+  }
+
+  printSummary() {
+    const { series, rules, regressions } = this.trends
+    const signed = (value) => (value > 0 ? `+${value}` : `${value}`)
+
+    console.log("\n📋 VIOLATION TRENDS")
+    console.log("====================")
+    series.slice(-10).forEach((run) => {
+      const commit = run.commit ? run.commit.slice(0, 7) : "unknown"
+      console.log(
+        `${run.timestamp.slice(0, 10)} ${commit}  violations ${run.totalViolations} (${signed(run.violationDelta)})  compliance ${run.compliancePercentage}% (${signed(run.complianceDelta)})`,
+      )
+    })
+
+    const movers = Object.entries(rules)
+      .filter(([, trend]) => trend.totalDelta !== 0)
+      .sort((a, b) => Math.abs(b[1].totalDelta) - Math.abs(a[1].totalDelta))
+      .slice(0, 5)
+    if (movers.length > 0) {
+      console.log("\n📊 BIGGEST RULE CHANGES (since first run):")
+      movers.forEach(([rule, trend]) =>
+        console.log(`  • ${rule}: ${trend.first} → ${trend.latest} (${signed(trend.totalDelta)})`),
+      )
+    }
+
+    if (regressions.length > 0) {
+      console.log("\n🚨 REGRESSIONS SINCE PREVIOUS RUN:")
+      regressions.forEach((regression) =>
+        console.log(`  • ${regression.scope} ${regression.metric}: ${regression.previous} → ${regression.latest}`),
+      )
+    } else {
+      console.log("\n✅ No regressions since previous run")
+    }
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+  const config = ProjectConfig.fromArgs(args)
+  const outputPath = args[0] && !args[0].startsWith("--") ? args[0] : config.report("trends.json")
+
+  const analyzer = new TrendAnalyzer(option("--history") || config.report("history.jsonl"))
+  analyzer.analyze(outputPath).then((trends) => {
+    if (args.includes("--fail-on-regression") && trends.regressions.length > 0) {
+      process.exit(1)
+    }
+  })
+}
+
+module.exports = TrendAnalyzer